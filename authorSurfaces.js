@@ -0,0 +1,284 @@
+// Where X's markup is read: every selector for it, and the author surfaces
+// built on them. Other files ask for selectors by key (selectorFor) instead
+// of spelling them out, so a markup change is fixed here once.
+//
+// Everywhere X shows an account gets its own flag, independently of the other
+// accounts in the same tweet or row: tweet authors and quoted tweets, the
+// "reposted" line, the profile header, user cells (follower lists, "Who to
+// follow"), hover cards, DM conversations and notifications.
+//
+// Each surface has a selector for its author blocks, an optional accepts()
+// that leaves a block to another surface, getHandle() to read the account
+// from a block, and placements: named ways to put a flag, loading shimmer or
+// status marker into the block, tried in order until one works. placementModes
+// are the badgePlacement settings the surface can honor.
+
+// Selector variants by key, newest markup first. version numbers X's layouts
+// as we met them; when only an older variant matches, X has rolled back or is
+// serving an old layout to some users, and layoutHealth.js reports it.
+const DOM_SELECTORS = {
+  tweet: [{ version: 1, selector: 'article[data-testid="tweet"]' }],
+  tweetAuthor: [
+    { version: 2, selector: '[data-testid="User-Name"]' },
+    { version: 1, selector: '[data-testid="User-Names"]' }
+  ],
+  tweetText: [{ version: 1, selector: '[data-testid="tweetText"]' }],
+  // The timestamp links to the tweet itself
+  tweetTimestamp: [{ version: 1, selector: 'a[href*="/status/"] time' }],
+  profileHeader: [{ version: 1, selector: '[data-testid="UserName"]' }],
+  socialContext: [{ version: 1, selector: '[data-testid="socialContext"]' }],
+  userCell: [{ version: 1, selector: '[data-testid="UserCell"]' }],
+  hoverCard: [{ version: 1, selector: '[data-testid="HoverCard"]' }],
+  dmConversation: [{ version: 1, selector: '[data-testid="conversation"]' }],
+  notification: [{ version: 1, selector: 'article[data-testid="notification"]' }]
+};
+
+// All variants of the given keys as one selector list. descendant narrows
+// each variant to elements inside it.
+function selectorFor(keys, descendant) {
+  return [].concat(keys)
+    .flatMap(key => DOM_SELECTORS[key])
+    .map(({ selector }) => descendant ? `${selector} ${descendant}` : selector)
+    .join(', ');
+}
+
+// The version of key's selector an element matched, or null
+function getSelectorVersion(element, key) {
+  const variant = DOM_SELECTORS[key].find(({ selector }) => element.matches(selector));
+  return variant ? variant.version : null;
+}
+
+// X sets the body background per theme: light, dim or lights out
+function getXTheme() {
+  const background = getComputedStyle(document.body).backgroundColor;
+  if (background === 'rgb(21, 32, 43)') return 'dim';
+  if (background === 'rgb(0, 0, 0)') return 'dark';
+  return 'light';
+}
+
+// First path segments that are X pages rather than accounts
+const RESERVED_PATHS = new Set([
+  'home', 'explore', 'notifications', 'messages', 'i', 'compose', 'search',
+  'settings', 'bookmarks', 'lists', 'communities', 'hashtag', 'jobs', 'premium',
+  'login', 'logout', 'signup', 'tos', 'privacy'
+]);
+const HANDLE_PATH_PATTERN = /^\/([A-Za-z0-9_]{1,20})\/?(?:[?#]|$)/;
+const HANDLE_TEXT_PATTERN = /^@([A-Za-z0-9_]{1,20})$/;
+
+// Blocks of the tweet-author and profile-header kind, which other surfaces defer to
+const NAME_BLOCK_SELECTOR = selectorFor(['tweetAuthor', 'profileHeader']);
+
+// The account a profile link points at, or null for any other link
+function getHandleFromHref(href) {
+  const match = href && href.match(HANDLE_PATH_PATTERN);
+  if (!match || RESERVED_PATHS.has(match[1].toLowerCase())) return null;
+  return match[1];
+}
+
+// The innermost element reading "@handle", for one account or the first found
+function findHandleElement(block, screenName) {
+  for (const span of block.querySelectorAll('span')) {
+    if (span.childElementCount > 0) continue;
+    const match = span.textContent.trim().match(HANDLE_TEXT_PATTERN);
+    if (match && (!screenName || match[1].toLowerCase() === screenName.toLowerCase())) {
+      return span;
+    }
+  }
+  return null;
+}
+
+// The @handle text, or else the first profile link
+function readBlockHandle(block) {
+  const handleElement = findHandleElement(block);
+  if (handleElement) {
+    return handleElement.textContent.trim().slice(1);
+  }
+  for (const link of block.querySelectorAll('a[href^="/"]')) {
+    const screenName = getHandleFromHref(link.getAttribute('href'));
+    if (screenName) return screenName;
+  }
+  return null;
+}
+
+// The div in a User-Name block holding the @handle link
+function findHandleSection(container, screenName) {
+  return Array.from(container.querySelectorAll('div')).find(div => {
+    const link = div.querySelector(`a[href="/${screenName}"]`);
+    if (link) {
+      const text = link.textContent?.trim();
+      return text === `@${screenName}`;
+    }
+    return false;
+  });
+}
+
+// Right before the @handle, outside the link around it so the badge isn't part of it
+function insertBeforeHandle(block, screenName, badge) {
+  const handleElement = findHandleElement(block, screenName);
+  if (!handleElement) return false;
+  const link = handleElement.closest('a');
+  const anchor = link && block.contains(link) ? link : handleElement;
+  anchor.parentNode.insertBefore(badge, anchor);
+  return true;
+}
+
+// Right after the @handle (and the link around it)
+function insertAfterHandle(block, screenName, badge) {
+  const handleElement = findHandleElement(block, screenName);
+  if (!handleElement) return false;
+  const link = handleElement.closest('a');
+  const anchor = link && block.contains(link) ? link : handleElement;
+  anchor.parentNode.insertBefore(badge, anchor.nextSibling);
+  return true;
+}
+
+// After the tweet's timestamp link, which sits in the author block
+function insertAfterTimestamp(block, screenName, badge) {
+  const time = block.querySelector('time');
+  if (!time) return false;
+  const anchor = time.closest('a') || time;
+  anchor.parentNode.insertBefore(badge, anchor.nextSibling);
+  return true;
+}
+
+function appendToBlock(block, screenName, badge) {
+  block.appendChild(badge);
+  return true;
+}
+
+// Right after the link that is or wraps the block, so the focusable badge
+// isn't nested in it; at the end of the block if there is none
+function insertAfterLink(block, screenName, badge) {
+  const link = block.closest('a');
+  if (!link) return appendToBlock(block, screenName, badge);
+  link.parentNode.insertBefore(badge, link.nextSibling);
+  return true;
+}
+
+// Tweet authors: between the display name (and verification badge) and the
+// @handle. X has moved this markup around, hence the fallbacks.
+const USER_NAME_PLACEMENTS = [
+  // The handle section is usually a direct child of User-Name
+  ['beforeHandleSection', (block, screenName, badge) => {
+    const handleSection = findHandleSection(block, screenName);
+    if (!handleSection || handleSection.parentNode !== block) return false;
+    block.insertBefore(badge, handleSection);
+    return true;
+  }],
+  ['beforeHandleParent', (block, screenName, badge) => {
+    const handleParent = findHandleSection(block, screenName)?.parentNode;
+    if (!handleParent || handleParent === block || !handleParent.parentNode) return false;
+    handleParent.parentNode.insertBefore(badge, handleParent);
+    return true;
+  }],
+  ['afterDisplayName', (block, screenName, badge) => {
+    const handleSection = findHandleSection(block, screenName);
+    const displayNameContainer = block.querySelector('a[href^="/"]')?.closest('div');
+    if (!handleSection || !displayNameContainer || !displayNameContainer.parentNode) return false;
+    if (displayNameContainer.parentNode === handleSection.parentNode) {
+      displayNameContainer.parentNode.insertBefore(badge, handleSection);
+    } else {
+      displayNameContainer.parentNode.insertBefore(badge, displayNameContainer.nextSibling);
+    }
+    return true;
+  }],
+  ['endOfContainer', appendToBlock]
+];
+
+// Placements for the badgePlacement setting. A surface lists the modes it
+// supports; they're tried before its own placements, which remain the
+// fallback (and are what afterName means).
+const PLACEMENT_MODES = {
+  afterName: [],
+  afterHandle: [['afterHandle', insertAfterHandle]],
+  timestamp: [['afterTimestamp', insertAfterTimestamp]]
+};
+
+const AUTHOR_SURFACES = [
+  {
+    // Tweets, quoted tweets and some user cells
+    id: 'tweetAuthor',
+    selector: selectorFor('tweetAuthor'),
+    getHandle: readBlockHandle,
+    placementModes: ['afterHandle', 'timestamp'],
+    placements: USER_NAME_PLACEMENTS
+  },
+  {
+    // Profile pages, where the @handle is plain text
+    id: 'profileHeader',
+    selector: selectorFor('profileHeader'),
+    getHandle: readBlockHandle,
+    placementModes: ['afterHandle'],
+    placements: [['beforeHandle', insertBeforeHandle], ['endOfContainer', appendToBlock]]
+  },
+  {
+    // "Name reposted" above a tweet; "Pinned" has no account
+    id: 'socialContext',
+    selector: selectorFor('socialContext'),
+    accepts: block => !!getSocialContextHandle(block),
+    getHandle: block => getSocialContextHandle(block),
+    placements: [['afterContext', insertAfterLink]]
+  },
+  {
+    // Follower lists, search results, "Who to follow"
+    id: 'userCell',
+    selector: selectorFor('userCell'),
+    accepts: block => !block.querySelector(NAME_BLOCK_SELECTOR),
+    getHandle: readBlockHandle,
+    placementModes: ['afterHandle'],
+    placements: [['beforeHandle', insertBeforeHandle], ['endOfContainer', appendToBlock]]
+  },
+  {
+    id: 'hoverCard',
+    selector: selectorFor('hoverCard'),
+    accepts: block => !block.querySelector(NAME_BLOCK_SELECTOR),
+    getHandle: readBlockHandle,
+    placementModes: ['afterHandle'],
+    placements: [['beforeHandle', insertBeforeHandle]]
+  },
+  {
+    // DM inbox; group conversations have no single account
+    id: 'dmConversation',
+    selector: selectorFor('dmConversation'),
+    accepts: block => !!findHandleElement(block),
+    getHandle: readBlockHandle,
+    placementModes: ['afterHandle'],
+    placements: [['beforeHandle', insertBeforeHandle]]
+  },
+  {
+    // "Name and 3 others liked your post": each name link is its own block.
+    // Avatars, mentions and embedded tweets are left out.
+    id: 'notification',
+    selector: selectorFor('notification', 'a[href^="/"]'),
+    accepts: link => !link.closest(`${NAME_BLOCK_SELECTOR}, ${selectorFor(['userCell', 'tweetText'])}`) &&
+      !link.querySelector('img') &&
+      link.textContent.trim() !== '' &&
+      !!getHandleFromHref(link.getAttribute('href')),
+    getHandle: link => getHandleFromHref(link.getAttribute('href')),
+    placements: [['afterName', insertAfterLink]]
+  }
+];
+
+const AUTHOR_BLOCK_SELECTOR = AUTHOR_SURFACES.map(surface => surface.selector).join(', ');
+
+function getSocialContextHandle(block) {
+  const link = block.closest('a[href]') || block.querySelector('a[href]');
+  return link ? getHandleFromHref(link.getAttribute('href')) : null;
+}
+
+// Placements to try on a surface, for the badgePlacement mode
+function getSurfacePlacements(surface, mode) {
+  const preferred = surface.placementModes?.includes(mode) ? PLACEMENT_MODES[mode] : [];
+  return [...preferred, ...surface.placements];
+}
+
+// The surface an author block belongs to, or null when it isn't one
+function getAuthorSurface(element) {
+  return AUTHOR_SURFACES.find(surface =>
+    element.matches(surface.selector) && (!surface.accepts || surface.accepts(element))) || null;
+}
+
+// Every author block on the page, in document order
+function findAuthorBlocks() {
+  return Array.from(document.querySelectorAll(AUTHOR_BLOCK_SELECTOR)).filter(getAuthorSurface);
+}
@@ -0,0 +1,464 @@
+// Background script: owns the location store (locationDb.js) and the lookup
+// queue shared by every X tab. Tabs submit lookups, one tab's page script
+// makes each request, and results are pushed to every tab that asked.
+
+const X_TAB_URLS = ['https://x.com/*', 'https://twitter.com/*'];
+
+// User settings (request pacing, cache lifetimes and size), see settings.js
+let settings = getDefaultSettings();
+
+// Lookups by screen name: { screenName, tabIds, priorities, inFlight } where
+// tabIds are the tabs waiting for the result, priorities maps each of them to
+// how urgently it needs it (LOOKUP_PRIORITY) and inFlight is set while a
+// request is out. A screen name is only ever requested once at a time.
+const pendingLookups = new Map();
+
+// Rate limiting, for all tabs together; pacing is in rateLimiter.js
+const requestQueue = []; // screen names waiting for a request slot, most urgent taken first
+let activeRequests = 0;
+let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
+
+// Used when X answers 429 without saying when the limit resets
+const DEFAULT_RATE_LIMIT_WAIT = 60 * 1000;
+
+// A lookup whose requests fail with server errors, network failures or
+// timeouts is given up after this many tries
+const MAX_LOOKUP_ATTEMPTS = 3;
+
+// Load settings and migrate older chrome.storage caches before serving any request
+const locationStoreReady = (async () => {
+  try {
+    settings = await loadSettings();
+    setLogLevel(settings.logLevel);
+    await migrateLegacyCache(settings.cacheExpiryDays * DAY_MS);
+  } catch (error) {
+    log.error('Error migrating location cache:', error);
+  }
+})();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SETTINGS_KEY]) {
+    settings = validateSettings(changes[SETTINGS_KEY].newValue).settings;
+    setLogLevel(settings.logLevel);
+    log.debug('Settings updated:', settings);
+    // A higher concurrency limit may let queued requests start right away
+    processRequestQueue();
+  }
+});
+
+// Changes not yet broadcast: { [screenName]: entry | null }
+let pendingCacheChanges = {};
+
+// Let tabs and the cache manager mirror store edits. Batched, since lookups resolve often.
+function broadcastCacheChanges(changes) {
+  if (ALL_CACHE_ENTRIES in changes) {
+    // Nothing written before a clear survives it
+    pendingCacheChanges = {};
+  }
+  Object.assign(pendingCacheChanges, changes);
+  if (broadcastCacheChanges.timeout) return;
+
+  broadcastCacheChanges.timeout = setTimeout(async () => {
+    broadcastCacheChanges.timeout = null;
+    const message = { type: 'locationCacheChanged', changes: pendingCacheChanges };
+    pendingCacheChanges = {};
+
+    // Options page; fails harmlessly when it isn't open
+    chrome.runtime.sendMessage(message).catch(() => {});
+
+    const tabs = await chrome.tabs.query({ url: X_TAB_URLS });
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+    }
+  }, 1000);
+}
+
+// Keep the store under the configured size, a little after the last write
+function scheduleEviction() {
+  clearTimeout(scheduleEviction.timeout);
+  scheduleEviction.timeout = setTimeout(async () => {
+    try {
+      const removed = await evictStoredLocations(settings.maxCacheEntries);
+      if (removed.length > 0) {
+        broadcastCacheChanges(Object.fromEntries(removed.map(screenName => [screenName, null])));
+      }
+    } catch (error) {
+      log.error('Error evicting cached locations:', error);
+    }
+  }, 5000);
+}
+
+async function saveLookupResult(screenName, entry) {
+  await putStoredLocations({ [screenName]: entry });
+  broadcastCacheChanges({ [screenName]: entry });
+  scheduleEviction();
+}
+
+// Milliseconds until the rate limit resets, or 0 when requests may go out
+function getRateLimitWait() {
+  if (rateLimitResetTime === 0) return 0;
+  const wait = rateLimitResetTime * 1000 - Date.now();
+  if (wait <= 0) {
+    // Rate limit expired, reset
+    rateLimitResetTime = 0;
+    return 0;
+  }
+  return wait;
+}
+
+function setRateLimitReset(resetTime) {
+  rateLimitResetTime = Math.max(rateLimitResetTime, resetTime);
+  const waitTime = getRateLimitWait();
+  recordEvent('rateLimit', { resetTime, waitTime, queued: requestQueue.length });
+  log.info(`Rate limit detected. Will resume requests in ${Math.ceil(waitTime / 1000 / 60)} minutes`);
+}
+
+function toLookupPriority(priority) {
+  return Object.values(LOOKUP_PRIORITY).includes(priority) ? priority : LOOKUP_PRIORITY.offscreen;
+}
+
+// Add a tab's lookup to the shared queue. A lookup already pending for the
+// same account just gains another tab to notify. force skips the store.
+async function submitLookup(screenName, tabId, force, priority) {
+  const pending = pendingLookups.get(screenName);
+  if (pending) {
+    pending.tabIds.add(tabId);
+    pending.priorities.set(tabId, toLookupPriority(priority));
+    return;
+  }
+
+  const lookup = {
+    screenName,
+    tabIds: new Set([tabId]),
+    priorities: new Map([[tabId, toLookupPriority(priority)]])
+  };
+  pendingLookups.set(screenName, lookup);
+
+  if (!force) {
+    // Another tab may have resolved it since this tab last checked the store
+    try {
+      await locationStoreReady;
+      const entry = (await getStoredLocations([screenName]))[screenName];
+      if (entry && isCacheEntryFresh(entry)) {
+        finishLookup(lookup, entry);
+        return;
+      }
+    } catch (error) {
+      log.error(`Error checking cached location for ${screenName}:`, error);
+    }
+  }
+
+  requestQueue.push(screenName);
+  processRequestQueue();
+}
+
+// A tab's account scrolled into or out of view
+function setLookupPriority(screenName, tabId, priority) {
+  const lookup = pendingLookups.get(screenName);
+  if (lookup && lookup.tabIds.has(tabId)) {
+    lookup.priorities.set(tabId, toLookupPriority(priority));
+  }
+}
+
+// The tab no longer needs the result (closed, or the account left the page).
+// A queued lookup no tab is waiting for is dropped; one in flight still
+// finishes so its result gets stored.
+function dropLookupTab(lookup, tabId) {
+  lookup.tabIds.delete(tabId);
+  lookup.priorities.delete(tabId);
+  if (lookup.tabIds.size > 0 || lookup.inFlight) return;
+
+  pendingLookups.delete(lookup.screenName);
+  const index = requestQueue.indexOf(lookup.screenName);
+  if (index !== -1) {
+    requestQueue.splice(index, 1);
+  }
+}
+
+// The most urgent tab decides
+function getLookupPriority(lookup) {
+  return Math.min(LOOKUP_PRIORITY.revalidate, ...lookup.priorities.values());
+}
+
+// Remove and return the queued screen name to request next: the most urgent,
+// oldest first among equals
+function takeNextQueued() {
+  let nextIndex = 0;
+  let nextPriority = Infinity;
+  requestQueue.forEach((screenName, index) => {
+    const lookup = pendingLookups.get(screenName);
+    const priority = lookup ? getLookupPriority(lookup) : Infinity;
+    if (priority < nextPriority) {
+      nextIndex = index;
+      nextPriority = priority;
+    }
+  });
+  return requestQueue.splice(nextIndex, 1)[0];
+}
+
+// Push the result to every waiting tab. entry is null when nothing was
+// cached (timeout, no X tab left to ask), so tabs may try again later.
+function finishLookup(lookup, entry) {
+  if (pendingLookups.get(lookup.screenName) === lookup) {
+    pendingLookups.delete(lookup.screenName);
+  }
+  for (const tabId of lookup.tabIds) {
+    chrome.tabs.sendMessage(tabId, { type: 'locationResolved', screenName: lookup.screenName, entry })
+      .catch(() => {});
+  }
+}
+
+// Have a tab's page script make the request, since it needs the user's
+// X session. Tabs that asked are tried first, then any other X tab.
+async function fetchFromTab(lookup) {
+  const tabIds = [...lookup.tabIds];
+  try {
+    const tabs = await chrome.tabs.query({ url: X_TAB_URLS });
+    tabs.forEach(tab => {
+      if (!tabIds.includes(tab.id)) tabIds.push(tab.id);
+    });
+  } catch (error) {
+    log.error('Error listing X tabs:', error);
+  }
+
+  for (const tabId of tabIds) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { type: 'fetchLocation', screenName: lookup.screenName });
+      if (response) return response;
+    } catch (error) {
+      // Tab closed or without a live content script, try the next one
+    }
+  }
+  return null;
+}
+
+// Store locations the page script read from X's own responses. Queued
+// lookups for those accounts are answered right away and never requested.
+async function saveHarvestedLocations(profiles) {
+  const entries = {};
+  for (const { screenName, profile } of profiles) {
+    if (screenName && profile && profile.location) {
+      entries[screenName] = createCacheEntry(profile, settings.cacheExpiryDays * DAY_MS);
+    }
+  }
+  if (Object.keys(entries).length === 0) return;
+
+  await locationStoreReady;
+  await putStoredLocations(entries);
+  broadcastCacheChanges(entries);
+  scheduleEviction();
+  log.info(`Saved ${Object.keys(entries).length} locations from X's own responses`);
+
+  for (const [screenName, entry] of Object.entries(entries)) {
+    const lookup = pendingLookups.get(screenName);
+    if (lookup && !lookup.inFlight) {
+      finishLookup(lookup, entry);
+    }
+  }
+}
+
+// Put a lookup back in the queue after a failed request, unless every tab
+// that wanted it has let go while the request was out
+function requeueLookup(lookup) {
+  lookup.inFlight = false;
+  if (lookup.tabIds.size === 0) {
+    pendingLookups.delete(lookup.screenName);
+    return;
+  }
+  requestQueue.unshift(lookup.screenName);
+}
+
+async function runLookup(lookup) {
+  const { screenName } = lookup;
+  const response = await fetchFromTab(lookup);
+
+  if (response && response.rateLimit) {
+    updateRateLimitBudget(response.rateLimit);
+  }
+
+  if (response && response.rateLimited) {
+    // Don't cache failures due to rate limiting; retry once the limit resets
+    if (getRateLimitWait() === 0) {
+      setRateLimitReset(Math.ceil((Date.now() + DEFAULT_RATE_LIMIT_WAIT) / 1000));
+    }
+    log.info(`Rate limited while looking up ${screenName}, requeueing`);
+    requeueLookup(lookup);
+    return;
+  }
+
+  // Server error, network failure or timeout: back off, then try again a few times
+  if (response && response.failure) {
+    const backoff = recordRequestFailure();
+    lookup.attempts = (lookup.attempts || 0) + 1;
+    recordEvent('requestFailure', { failure: response.failure, attempt: lookup.attempts, backoffMs: backoff });
+    log.info(`Lookup for ${screenName} failed (${response.failure}), backing off for ${Math.ceil(backoff / 1000)}s`);
+    if (lookup.attempts < MAX_LOOKUP_ATTEMPTS) {
+      requeueLookup(lookup);
+    } else {
+      finishLookup(lookup, null);
+    }
+    return;
+  }
+
+  // The page script answered
+  if (response) {
+    recordRequestSuccess();
+  }
+
+  // Each outcome is cached for its own time. Errors aren't, and neither is a
+  // lookup no tab could make, so tabs may retry.
+  const ttl = response ? getStatusCacheTtl(response.status, settings) : 0;
+  if (!ttl) {
+    finishLookup(lookup, null);
+    return;
+  }
+
+  const entry = createCacheEntry(response.record, ttl, response.status);
+  try {
+    await saveLookupResult(screenName, entry);
+  } catch (error) {
+    log.error(`Error saving location for ${screenName}:`, error);
+  }
+  finishLookup(lookup, entry);
+}
+
+// Start as many queued lookups as the concurrency limit, X's rate limit and
+// the pacing in rateLimiter.js allow, and come back when the next may go out
+function processRequestQueue() {
+  clearTimeout(processRequestQueue.timeout);
+
+  while (requestQueue.length > 0 && activeRequests < settings.maxConcurrentRequests) {
+    const rateLimitWait = getRateLimitWait();
+    if (rateLimitWait > 0) {
+      log.info(`Rate limited. Waiting ${Math.ceil(rateLimitWait / 1000 / 60)} minutes...`);
+    }
+    const wait = Math.max(rateLimitWait, getRequestWait(settings.minRequestInterval));
+    if (wait > 0) {
+      processRequestQueue.timeout = setTimeout(processRequestQueue, Math.min(wait, 60000)); // Check every minute max
+      return;
+    }
+
+    const screenName = takeNextQueued();
+    const lookup = pendingLookups.get(screenName);
+    // Every tab that wanted it has closed
+    if (!lookup) continue;
+
+    takeRequestToken();
+    activeRequests++;
+    lookup.inFlight = true;
+
+    runLookup(lookup)
+      .catch(error => {
+        log.error(`Error looking up ${screenName}:`, error);
+        finishLookup(lookup, null);
+      })
+      .finally(() => {
+        activeRequests--;
+        // Continue processing queue
+        processRequestQueue();
+      });
+  }
+}
+
+// Forget closed tabs; lookups nobody is waiting for are dropped from the queue
+chrome.tabs.onRemoved.addListener((tabId) => {
+  for (const lookup of [...pendingLookups.values()]) {
+    if (lookup.tabIds.has(tabId)) {
+      dropLookupTab(lookup, tabId);
+    }
+  }
+});
+
+async function handleLocationStoreMessage(message) {
+  await locationStoreReady;
+
+  switch (message.op) {
+    case 'get':
+      return { entries: await getStoredLocations(message.screenNames) };
+    case 'getAll':
+      return { entries: await getAllStoredLocations() };
+    case 'search':
+      return searchStoredLocations(message.query, message.limit);
+    case 'put':
+      await putStoredLocations(message.entries);
+      broadcastCacheChanges(message.entries);
+      scheduleEviction();
+      return { ok: true };
+    case 'remove':
+      await removeStoredLocations(message.screenNames);
+      broadcastCacheChanges(Object.fromEntries(message.screenNames.map(screenName => [screenName, null])));
+      return { ok: true };
+    case 'clear':
+      await clearStoredLocations();
+      broadcastCacheChanges({ [ALL_CACHE_ENTRIES]: null });
+      return { ok: true };
+    case 'recordSeen':
+      await putSeenAccounts(message.accounts);
+      return { ok: true };
+    case 'seenStats':
+      return { stats: await countSeenAccounts() };
+    case 'clearSeen':
+      await clearSeenAccounts();
+      return { ok: true };
+    default:
+      throw new Error(`Unknown location store operation: ${message.op}`);
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message) return;
+
+  // Lookups from content scripts; the result is pushed back as locationResolved
+  if (message.type === 'lookupLocation' && sender.tab) {
+    submitLookup(message.screenName, sender.tab.id, message.force, message.priority);
+    return;
+  }
+
+  if (message.type === 'lookupPriority' && sender.tab) {
+    setLookupPriority(message.screenName, sender.tab.id, message.priority);
+    return;
+  }
+
+  if (message.type === 'cancelLookup' && sender.tab) {
+    const lookup = pendingLookups.get(message.screenName);
+    if (lookup) {
+      dropLookupTab(lookup, sender.tab.id);
+    }
+    return;
+  }
+
+  if (message.type === 'harvestedLocations') {
+    saveHarvestedLocations(message.profiles).catch(error => {
+      log.error('Error saving harvested locations:', error);
+    });
+    return;
+  }
+
+  if (message.type === 'rateLimited') {
+    setRateLimitReset(message.resetTime);
+    return;
+  }
+
+  // Diagnostics report on the options page
+  if (message.type === 'getDiagnostics') {
+    sendResponse({
+      events: getDiagnosticEvents(),
+      queued: requestQueue.length,
+      activeRequests,
+      rateLimitResetTime,
+      rateLimiter: getRateLimiterState()
+    });
+    return;
+  }
+
+  if (message.type !== 'locationStore') return;
+
+  handleLocationStoreMessage(message)
+    .then(sendResponse)
+    .catch(error => {
+      log.error(`Location store ${message.op} failed:`, error);
+      sendResponse({ error: error.message });
+    });
+  // Keep the channel open for the async response
+  return true;
+});
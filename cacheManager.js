@@ -0,0 +1,196 @@
+// Cache manager on the options page: browse, search, delete, refresh,
+// clear, export and import the persistent location cache
+const cacheSearch = document.getElementById('cacheSearch');
+const cacheRows = document.getElementById('cacheRows');
+const cacheSummary = document.getElementById('cacheSummary');
+const cacheStatus = document.getElementById('cacheStatus');
+const cacheConflict = document.getElementById('cacheConflict');
+const cacheImportFile = document.getElementById('cacheImportFile');
+
+// Only render this many rows; searching narrows the list further
+const MAX_CACHE_ROWS = 200;
+
+// How entries without a location read in the table, by status (message names)
+const CACHE_STATUS_LABELS = {
+  noLocation: 'cacheNoLocation',
+  protected: 'statusProtected',
+  suspended: 'statusSuspended',
+  notFound: 'statusNotFound'
+};
+
+let defaultCacheTtl = getDefaultSettings().cacheExpiryDays * DAY_MS;
+
+async function loadDefaultCacheTtl() {
+  const currentSettings = await loadSettings();
+  defaultCacheTtl = currentSettings.cacheExpiryDays * DAY_MS;
+}
+
+function showCacheStatus(message) {
+  cacheStatus.textContent = message;
+  clearTimeout(showCacheStatus.timeout);
+  showCacheStatus.timeout = setTimeout(() => {
+    cacheStatus.textContent = '';
+  }, 5000);
+}
+
+function formatCachedDate(entry) {
+  const cached = new Date(entry.cachedAt).toLocaleString();
+  return isCacheEntryFresh(entry) ? cached : getMessage('cacheStale', cached);
+}
+
+function createActionButton(label, onClick, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `small ${className || ''}`.trim();
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// The cache can hold tens of thousands of accounts, so the background
+// script does the searching and only the rows to show come back
+async function renderCacheRows() {
+  const query = cacheSearch.value.trim();
+  let result;
+  try {
+    result = await searchCacheEntries(query, MAX_CACHE_ROWS);
+  } catch (error) {
+    log.error('Error loading cached locations:', error);
+    cacheSummary.textContent = getMessage('cacheLoadFailed', error.message);
+    return;
+  }
+  // A newer search started while this one was running
+  if (cacheSearch.value.trim() !== query) return;
+
+  cacheRows.replaceChildren();
+  for (const [screenName, entry] of result.entries) {
+    const record = entry.profile;
+    const row = document.createElement('tr');
+
+    const handleCell = document.createElement('td');
+    handleCell.textContent = `@${screenName}`;
+
+    const locationCell = document.createElement('td');
+    if (record) {
+      const match = resolveLocation(record.location);
+      locationCell.textContent = match ? `${match.flag} ${record.location}` : record.location;
+    } else {
+      locationCell.textContent = getMessage(CACHE_STATUS_LABELS[getEntryStatus(entry)] || CACHE_STATUS_LABELS.noLocation);
+      locationCell.style.color = '#536471';
+    }
+
+    const cachedCell = document.createElement('td');
+    cachedCell.textContent = formatCachedDate(entry);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'actions';
+    actionsCell.appendChild(createActionButton(getMessage('cacheRefresh'), () => refreshCacheEntry(screenName)));
+    actionsCell.appendChild(createActionButton(getMessage('cacheDelete'), () => deleteCacheEntry(screenName), 'danger'));
+
+    row.appendChild(handleCell);
+    row.appendChild(locationCell);
+    row.appendChild(cachedCell);
+    row.appendChild(actionsCell);
+    cacheRows.appendChild(row);
+  }
+
+  const { matching, total, withLocation } = result;
+  const shown = result.entries.length;
+  let summary = query
+    ? getPluralMessage('cacheSummaryMatching', matching, total)
+    : getPluralMessage('cacheSummary', total, withLocation);
+  if (shown < matching) {
+    summary += ' ' + getMessage(query ? 'cacheSummaryShowing' : 'cacheSummaryShowingNewest', shown);
+  }
+  cacheSummary.textContent = summary;
+}
+
+async function deleteCacheEntry(screenName) {
+  await removeCacheEntries([screenName]);
+  showCacheStatus(getMessage('cacheDeleted', screenName));
+}
+
+// Ask an open X tab to look the account up again. Lookups need the page's
+// session, so without an open tab the entry is dropped and refetched when next seen.
+async function refreshCacheEntry(screenName) {
+  const tabs = await chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] });
+  for (const tab of tabs) {
+    try {
+      showCacheStatus(getMessage('cacheRefreshing', screenName));
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'refreshLocation', screenName });
+      if (response) {
+        showCacheStatus(response.location
+          ? getMessage('cacheRefreshed', [screenName, response.location])
+          : getMessage('cacheRefreshedNoLocation', screenName));
+        return;
+      }
+    } catch (error) {
+      // Tab without a live content script, try the next one
+    }
+  }
+
+  await deleteCacheEntry(screenName);
+  showCacheStatus(getMessage('cacheRefreshNoTab', screenName));
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(extension) {
+  return `twitter-location-cache-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+document.getElementById('cacheExportJson').addEventListener('click', async () => {
+  downloadFile(exportFilename('json'), exportCacheJson(await readAllCacheEntries()), 'application/json');
+});
+
+document.getElementById('cacheExportCsv').addEventListener('click', async () => {
+  downloadFile(exportFilename('csv'), exportCacheCsv(await readAllCacheEntries()), 'text/csv');
+});
+
+document.getElementById('cacheImport').addEventListener('click', () => {
+  cacheImportFile.click();
+});
+
+cacheImportFile.addEventListener('change', async () => {
+  const file = cacheImportFile.files[0];
+  cacheImportFile.value = '';
+  if (!file) return;
+
+  try {
+    const imported = parseCacheImport(await file.text(), defaultCacheTtl);
+    const existing = await getCacheEntries(Object.keys(imported));
+    const { changes, added, updated, skipped } = mergeCacheEntries(existing, imported, cacheConflict.value);
+    await writeCacheEntries(changes);
+    showCacheStatus(getMessage('cacheImported', [file.name, added, updated, skipped]));
+  } catch (error) {
+    log.error('Error importing cache:', error);
+    showCacheStatus(getMessage('cacheImportFailed', [file.name, error.message]));
+  }
+});
+
+document.getElementById('cacheClear').addEventListener('click', async () => {
+  if (!confirm(getMessage('cacheClearConfirm'))) return;
+  await clearCacheEntries();
+  showCacheStatus(getMessage('cacheCleared'));
+});
+
+cacheSearch.addEventListener('input', renderCacheRows);
+
+// Keep the list current while tabs keep caching locations
+chrome.runtime.onMessage.addListener((message) => {
+  if (message && message.type === 'locationCacheChanged') {
+    renderCacheRows();
+  }
+});
+
+loadDefaultCacheTtl();
+renderCacheRows();
@@ -1,16 +1,28 @@
-// Cache for user locations - persistent storage
+// In-memory cache of the locations this tab has looked up; the persistent
+// store lives in the background script (see locationStore.js).
+// Values are cache entries { profile, cachedAt, ttl } where profile is the
+// location record ({ location, source, locationAccurate, ... }) extracted by
+// pageScript.js, or null when no location was found (negative entry).
 let locationCache = new Map();
-const CACHE_KEY = 'twitter_location_cache';
-const CACHE_EXPIRY_DAYS = 30; // Cache for 30 days
-
-// Rate limiting
-const requestQueue = [];
-let isProcessingQueue = false;
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 2000; // 2 seconds between requests (increased to avoid rate limits)
-const MAX_CONCURRENT_REQUESTS = 2; // Reduced concurrent requests
-let activeRequests = 0;
-let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
+
+// Store lookups waiting to be sent together: username -> [resolve]
+const pendingStoreLookups = new Map();
+
+// Lookups submitted to the background queue: username -> [resolve]
+const pendingLookups = new Map();
+
+// Resubmit lookups still unanswered after this long, in case the background
+// script was restarted and lost its queue (it ignores duplicates)
+const LOOKUP_RESUBMIT_INTERVAL = 60 * 1000;
+
+// Usernames with a background refresh of a stale entry in flight
+const revalidatingUsernames = new Set();
+
+// Stale entries are served while revalidating for up to this many TTLs, then ignored
+const MAX_STALE_FACTOR = 2;
+
+// User settings (timings, cache expiry, display preferences), see settings.js
+let settings = getDefaultSettings();
 
 // Observer for dynamically loaded content
 let observer = null;
@@ -20,26 +32,75 @@ let extensionEnabled = true;
 const TOGGLE_KEY = 'extension_enabled';
 const DEFAULT_ENABLED = true;
 
-// Track usernames currently being processed to avoid duplicate requests
-const processingUsernames = new Set();
+// Hide flags X marks as possibly inaccurate (VPN/proxy)
+let hideInaccurate = false;
+const HIDE_INACCURATE_KEY = 'hide_inaccurate_flags';
+const DEFAULT_HIDE_INACCURATE = false;
+
+// AboutAccountQuery ID discovered by the page script and whether it works:
+// { queryId, source, error: { message, status, at } | null, updatedAt }.
+// queryId is null while the built-in ID is in use.
+const ABOUT_QUERY_KEY = 'about_query';
+
+// Accounts shown in this tab with a location, for the statistics page:
+// lowercased username -> { type, code } of the resolved country or region,
+// or null when the location isn't recognized. Each account counts once.
+const seenAccounts = new Map();
+
+// Seen accounts not yet added to the all-time statistics
+let unreportedAccounts = {};
+const pageLoadedAt = Date.now();
+
+// Lookups that failed (rate limit, server or network error, timeout) and flags
+// that couldn't be placed are tried again after this long, not on every scan
+const FAILED_RETRY_DELAY = 30 * 1000;
+
+// Faint markers for accounts that resolved without a location, by status,
+// with the message naming it. Failed lookups get none; they're retried.
+const STATUS_MARKERS = {
+  noLocation: { text: '?', message: 'statusNoLocation' },
+  protected: { text: '🔒', message: 'statusProtected' },
+  suspended: { text: '⊘', message: 'statusSuspended' },
+  notFound: { text: '✕', message: 'statusNotFound' }
+};
 
 // Load enabled state
 async function loadEnabledState() {
   try {
-    const result = await chrome.storage.local.get([TOGGLE_KEY]);
+    const result = await chrome.storage.local.get([TOGGLE_KEY, HIDE_INACCURATE_KEY]);
     extensionEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
-    console.log('Extension enabled:', extensionEnabled);
+    hideInaccurate = result[HIDE_INACCURATE_KEY] !== undefined ? result[HIDE_INACCURATE_KEY] : DEFAULT_HIDE_INACCURATE;
+    log.debug('Extension enabled:', extensionEnabled, 'Hide inaccurate:', hideInaccurate);
   } catch (error) {
-    console.error('Error loading enabled state:', error);
+    log.error('Error loading enabled state:', error);
     extensionEnabled = DEFAULT_ENABLED;
+    hideInaccurate = DEFAULT_HIDE_INACCURATE;
   }
 }
 
-// Listen for toggle changes from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'extensionToggle') {
-    extensionEnabled = request.enabled;
-    console.log('Extension toggled:', extensionEnabled);
+// Apply the console logging setting here and in the page script
+function applyLogLevel() {
+  setLogLevel(settings.logLevel);
+  sendToPage({ type: 'logLevel', level: settings.logLevel });
+}
+
+// Re-render all flags from cache, e.g. after a display setting changed
+function rerenderFlags() {
+  if (!extensionEnabled) return;
+  removeAllFlags();
+  setTimeout(() => {
+    processUsernames();
+  }, 500);
+}
+
+// Apply changes from the popup and options page live, in every open tab
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  
+  if (changes[TOGGLE_KEY]) {
+    const newValue = changes[TOGGLE_KEY].newValue;
+    extensionEnabled = newValue !== undefined ? newValue : DEFAULT_ENABLED;
+    log.info('Extension toggled:', extensionEnabled);
     
     if (extensionEnabled) {
       // Re-initialize if enabled
@@ -51,707 +112,876 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       removeAllFlags();
     }
   }
-});
-
-// Load cache from persistent storage
-async function loadCache() {
-  try {
-    // Check if extension context is still valid
-    if (!chrome.runtime?.id) {
-      console.log('Extension context invalidated, skipping cache load');
-      return;
+  
+  if (changes[HIDE_INACCURATE_KEY]) {
+    const newValue = changes[HIDE_INACCURATE_KEY].newValue;
+    hideInaccurate = newValue !== undefined ? newValue : DEFAULT_HIDE_INACCURATE;
+    log.info('Hide inaccurate locations toggled:', hideInaccurate);
+    // Re-render from cache so hidden flags come back (or go away)
+    rerenderFlags();
+  }
+  
+  if (changes[COUNTRY_FILTER_KEY]) {
+    setCountryFilter(changes[COUNTRY_FILTER_KEY].newValue);
+    log.debug('Country filter updated:', countryFilter);
+  }
+  
+  if (changes[SETTINGS_KEY]) {
+    const previous = settings;
+    settings = validateSettings(changes[SETTINGS_KEY].newValue).settings;
+    log.debug('Settings updated:', settings);
+    if (previous.logLevel !== settings.logLevel) {
+      applyLogLevel();
     }
     
-    const result = await chrome.storage.local.get(CACHE_KEY);
-    if (result[CACHE_KEY]) {
-      const cached = result[CACHE_KEY];
-      const now = Date.now();
-      
-      // Filter out expired entries and null entries (allow retry)
-      for (const [username, data] of Object.entries(cached)) {
-        if (data.expiry && data.expiry > now && data.location !== null) {
-          locationCache.set(username, data.location);
-        }
-      }
-      console.log(`Loaded ${locationCache.size} cached locations (excluding null entries)`);
-    }
-  } catch (error) {
-    // Extension context invalidated errors are expected when extension is reloaded
-    if (error.message?.includes('Extension context invalidated') || 
-        error.message?.includes('message port closed')) {
-      console.log('Extension context invalidated, cache load skipped');
-    } else {
-      console.error('Error loading cache:', error);
+    // Request timings and cache expiry are read on use; display settings need a redraw
+    const displayChanged = Object.keys(SETTINGS_SCHEMA).some(key =>
+      SETTINGS_SCHEMA[key].section === 'display' && previous[key] !== settings[key]);
+    if (displayChanged) {
+      rerenderFlags();
     }
   }
+});
+
+// Messages from the cache manager and the background script
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type === 'refreshLocation') {
+    const { screenName } = request;
+    log.info(`Forced refresh requested for ${screenName}`);
+    // Skip both the tab's and the persistent cache
+    trackUnboundLookup(screenName, LOOKUP_PRIORITY.visible);
+    queueLocationRequest(screenName, true).then(entry => {
+      rerenderFlags();
+      sendResponse({ location: entry?.profile?.location || null });
+    });
+    // Keep the channel open for the async response
+    return true;
+  }
+  
+  // The background queue picked this tab to make a request. Without a page
+  // script to make it, stay silent so the queue tries another tab.
+  if (request.type === 'fetchLocation') {
+    if (!isPageChannelOpen()) return false;
+    makeLocationRequest(request.screenName).then(sendResponse);
+    return true;
+  }
+  
+  // Result of a lookup this tab submitted
+  if (request.type === 'locationResolved') {
+    resolveLookup(request.screenName, request.entry);
+  }
+  
+  // Entries written or removed by other tabs and the cache manager
+  if (request.type === 'locationCacheChanged') {
+    syncCacheChanges(request.changes);
+  }
+
+  // Statistics page
+  if (request.type === 'getCountryStats') {
+    sendResponse(getTabCountryStats());
+  }
+
+  // Diagnostics report on the options page
+  if (request.type === 'getDiagnostics') {
+    sendResponse({
+      events: getDiagnosticEvents(),
+      enabled: extensionEnabled,
+      cachedInTab: locationCache.size,
+      waitingLookups: pendingLookups.size,
+      layout: getLayoutHealth()
+    });
+  }
+});
+
+function getPositiveCacheTtl() {
+  return settings.cacheExpiryDays * DAY_MS;
 }
 
-// Save cache to persistent storage
-async function saveCache() {
-  try {
-    // Check if extension context is still valid
-    if (!chrome.runtime?.id) {
-      console.log('Extension context invalidated, skipping cache save');
-      return;
-    }
-    
-    const cacheObj = {};
-    const now = Date.now();
-    const expiry = now + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
-    
-    for (const [username, location] of locationCache.entries()) {
-      cacheObj[username] = {
-        location: location,
-        expiry: expiry,
-        cachedAt: now
-      };
+// Look an entry up in the persistent store. Lookups made while scanning a
+// page are sent as one batch. Resolves to the entry or undefined.
+function loadCacheEntry(username) {
+  return new Promise(resolve => {
+    if (!pendingStoreLookups.has(username)) {
+      pendingStoreLookups.set(username, []);
     }
+    pendingStoreLookups.get(username).push(resolve);
     
-    await chrome.storage.local.set({ [CACHE_KEY]: cacheObj });
-  } catch (error) {
-    // Extension context invalidated errors are expected when extension is reloaded
-    if (error.message?.includes('Extension context invalidated') || 
-        error.message?.includes('message port closed')) {
-      console.log('Extension context invalidated, cache save skipped');
-    } else {
-      console.error('Error saving cache:', error);
-    }
-  }
+    if (loadCacheEntry.timeout) return;
+    loadCacheEntry.timeout = setTimeout(async () => {
+      loadCacheEntry.timeout = null;
+      const lookups = new Map(pendingStoreLookups);
+      pendingStoreLookups.clear();
+      
+      let entries = {};
+      try {
+        // Check if extension context is still valid
+        if (chrome.runtime?.id) {
+          entries = await getCacheEntries([...lookups.keys()]);
+        }
+      } catch (error) {
+        // Extension context invalidated errors are expected when extension is reloaded
+        if (error.message?.includes('Extension context invalidated') || 
+            error.message?.includes('message port closed')) {
+          log.debug('Extension context invalidated, cache lookup skipped');
+        } else {
+          log.error('Error loading cached locations:', error);
+        }
+      }
+      
+      for (const [name, resolvers] of lookups) {
+        const entry = entries[name];
+        // Don't overwrite a result this tab got while the lookup was in flight
+        if (entry && !locationCache.has(name)) {
+          locationCache.set(name, entry);
+        }
+        resolvers.forEach(done => done(locationCache.get(name)));
+      }
+    }, 50);
+  });
 }
 
-// Save a single entry to cache
-async function saveCacheEntry(username, location) {
-  // Check if extension context is still valid
-  if (!chrome.runtime?.id) {
-    console.log('Extension context invalidated, skipping cache entry save');
-    return;
+// Mirror cache edits made elsewhere (cache manager, other tabs) into memory.
+// Only accounts this tab already holds are updated; others are read from the
+// store when they show up.
+function syncCacheChanges(cacheChanges) {
+  if (ALL_CACHE_ENTRIES in cacheChanges) {
+    locationCache.clear();
   }
   
-  locationCache.set(username, location);
-  // Debounce saves - only save every 5 seconds
-  if (!saveCache.timeout) {
-    saveCache.timeout = setTimeout(async () => {
-      await saveCache();
-      saveCache.timeout = null;
-    }, 5000);
+  for (const [username, data] of Object.entries(cacheChanges)) {
+    if (!locationCache.has(username)) continue;
+    const entry = data && toCacheEntry(data, getPositiveCacheTtl());
+    if (entry) {
+      locationCache.set(username, entry);
+    } else {
+      locationCache.delete(username);
+    }
   }
 }
 
-// Inject script into page context to access fetch with proper cookies
+// Inject script into page context to access fetch with proper cookies.
+// It talks to us over the private channel in pageChannel.js.
 function injectPageScript() {
-  const script = document.createElement('script');
-  script.src = chrome.runtime.getURL('pageScript.js');
+  const script = createPageScriptElement();
   script.onload = function() {
     this.remove();
+    connectPageScript();
+    sendStoredQueryId();
+  };
+  // Never ran: connecting refuses the channel
+  script.onerror = function() {
+    this.remove();
+    connectPageScript();
   };
   (document.head || document.documentElement).appendChild(script);
   
-  // Listen for rate limit info from page script
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (event.data && event.data.type === '__rateLimitInfo') {
-      rateLimitResetTime = event.data.resetTime;
-      const waitTime = event.data.waitTime;
-      console.log(`Rate limit detected. Will resume requests in ${Math.ceil(waitTime / 1000 / 60)} minutes`);
-    }
+  onPageMessage('locationResponse', handleLocationResponse);
+  
+  // Pass rate limit info from page script on to the shared queue
+  onPageMessage('rateLimitInfo', (message) => {
+    const waitTime = message.waitTime;
+    recordEvent('rateLimit', { resetTime: message.resetTime, waitTime });
+    log.info(`Rate limit detected. Will resume requests in ${Math.ceil(waitTime / 1000 / 60)} minutes`);
+    chrome.runtime.sendMessage({ type: 'rateLimited', resetTime: message.resetTime }).catch(error => {
+      log.error('Error reporting rate limit:', error);
+    });
   });
-}
-
-// Process request queue with rate limiting
-async function processRequestQueue() {
-  if (isProcessingQueue || requestQueue.length === 0) {
-    return;
-  }
   
-  // Check if we're rate limited
-  if (rateLimitResetTime > 0) {
-    const now = Math.floor(Date.now() / 1000);
-    if (now < rateLimitResetTime) {
-      const waitTime = (rateLimitResetTime - now) * 1000;
-      console.log(`Rate limited. Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes...`);
-      setTimeout(processRequestQueue, Math.min(waitTime, 60000)); // Check every minute max
-      return;
-    } else {
-      // Rate limit expired, reset
-      rateLimitResetTime = 0;
-    }
-  }
+  // Status code of every request the page script makes for us
+  onPageMessage('apiStatus', ({ status, durationMs, rateLimitRemaining }) => {
+    recordEvent('api', { status, durationMs, rateLimitRemaining });
+  });
   
-  isProcessingQueue = true;
+  onPageMessage('queryIdStatus', saveQueryIdStatus);
   
-  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    
-    // Wait if needed to respect rate limit
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-      await new Promise(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest));
+  // Locations X itself loaded; store them without spending a lookup
+  onPageMessage('harvestedProfiles', (message) => {
+    chrome.runtime.sendMessage({ type: 'harvestedLocations', profiles: message.profiles }).catch(error => {
+      log.error('Error saving harvested locations:', error);
+    });
+  });
+}
+
+// Hand the last discovered AboutAccountQuery ID to the page script
+async function sendStoredQueryId() {
+  try {
+    const result = await chrome.storage.local.get([ABOUT_QUERY_KEY]);
+    const stored = result[ABOUT_QUERY_KEY];
+    if (stored && stored.queryId) {
+      sendToPage({ type: 'aboutQueryId', queryId: stored.queryId });
     }
-    
-    const { screenName, resolve, reject } = requestQueue.shift();
-    activeRequests++;
-    lastRequestTime = Date.now();
-    
-    // Make the request
-    makeLocationRequest(screenName)
-      .then(location => {
-        resolve(location);
-      })
-      .catch(error => {
-        reject(error);
-      })
-      .finally(() => {
-        activeRequests--;
-        // Continue processing queue
-        setTimeout(processRequestQueue, 200);
-      });
+  } catch (error) {
+    log.error('Error loading AboutAccountQuery ID:', error);
   }
-  
-  isProcessingQueue = false;
 }
 
-// Make actual API request
-function makeLocationRequest(screenName) {
-  return new Promise((resolve, reject) => {
-    const requestId = Date.now() + Math.random();
-    
-    // Listen for response via postMessage
-    const handler = (event) => {
-      // Only accept messages from the page (not from extension)
-      if (event.source !== window) return;
-      
-      if (event.data && 
-          event.data.type === '__locationResponse' &&
-          event.data.screenName === screenName && 
-          event.data.requestId === requestId) {
-        window.removeEventListener('message', handler);
-        const location = event.data.location;
-        const isRateLimited = event.data.isRateLimited || false;
-        
-        // Only cache if not rate limited (don't cache failures due to rate limiting)
-        if (!isRateLimited) {
-          saveCacheEntry(screenName, location || null);
-        } else {
-          console.log(`Not caching null for ${screenName} due to rate limit`);
-        }
-        
-        resolve(location || null);
+// Persist query ID changes and failures so other tabs start from a working
+// ID and the popup can say why flags stopped appearing
+async function saveQueryIdStatus({ queryId, source, error }) {
+  recordEvent('queryIdStatus', { queryId, source, error: error ? error.message : null });
+  if (error) {
+    log.error(`Location lookups are failing: ${error.message}. X may have changed its API; flags will return once a working query ID is found.`);
+  }
+  try {
+    await chrome.storage.local.set({
+      [ABOUT_QUERY_KEY]: {
+        queryId: source === 'default' ? null : queryId,
+        source,
+        error: error || null,
+        updatedAt: Date.now()
       }
-    };
-    window.addEventListener('message', handler);
-    
-    // Send fetch request to page script via postMessage
-    window.postMessage({
-      type: '__fetchLocation',
-      screenName,
-      requestId
-    }, '*');
+    });
+  } catch (saveError) {
+    log.error('Error saving AboutAccountQuery status:', saveError);
+  }
+}
+
+// Requests sent to the page script: requestId -> { screenName, resolve, timeout }
+const pendingPageRequests = new Map();
+
+// Make actual API request through the page script, for the background queue.
+// Resolves to { record, status, rateLimited, failure, rateLimit } where status
+// is a LOOKUP_STATUS. Rate limiting, server errors (failure 'server'), network
+// failures ('network'), timeouts ('timeout') and a broken query ID all end
+// with the error status. rateLimit is the budget X reported (see readRateLimit in
+// pageScript.js) or null.
+function makeLocationRequest(screenName) {
+  return new Promise((resolve) => {
+    const requestId = crypto.randomUUID();
     
-    // Timeout after 10 seconds
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
+    // Give up after the configured timeout
+    const timeout = setTimeout(() => {
+      pendingPageRequests.delete(requestId);
       // Don't cache timeout failures - allow retry
-      console.log(`Request timeout for ${screenName}, not caching`);
-      resolve(null);
-    }, 10000);
+      recordEvent('requestTimeout', { timeoutMs: settings.requestTimeout });
+      log.info(`Request timeout for ${screenName}, not caching`);
+      resolve({ record: null, status: LOOKUP_STATUS.error, rateLimited: false, failure: 'timeout', rateLimit: null });
+    }, settings.requestTimeout);
+    
+    pendingPageRequests.set(requestId, { screenName, resolve, timeout });
+    sendToPage({ type: 'fetchLocation', screenName, requestId });
   });
 }
 
-// Function to query Twitter GraphQL API for user location (with rate limiting)
-async function getUserLocation(screenName) {
-  // Check cache first
-  if (locationCache.has(screenName)) {
-    const cached = locationCache.get(screenName);
-    // Don't return cached null - retry if it was null before (might have been rate limited)
-    if (cached !== null) {
-      console.log(`Using cached location for ${screenName}: ${cached}`);
-      return cached;
-    } else {
-      console.log(`Found null in cache for ${screenName}, will retry API call`);
-      // Remove from cache to allow retry
-      locationCache.delete(screenName);
-    }
+function handleLocationResponse(message) {
+  const request = pendingPageRequests.get(message.requestId);
+  // Unknown, timed out, or answered for a different account
+  if (!request || request.screenName !== message.screenName) return;
+  pendingPageRequests.delete(message.requestId);
+  clearTimeout(request.timeout);
+  
+  const { screenName } = request;
+  const profile = message.profile;
+  const record = profile && profile.location ? profile : null;
+  const isRateLimited = message.isRateLimited;
+  const queryFailed = message.queryFailed;
+  const failure = message.failure || null;
+  
+  // Only cache if not rate limited (don't cache failures due to rate limiting)
+  if (isRateLimited) {
+    log.debug(`Not caching null for ${screenName} due to rate limit`);
+  } else if (queryFailed) {
+    log.debug(`Not caching null for ${screenName}, AboutAccountQuery is failing`);
+  } else if (failure) {
+    log.debug(`Not caching null for ${screenName} after a ${failure} failure`);
   }
   
-  console.log(`Queueing API request for ${screenName}`);
-  // Queue the request
-  return new Promise((resolve, reject) => {
-    requestQueue.push({ screenName, resolve, reject });
-    processRequestQueue();
+  request.resolve({
+    record,
+    status: isRateLimited || queryFailed || failure ? LOOKUP_STATUS.error : message.status,
+    rateLimited: isRateLimited,
+    failure,
+    rateLimit: message.rateLimit || null
   });
 }
 
-// Function to extract username from various Twitter UI elements
-function extractUsername(element) {
-  // Try data-testid="UserName" or "User-Name" first (most reliable)
-  const usernameElement = element.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
-  if (usernameElement) {
-    const links = usernameElement.querySelectorAll('a[href^="/"]');
-    for (const link of links) {
-      const href = link.getAttribute('href');
-      const match = href.match(/^\/([^\/\?]+)/);
-      if (match && match[1]) {
-        const username = match[1];
-        // Filter out common routes
-        const excludedRoutes = ['home', 'explore', 'notifications', 'messages', 'i', 'compose', 'search', 'settings', 'bookmarks', 'lists', 'communities'];
-        if (!excludedRoutes.includes(username) && 
-            !username.startsWith('hashtag') &&
-            !username.startsWith('search') &&
-            username.length > 0 &&
-            username.length < 20) { // Usernames are typically short
-          return username;
-        }
-      }
-    }
+// Function to query Twitter GraphQL API for user location (with rate limiting)
+// Resolves to { status, profile }: a LOOKUP_STATUS and the location record,
+// which is null for every status but located. waitingElement
+// is the element the location is for; its position on screen sets how soon
+// the lookup is made (see lookupPriority.js).
+async function getUserLocation(screenName, waitingElement) {
+  // Check cache first
+  let entry = locationCache.get(screenName) || await loadCacheEntry(screenName);
+  // Stale entries are still served (and revalidated); ignore ones too old to be useful
+  if (entry && Date.now() > entry.cachedAt + entry.ttl * MAX_STALE_FACTOR) {
+    entry = null;
   }
-  
-  // Try finding username links in the entire element (broader search)
-  const allLinks = element.querySelectorAll('a[href^="/"]');
-  const seenUsernames = new Set();
-  
-  for (const link of allLinks) {
-    const href = link.getAttribute('href');
-    if (!href) continue;
-    
-    const match = href.match(/^\/([^\/\?]+)/);
-    if (!match || !match[1]) continue;
-    
-    const potentialUsername = match[1];
-    
-    // Skip if we've already checked this username
-    if (seenUsernames.has(potentialUsername)) continue;
-    seenUsernames.add(potentialUsername);
-    
-    // Filter out routes and invalid usernames
-    const excludedRoutes = ['home', 'explore', 'notifications', 'messages', 'i', 'compose', 'search', 'settings', 'bookmarks', 'lists', 'communities', 'hashtag'];
-    if (excludedRoutes.some(route => potentialUsername === route || potentialUsername.startsWith(route))) {
-      continue;
-    }
-    
-    // Skip status/tweet links
-    if (potentialUsername.includes('status') || potentialUsername.match(/^\d+$/)) {
-      continue;
+  if (entry) {
+    if (isCacheEntryFresh(entry)) {
+      log.debug(`Using cached location for ${screenName}: ${entry.profile ? entry.profile.location : getEntryStatus(entry)}`);
+      return { status: getEntryStatus(entry), profile: entry.profile };
     }
     
-    // Check link text/content for username indicators
-    const text = link.textContent?.trim() || '';
-    const linkText = text.toLowerCase();
-    const usernameLower = potentialUsername.toLowerCase();
-    
-    // If link text starts with @, it's definitely a username
-    if (text.startsWith('@')) {
-      return potentialUsername;
-    }
-    
-    // If link text matches the username (without @), it's likely a username
-    if (linkText === usernameLower || linkText === `@${usernameLower}`) {
-      return potentialUsername;
-    }
-    
-    // Check if link is in a UserName container or has username-like structure
-    const parent = link.closest('[data-testid="UserName"], [data-testid="User-Name"]');
-    if (parent) {
-      // If it's in a UserName container and looks like a username, return it
-      if (potentialUsername.length > 0 && potentialUsername.length < 20 && !potentialUsername.includes('/')) {
-        return potentialUsername;
-      }
+    // Stale-while-revalidate: show the old location now, refresh it in the background
+    if (entry.profile) {
+      log.debug(`Using stale cached location for ${screenName}, revalidating`);
+      revalidateLocation(screenName, entry);
+      return { status: LOOKUP_STATUS.located, profile: entry.profile };
     }
     
-    // Also check if link text is @username format
-    if (text && text.trim().startsWith('@')) {
-      const atUsername = text.trim().substring(1);
-      if (atUsername === potentialUsername) {
-        return potentialUsername;
-      }
-    }
+    // Expired negative entry: look it up again
   }
   
-  // Last resort: look for @username pattern in text content and verify with link
-  const textContent = element.textContent || '';
-  const atMentionMatches = textContent.matchAll(/@([a-zA-Z0-9_]+)/g);
-  for (const match of atMentionMatches) {
-    const username = match[1];
-    // Verify it's actually a link in a User-Name container
-    const link = element.querySelector(`a[href="/${username}"], a[href^="/${username}?"]`);
-    if (link) {
-      // Make sure it's in a username context, not just mentioned in tweet text
-      const isInUserNameContainer = link.closest('[data-testid="UserName"], [data-testid="User-Name"]');
-      if (isInUserNameContainer) {
-        return username;
-      }
-    }
+  log.debug(`Queueing API request for ${screenName}`);
+  if (waitingElement) {
+    trackLookupElement(screenName, waitingElement);
   }
-  
-  return null;
+  const result = await queueLocationRequest(screenName);
+  return result
+    ? { status: getEntryStatus(result), profile: result.profile }
+    : { status: LOOKUP_STATUS.error, profile: null };
 }
 
-// Helper function to find handle section
-function findHandleSection(container, screenName) {
-  return Array.from(container.querySelectorAll('div')).find(div => {
-    const link = div.querySelector(`a[href="/${screenName}"]`);
-    if (link) {
-      const text = link.textContent?.trim();
-      return text === `@${screenName}`;
+// Queue the request with the background script, which shares one queue and
+// rate limit between all tabs. Resolves to the new cache entry, or null when
+// the lookup failed or was cancelled, once the result is pushed back. force
+// skips the persistent cache.
+function queueLocationRequest(screenName, force = false) {
+  return new Promise(resolve => {
+    const waiting = pendingLookups.get(screenName);
+    if (waiting) {
+      waiting.push(resolve);
+      if (!force) return;
+    } else {
+      pendingLookups.set(screenName, [resolve]);
     }
-    return false;
+    submitLookup(screenName, force);
   });
 }
 
-// Create loading shimmer placeholder
-function createLoadingShimmer() {
-  const shimmer = document.createElement('span');
-  shimmer.setAttribute('data-twitter-flag-shimmer', 'true');
-  shimmer.style.display = 'inline-block';
-  shimmer.style.width = '20px';
-  shimmer.style.height = '16px';
-  shimmer.style.marginLeft = '4px';
-  shimmer.style.marginRight = '4px';
-  shimmer.style.verticalAlign = 'middle';
-  shimmer.style.borderRadius = '2px';
-  shimmer.style.background = 'linear-gradient(90deg, rgba(113, 118, 123, 0.2) 25%, rgba(113, 118, 123, 0.4) 50%, rgba(113, 118, 123, 0.2) 75%)';
-  shimmer.style.backgroundSize = '200% 100%';
-  shimmer.style.animation = 'shimmer 1.5s infinite';
-  
-  // Add animation keyframes if not already added
-  if (!document.getElementById('twitter-flag-shimmer-style')) {
-    const style = document.createElement('style');
-    style.id = 'twitter-flag-shimmer-style';
-    style.textContent = `
-      @keyframes shimmer {
-        0% {
-          background-position: -200% 0;
-        }
-        100% {
-          background-position: 200% 0;
-        }
-      }
-    `;
-    document.head.appendChild(style);
-  }
-  
-  return shimmer;
+function submitLookup(screenName, force) {
+  const priority = getLookupPriority(screenName);
+  chrome.runtime.sendMessage({ type: 'lookupLocation', screenName, force, priority }).catch(error => {
+    // Extension context invalidated errors are expected when extension is reloaded
+    if (error.message?.includes('Extension context invalidated')) {
+      log.debug('Extension context invalidated, lookup skipped');
+    } else {
+      log.error(`Error queueing lookup for ${screenName}:`, error);
+    }
+    resolveLookup(screenName, null);
+  });
 }
 
-// Function to add flag to username element
-async function addFlagToUsername(usernameElement, screenName) {
-  // Check if flag already added
-  if (usernameElement.dataset.flagAdded === 'true') {
-    return;
+// Take a pushed result: remember it (unless nothing was cached) and wake up waiters
+function resolveLookup(screenName, entry) {
+  if (entry) {
+    locationCache.set(screenName, entry);
   }
+  untrackLookup(screenName);
+  const waiting = pendingLookups.get(screenName);
+  if (!waiting) return;
+  pendingLookups.delete(screenName);
+  waiting.forEach(resolve => resolve(entry));
+}
 
-  // Check if this username is already being processed (prevent duplicate API calls)
-  if (processingUsernames.has(screenName)) {
-    // Wait a bit and check if flag was added by the other process
-    await new Promise(resolve => setTimeout(resolve, 500));
-    if (usernameElement.dataset.flagAdded === 'true') {
-      return;
-    }
-    // If still not added, mark this container as waiting
-    usernameElement.dataset.flagAdded = 'waiting';
-    return;
-  }
+// Nothing on the page waits for the account any more: leave the background
+// queue and wake up the flag code, which cleans up after removed elements
+function cancelLookup(screenName) {
+  log.debug(`Cancelling lookup for ${screenName}, no longer on the page`);
+  chrome.runtime.sendMessage({ type: 'cancelLookup', screenName }).catch(() => {});
+  resolveLookup(screenName, null);
+}
 
-  // Mark as processing to avoid duplicate requests
-  usernameElement.dataset.flagAdded = 'processing';
-  processingUsernames.add(screenName);
-  
-  // Find User-Name container for shimmer placement
-  const userNameContainer = usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+// Refresh a stale entry in the background and redraw flags if the location changed
+function revalidateLocation(screenName, staleEntry) {
+  if (revalidatingUsernames.has(screenName)) return;
+  revalidatingUsernames.add(screenName);
   
-  // Create and insert loading shimmer
-  const shimmerSpan = createLoadingShimmer();
-  let shimmerInserted = false;
-  
-  if (userNameContainer) {
-    // Try to insert shimmer before handle section (same place flag will go)
-    const handleSection = findHandleSection(userNameContainer, screenName);
-    if (handleSection && handleSection.parentNode) {
-      try {
-        handleSection.parentNode.insertBefore(shimmerSpan, handleSection);
-        shimmerInserted = true;
-      } catch (e) {
-        // Fallback: insert at end of container
-        try {
-          userNameContainer.appendChild(shimmerSpan);
-          shimmerInserted = true;
-        } catch (e2) {
-          console.log('Failed to insert shimmer');
-        }
+  trackUnboundLookup(screenName, LOOKUP_PRIORITY.revalidate);
+  queueLocationRequest(screenName)
+    .then(() => {
+      const entry = locationCache.get(screenName);
+      // Timeouts and rate limits leave the stale entry in place; nothing to redraw
+      if (!entry || entry === staleEntry) return;
+      const oldLocation = staleEntry.profile?.location || null;
+      const newLocation = entry.profile?.location || null;
+      if (oldLocation !== newLocation) {
+        log.info(`Location for ${screenName} changed from ${oldLocation} to ${newLocation}`);
+        rerenderFlags();
       }
-    } else {
-      // Fallback: insert at end of container
-      try {
-        userNameContainer.appendChild(shimmerSpan);
-        shimmerInserted = true;
-      } catch (e) {
-        console.log('Failed to insert shimmer');
+    })
+    .catch(error => {
+      log.error(`Error revalidating ${screenName}:`, error);
+    })
+    .finally(() => {
+      revalidatingUsernames.delete(screenName);
+    });
+}
+
+// Count an account for the statistics, once per account however many of its
+// tweets scroll by. A changed location replaces the old one.
+function recordSeenAccount(screenName, location) {
+  const match = resolveLocation(location);
+  const summary = match ? { type: match.type, code: match.code } : null;
+  const handle = screenName.toLowerCase();
+  const previous = seenAccounts.get(handle);
+  if (seenAccounts.has(handle) && JSON.stringify(previous) === JSON.stringify(summary)) return;
+
+  seenAccounts.set(handle, summary);
+  unreportedAccounts[screenName] = summary;
+  if (recordSeenAccount.timeout) return;
+  recordSeenAccount.timeout = setTimeout(() => {
+    recordSeenAccount.timeout = null;
+    const accounts = unreportedAccounts;
+    unreportedAccounts = {};
+    recordSeenAccounts(accounts).catch(error => {
+      if (!error.message?.includes('Extension context invalidated')) {
+        log.error('Error saving country statistics:', error);
       }
-    }
+    });
+  }, 2000);
+}
+
+// This tab's counts, in the same shape as getSeenAccountStats
+function getTabCountryStats() {
+  const stats = { countries: {}, regions: {}, total: seenAccounts.size, since: pageLoadedAt };
+  for (const summary of seenAccounts.values()) {
+    if (!summary) continue;
+    const counts = summary.type === 'region' ? stats.regions : stats.countries;
+    counts[summary.code] = (counts[summary.code] || 0) + 1;
   }
-  
-  try {
-    console.log(`Processing flag for ${screenName}...`);
+  return stats;
+}
 
-    // Get location
-    const location = await getUserLocation(screenName);
-    console.log(`Location for ${screenName}:`, location);
-    
-    // Remove shimmer
-    if (shimmerInserted && shimmerSpan.parentNode) {
-      shimmerSpan.remove();
-    }
-    
-    if (!location) {
-      console.log(`No location found for ${screenName}, marking as failed`);
-      usernameElement.dataset.flagAdded = 'failed';
-      return;
-    }
+// The account an author block (see authorSurfaces.js) belongs to. Given a
+// tweet or user cell instead, its author's block is read, not a quoted
+// tweet's or the reposter's.
+function extractUsername(element) {
+  let block = element;
+  let surface = getAuthorSurface(block);
+  if (!surface) {
+    block = element.querySelector(NAME_BLOCK_SELECTOR);
+    surface = block && getAuthorSurface(block);
+    if (!surface) return null;
+  }
 
-  // Get flag emoji
-  const flag = getCountryFlag(location);
-  if (!flag) {
-    console.log(`No flag found for location: ${location}`);
-    // Shimmer already removed above, but ensure it's gone
-    if (shimmerInserted && shimmerSpan.parentNode) {
-      shimmerSpan.remove();
-    }
-    usernameElement.dataset.flagAdded = 'failed';
-    return;
+  const screenName = surface.getHandle(block);
+  if (!screenName) {
+    // X's markup says an account is here but no selector found its handle
+    recordEvent('selectorMiss', {
+      surface: surface.id,
+      links: block.querySelectorAll('a[href^="/"]').length
+    });
   }
-  
-  console.log(`Found flag ${flag} for ${screenName} (${location})`);
+  return screenName;
+}
 
-  // Find the username link - try multiple strategies
-  // Priority: Find the @username link, not the display name link
-  let usernameLink = null;
-  
-  // Find the User-Name container (reuse from above if available, otherwise find it)
-  const containerForLink = userNameContainer || usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
-  
-  // Strategy 1: Find link with @username text content (most reliable - this is the actual handle)
-  if (containerForLink) {
-    const containerLinks = containerForLink.querySelectorAll('a[href^="/"]');
-    for (const link of containerLinks) {
-      const text = link.textContent?.trim();
-      const href = link.getAttribute('href');
-      const match = href.match(/^\/([^\/\?]+)/);
-      
-      // Prioritize links that have @username as text
-      if (match && match[1] === screenName) {
-        if (text === `@${screenName}` || text === screenName) {
-          usernameLink = link;
-          break;
-        }
+// Styles for shimmers, badges and markers. Colors follow X's light, dim and
+// dark themes (see syncBadgeTheme); the shimmer stands still for
+// prefers-reduced-motion, and high-contrast and forced-colors modes get
+// solid outlines and full-strength text instead of faint grays.
+function ensureBadgeStyles() {
+  if (document.getElementById('twitter-flag-badge-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'twitter-flag-badge-style';
+  style.textContent = `
+    @keyframes twitter-flag-shimmer {
+      0% {
+        background-position: -200% 0;
+      }
+      100% {
+        background-position: 200% 0;
       }
     }
-  }
-  
-  // Strategy 2: Find any link with @username text in UserName container
-  if (!usernameLink && containerForLink) {
-    const containerLinks = containerForLink.querySelectorAll('a[href^="/"]');
-    for (const link of containerLinks) {
-      const text = link.textContent?.trim();
-      if (text === `@${screenName}`) {
-        usernameLink = link;
-        break;
+    [data-twitter-flag-shimmer] {
+      display: inline-block;
+      width: 20px;
+      height: 16px;
+      margin: 0 4px;
+      vertical-align: middle;
+      border-radius: 2px;
+      background: linear-gradient(90deg, rgba(15, 20, 25, 0.06) 25%, rgba(15, 20, 25, 0.14) 50%, rgba(15, 20, 25, 0.06) 75%);
+      background-size: 200% 100%;
+      animation: twitter-flag-shimmer 1.5s infinite;
+    }
+    html[data-twitter-flag-theme="dim"] [data-twitter-flag-shimmer],
+    html[data-twitter-flag-theme="dark"] [data-twitter-flag-shimmer] {
+      background-image: linear-gradient(90deg, rgba(247, 249, 249, 0.08) 25%, rgba(247, 249, 249, 0.18) 50%, rgba(247, 249, 249, 0.08) 75%);
+    }
+    .twitter-flag-secondary {
+      color: #536471;
+    }
+    html[data-twitter-flag-theme="dim"] .twitter-flag-secondary {
+      color: #8b98a5;
+    }
+    html[data-twitter-flag-theme="dark"] .twitter-flag-secondary {
+      color: #71767b;
+    }
+    .twitter-flag-code {
+      border: 1px solid currentColor;
+      border-color: color-mix(in srgb, currentColor 50%, transparent);
+    }
+    [data-twitter-flag-marker] {
+      opacity: 0.6;
+      filter: grayscale(1);
+    }
+    [data-twitter-flag]:focus {
+      outline: none;
+    }
+    [data-twitter-flag]:focus-visible {
+      outline: 2px solid #1d9bf0;
+      outline-offset: 2px;
+      border-radius: 4px;
+    }
+    .twitter-flag-visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border: 0;
+    }
+    @media (prefers-reduced-motion: reduce) {
+      [data-twitter-flag-shimmer] {
+        animation: none;
+        background-position: 0 0;
       }
     }
-  }
-  
-  // Strategy 3: Find link with exact matching href that has @username text anywhere in element
-  if (!usernameLink) {
-    const links = usernameElement.querySelectorAll('a[href^="/"]');
-    for (const link of links) {
-      const href = link.getAttribute('href');
-      const text = link.textContent?.trim();
-      if ((href === `/${screenName}` || href.startsWith(`/${screenName}?`)) && 
-          (text === `@${screenName}` || text === screenName)) {
-        usernameLink = link;
-        break;
+    @media (prefers-contrast: more) {
+      [data-twitter-flag-shimmer] {
+        background: none;
+        border: 1px dashed currentColor;
+        animation: none;
+      }
+      .twitter-flag-secondary,
+      html[data-twitter-flag-theme] .twitter-flag-secondary {
+        color: inherit;
+      }
+      .twitter-flag-code {
+        border-color: currentColor;
+      }
+      [data-twitter-flag-marker] {
+        opacity: 1;
       }
     }
-  }
-  
-  // Strategy 4: Fallback to any matching href (but prefer ones not in display name area)
-  if (!usernameLink) {
-    const links = usernameElement.querySelectorAll('a[href^="/"]');
-    for (const link of links) {
-      const href = link.getAttribute('href');
-      const match = href.match(/^\/([^\/\?]+)/);
-      if (match && match[1] === screenName) {
-        // Skip if this looks like a display name link (has verification badge nearby)
-        const hasVerificationBadge = link.closest('[data-testid="User-Name"]')?.querySelector('[data-testid="icon-verified"]');
-        if (!hasVerificationBadge || link.textContent?.trim() === `@${screenName}`) {
-          usernameLink = link;
-          break;
-        }
+    @media (forced-colors: active) {
+      [data-twitter-flag-shimmer] {
+        background: none;
+        border: 1px dashed CanvasText;
+        animation: none;
+      }
+      [data-twitter-flag] img {
+        outline: 1px solid CanvasText;
+      }
+      [data-twitter-flag]:focus-visible {
+        outline-color: Highlight;
       }
     }
-  }
+  `;
+  document.head.appendChild(style);
+}
 
-  if (!usernameLink) {
-    console.error(`Could not find username link for ${screenName}`);
-    console.error('Available links in container:', Array.from(usernameElement.querySelectorAll('a[href^="/"]')).map(l => ({
-      href: l.getAttribute('href'),
-      text: l.textContent?.trim()
-    })));
-    // Remove shimmer on error
-    if (shimmerInserted && shimmerSpan.parentNode) {
-      shimmerSpan.remove();
-    }
-    usernameElement.dataset.flagAdded = 'failed';
-    return;
+// Tell the badge styles which of X's themes is showing; X switches it
+// without a reload
+function syncBadgeTheme() {
+  const theme = getXTheme();
+  if (document.documentElement.dataset.twitterFlagTheme !== theme) {
+    document.documentElement.dataset.twitterFlagTheme = theme;
   }
-  
-  console.log(`Found username link for ${screenName}:`, usernameLink.href, usernameLink.textContent?.trim());
+}
 
-  // Check if flag already exists (check in the entire container, not just parent)
-  const existingFlag = usernameElement.querySelector('[data-twitter-flag]');
-  if (existingFlag) {
-    // Remove shimmer if flag already exists
-    if (shimmerInserted && shimmerSpan.parentNode) {
-      shimmerSpan.remove();
-    }
-    usernameElement.dataset.flagAdded = 'true';
-    return;
-  }
+// Create loading shimmer placeholder. It's decorative; screen readers skip it.
+function createLoadingShimmer() {
+  ensureBadgeStyles();
+  const shimmer = document.createElement('span');
+  shimmer.setAttribute('data-twitter-flag-shimmer', 'true');
+  shimmer.setAttribute('aria-hidden', 'true');
+  return shimmer;
+}
+
+// Font size of badges for the badgeSize setting
+const BADGE_SIZES = {
+  small: '0.8em',
+  medium: '1em',
+  large: '1.3em'
+};
+
+// Short code in a pill, for region badges and the country code style
+function createCodePill(code) {
+  const codeSpan = document.createElement('span');
+  codeSpan.className = 'twitter-flag-code twitter-flag-secondary';
+  codeSpan.textContent = code;
+  codeSpan.style.marginLeft = '2px';
+  codeSpan.style.padding = '0 4px';
+  codeSpan.style.borderRadius = '4px';
+  codeSpan.style.fontSize = '0.75em';
+  codeSpan.style.fontWeight = '600';
+  codeSpan.style.letterSpacing = '0.02em';
+  codeSpan.style.verticalAlign = 'middle';
+  return codeSpan;
+}
+
+// Whether country flags are drawn from the bundled images instead of emoji
+function useFlagImages() {
+  return settings.flagRenderer === 'image' || (settings.flagRenderer === 'auto' && !supportsFlagEmoji());
+}
+
+function createFlagImage(locationMatch) {
+  const img = document.createElement('img');
+  img.src = getFlagImageUrl(locationMatch.code);
+  // Copying the text still gives the flag
+  img.alt = locationMatch.flag;
+  img.draggable = false;
+  img.style.height = '0.85em';
+  img.style.width = 'auto';
+  img.style.verticalAlign = '-0.1em';
+  img.style.borderRadius = '2px';
+  // Keeps white flags visible on a white background
+  img.style.boxShadow = '0 0 0 0.5px rgba(113, 118, 123, 0.5)';
+  return img;
+}
+
+// What screen readers announce for a badge, instead of "regional indicator
+// F, regional indicator R"
+function getFlagBadgeLabel(locationMatch, inaccurate) {
+  const place = locationMatch.type === 'region' ? getMessage('badgeRegion', locationMatch.name) : locationMatch.name;
+  return getMessage(inaccurate ? 'badgeLabelInaccurate' : 'badgeLabel', place);
+}
 
-  // Add flag emoji - place it next to verification badge, before @ handle
+// Create the badge element for a resolved country or region, in the
+// badgeStyle and badgeSize the user picked. It's announced as one image
+// with a label and can be focused to show its tooltip or popover.
+function createFlagBadge(locationMatch, locationRecord) {
+  ensureBadgeStyles();
+  const inaccurate = settings.showInaccuracyWarning && locationRecord?.locationAccurate === false;
+  
   const flagSpan = document.createElement('span');
-  flagSpan.textContent = ` ${flag}`;
   flagSpan.setAttribute('data-twitter-flag', 'true');
+  flagSpan.setAttribute('data-twitter-flag-type', locationMatch.type);
+  flagSpan.setAttribute('role', 'img');
+  flagSpan.setAttribute('aria-label', getFlagBadgeLabel(locationMatch, inaccurate));
+  flagSpan.tabIndex = 0;
+  flagSpan.title = locationMatch.name;
   flagSpan.style.marginLeft = '4px';
   flagSpan.style.marginRight = '4px';
   flagSpan.style.display = 'inline';
   flagSpan.style.color = 'inherit';
   flagSpan.style.verticalAlign = 'middle';
+  flagSpan.style.fontSize = BADGE_SIZES[settings.badgeSize];
   
-  // Use userNameContainer found above, or find it if not found
-  const containerForFlag = userNameContainer || usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  // What's drawn; the label above speaks for it
+  const visual = document.createElement('span');
+  visual.setAttribute('aria-hidden', 'true');
+  flagSpan.appendChild(visual);
   
-  if (!containerForFlag) {
-    console.error(`Could not find UserName container for ${screenName}`);
-    // Remove shimmer on error
-    if (shimmerInserted && shimmerSpan.parentNode) {
-      shimmerSpan.remove();
+  const style = settings.badgeStyle;
+  if (style === 'flag' || style === 'flagName') {
+    // Region globes are ordinary emoji; only country flags need images
+    if (locationMatch.type === 'country' && useFlagImages()) {
+      visual.append(' ', createFlagImage(locationMatch));
+    } else {
+      visual.append(` ${locationMatch.flag}`);
     }
-    usernameElement.dataset.flagAdded = 'failed';
-    return;
   }
   
-  // Find the verification badge (SVG with data-testid="icon-verified")
-  const verificationBadge = containerForFlag.querySelector('[data-testid="icon-verified"]');
-  
-  // Find the handle section - the div that contains the @username link
-  // The structure is: User-Name > div (display name) > div (handle section with @username)
-  const handleSection = findHandleSection(containerForFlag, screenName);
-
-  let inserted = false;
+  // Regions get a short region code so a globe doesn't read as a country
+  if (style === 'code' || (style === 'flag' && locationMatch.type === 'region')) {
+    visual.appendChild(createCodePill(locationMatch.code));
+  }
   
-  // Strategy 1: Insert right before the handle section div (which contains @username)
-  // The handle section is a direct child of User-Name container
-  if (handleSection && handleSection.parentNode === containerForFlag) {
-    try {
-      containerForFlag.insertBefore(flagSpan, handleSection);
-      inserted = true;
-      console.log(`✓ Inserted flag before handle section for ${screenName}`);
-    } catch (e) {
-      console.log('Failed to insert before handle section:', e);
-    }
+  if (style === 'name' || style === 'flagName') {
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'twitter-flag-secondary';
+    nameSpan.textContent = locationMatch.name;
+    nameSpan.style.marginLeft = style === 'flagName' ? '3px' : '0';
+    nameSpan.style.fontSize = '0.9em';
+    visual.appendChild(nameSpan);
+  } else {
+    // The name in text too, for screen readers that skip aria-label and for copying
+    const hiddenName = document.createElement('span');
+    hiddenName.className = 'twitter-flag-visually-hidden';
+    hiddenName.textContent = locationMatch.name;
+    flagSpan.appendChild(hiddenName);
   }
   
-  // Strategy 2: Find the handle section's parent and insert before it
-  if (!inserted && handleSection && handleSection.parentNode) {
-    try {
-      // Insert before the handle section's parent (if it's not User-Name)
-      const handleParent = handleSection.parentNode;
-      if (handleParent !== containerForFlag && handleParent.parentNode) {
-        handleParent.parentNode.insertBefore(flagSpan, handleParent);
-        inserted = true;
-        console.log(`✓ Inserted flag before handle parent for ${screenName}`);
-      } else if (handleParent === containerForFlag) {
-        // Handle section is direct child, insert before it
-        containerForFlag.insertBefore(flagSpan, handleSection);
-        inserted = true;
-        console.log(`✓ Inserted flag before handle section (direct child) for ${screenName}`);
-      }
-    } catch (e) {
-      console.log('Failed to insert before handle parent:', e);
-    }
+  // X says this location may be wrong, e.g. the account connects through a VPN or proxy
+  if (inaccurate) {
+    const warningSpan = document.createElement('span');
+    warningSpan.setAttribute('data-twitter-flag-warning', 'true');
+    warningSpan.textContent = '⚠';
+    warningSpan.title = getMessage('badgeInaccurateWarning');
+    warningSpan.style.marginLeft = '1px';
+    warningSpan.style.fontSize = '0.7em';
+    warningSpan.style.verticalAlign = 'super';
+    warningSpan.style.color = 'rgb(255, 173, 31)';
+    visual.appendChild(warningSpan);
+    flagSpan.dataset.locationInaccurate = 'true';
   }
   
-  // Strategy 3: Find display name container and insert after it, before handle section
-  if (!inserted && handleSection) {
+  return flagSpan;
+}
+
+// Create the marker for an account that resolved without a location
+function createStatusMarker(status) {
+  ensureBadgeStyles();
+  const marker = STATUS_MARKERS[status];
+  const title = getMessage(marker.message);
+  const markerSpan = document.createElement('span');
+  markerSpan.setAttribute('data-twitter-flag-marker', status);
+  markerSpan.className = 'twitter-flag-secondary';
+  markerSpan.setAttribute('role', 'img');
+  markerSpan.setAttribute('aria-label', title);
+  markerSpan.textContent = marker.text;
+  markerSpan.title = title;
+  markerSpan.style.marginLeft = '4px';
+  markerSpan.style.marginRight = '4px';
+  markerSpan.style.fontSize = '0.85em';
+  markerSpan.style.verticalAlign = 'middle';
+  return markerSpan;
+}
+
+// Put a flag, shimmer or marker into an author block wherever its surface
+// wants it. Returns the placement that worked, or null.
+function insertAuthorBadge(usernameElement, screenName, badge, target) {
+  const surface = getAuthorSurface(usernameElement);
+  if (!surface) return null;
+
+  const placements = getSurfacePlacements(surface, settings.badgePlacement);
+  for (const [placement, place] of placements) {
     try {
-      // Find the display name link (first link)
-      const displayNameLink = containerForFlag.querySelector('a[href^="/"]');
-      if (displayNameLink) {
-        // Find the div that contains the display name link
-        const displayNameContainer = displayNameLink.closest('div');
-        if (displayNameContainer && displayNameContainer.parentNode) {
-          // Check if handle section is a sibling
-          if (displayNameContainer.parentNode === handleSection.parentNode) {
-            displayNameContainer.parentNode.insertBefore(flagSpan, handleSection);
-            inserted = true;
-            console.log(`✓ Inserted flag between display name and handle (siblings) for ${screenName}`);
-          } else {
-            // Try inserting after display name container
-            displayNameContainer.parentNode.insertBefore(flagSpan, displayNameContainer.nextSibling);
-            inserted = true;
-            console.log(`✓ Inserted flag after display name container for ${screenName}`);
-          }
+      if (place(usernameElement, screenName, badge)) {
+        // Anything past the chosen spot and the surface's usual one means X's markup moved
+        if (placement !== placements[0][0] && placement !== surface.placements[0][0]) {
+          recordEvent('insertFallback', { target, surface: surface.id, strategy: placement });
         }
+        recordLayoutSample(`placement:${surface.id}`, true);
+        return placement;
       }
     } catch (e) {
-      console.log('Failed to insert after display name:', e);
+      recordEvent('insertFailed', { target, surface: surface.id, strategy: placement, error: e.message });
+      log.debug(`Failed to insert ${target} (${surface.id}, ${placement}):`, e);
     }
   }
-  
-  // Strategy 4: Insert at the end of User-Name container (fallback)
-  if (!inserted) {
-    try {
-      containerForFlag.appendChild(flagSpan);
-      inserted = true;
-      console.log(`✓ Inserted flag at end of UserName container for ${screenName}`);
-    } catch (e) {
-      console.error('Failed to append flag to User-Name container:', e);
-    }
+  recordEvent('insertFailed', { target, surface: surface.id, strategy: 'all' });
+  recordLayoutSample(`placement:${surface.id}`, false);
+  return null;
+}
+
+// Put a status marker where the flag would go
+function insertStatusMarker(usernameElement, screenName, status) {
+  if (!settings.showStatusMarkers || !STATUS_MARKERS[status]) return;
+  if (usernameElement.querySelector('[data-twitter-flag-marker]')) return;
+  insertAuthorBadge(usernameElement, screenName, createStatusMarker(status), 'marker');
+}
+
+// Give up on this element for now; processUsernames tries it again later
+function markFlagFailed(usernameElement) {
+  usernameElement.dataset.flagAdded = 'failed';
+  usernameElement.dataset.flagRetryAt = String(Date.now() + FAILED_RETRY_DELAY);
+}
+
+// Flag one author block. Blocks showing the same account share its lookup
+// (see queueLocationRequest).
+async function addFlagToUsername(usernameElement, screenName) {
+  // Check if flag already added
+  if (usernameElement.dataset.flagAdded === 'true') {
+    return;
   }
+
+  // Mark as processing so later scans leave it alone
+  usernameElement.dataset.flagAdded = 'processing';
+  
+  // Loading shimmer, in the same place the flag will go
+  const shimmerSpan = createLoadingShimmer();
+  const shimmerInserted = settings.showLoadingShimmer &&
+    !!insertAuthorBadge(usernameElement, screenName, shimmerSpan, 'shimmer');
   
-    if (inserted) {
-      // Mark as processed
+  try {
+    log.debug(`Processing flag for ${screenName}...`);
+
+    // Get location
+    const { status, profile: locationRecord } = await getUserLocation(screenName, usernameElement);
+    const location = locationRecord?.location || null;
+    log.debug(`Location for ${screenName}:`, location || status);
+    
+    // Remove shimmer
+    if (shimmerInserted && shimmerSpan.parentNode) {
+      shimmerSpan.remove();
+    }
+    
+    // X removed the tweet while it waited (the lookup may have been cancelled)
+    if (!usernameElement.isConnected) {
+      delete usernameElement.dataset.flagAdded;
+      return;
+    }
+    
+    // Nothing to show for a failed lookup; try again later
+    if (status === LOOKUP_STATUS.error) {
+      log.debug(`Lookup for ${screenName} failed, will retry`);
+      markFlagFailed(usernameElement);
+      return;
+    }
+    
+    // Resolved without a location: none shared, protected, suspended or not found
+    if (!location) {
+      log.debug(`No location for ${screenName} (${status})`);
+      recordFilterLocation(usernameElement, null);
+      recordReplyAuthor(usernameElement, screenName, null);
+      insertStatusMarker(usernameElement, screenName, status);
+      usernameElement.dataset.flagAdded = status;
+      return;
+    }
+    
+    recordSeenAccount(screenName, location);
+
+    // Resolve location to a country or region (unless region badges are turned off)
+    const locationMatch = settings.showRegionBadges ? resolveLocation(location) : getCountryFlag(location);
+    if (!locationMatch) {
+      log.debug(`No flag found for location: ${location}`);
+      // With region badges off a region still counts for the filter and the reply breakdown
+      const regionMatch = settings.showRegionBadges ? null : resolveLocation(location);
+      recordFilterLocation(usernameElement, regionMatch);
+      recordReplyAuthor(usernameElement, screenName, regionMatch);
+      // The location won't match any better on the next scan
+      usernameElement.dataset.flagAdded = 'unmatched';
+      return;
+    }
+    
+    // Let the timeline filter act on the tweet/cell even if the badge ends up hidden
+    recordFilterLocation(usernameElement, locationMatch);
+    recordReplyAuthor(usernameElement, screenName, locationMatch);
+    
+    // Respect the user's choice to hide locations X flags as possibly inaccurate
+    if (hideInaccurate && locationRecord.locationAccurate === false) {
+      log.debug(`Hiding possibly inaccurate location for ${screenName} (${location})`);
+      usernameElement.dataset.flagAdded = 'hidden';
+      return;
+    }
+    
+    const flag = locationMatch.type === 'region' ? `${locationMatch.flag} ${locationMatch.code}` : locationMatch.flag;
+    log.debug(`Found ${locationMatch.type} badge ${flag} for ${screenName} (${location} -> ${locationMatch.name}, ${locationMatch.matchedBy} match)`);
+
+    // Check if flag already exists
+    if (usernameElement.querySelector('[data-twitter-flag]')) {
       usernameElement.dataset.flagAdded = 'true';
-      console.log(`✓ Successfully added flag ${flag} for ${screenName} (${location})`);
-      
-      // Also mark any other containers waiting for this username
-      const waitingContainers = document.querySelectorAll(`[data-flag-added="waiting"]`);
-      waitingContainers.forEach(container => {
-        const waitingUsername = extractUsername(container);
-        if (waitingUsername === screenName) {
-          // Try to add flag to this container too
-          addFlagToUsername(container, screenName).catch(() => {});
-        }
-      });
+      return;
+    }
+
+    const flagSpan = createFlagBadge(locationMatch, locationRecord);
+    if (settings.showProfilePopover) {
+      attachProfilePopover(flagSpan, screenName, locationRecord, locationMatch);
+    }
+    
+    const placement = insertAuthorBadge(usernameElement, screenName, flagSpan, 'flag');
+    if (placement) {
+      usernameElement.dataset.flagAdded = 'true';
+      log.debug(`✓ Added flag ${flag} for ${screenName} (${location}, ${placement})`);
     } else {
-      console.error(`✗ Failed to insert flag for ${screenName} - tried all strategies`);
-      console.error('Username link:', usernameLink);
-      console.error('Parent structure:', usernameLink.parentNode);
-      // Remove shimmer on failure
-      if (shimmerInserted && shimmerSpan.parentNode) {
-        shimmerSpan.remove();
-      }
-      usernameElement.dataset.flagAdded = 'failed';
+      log.error(`✗ Failed to insert flag for ${screenName} - tried all placements`);
+      markFlagFailed(usernameElement);
     }
   } catch (error) {
-    console.error(`Error processing flag for ${screenName}:`, error);
+    log.error(`Error processing flag for ${screenName}:`, error);
     // Remove shimmer on error
     if (shimmerInserted && shimmerSpan.parentNode) {
       shimmerSpan.remove();
     }
-    usernameElement.dataset.flagAdded = 'failed';
-  } finally {
-    // Remove from processing set
-    processingUsernames.delete(screenName);
+    markFlagFailed(usernameElement);
   }
 }
 
@@ -759,18 +989,22 @@ async function addFlagToUsername(usernameElement, screenName) {
 function removeAllFlags() {
   const flags = document.querySelectorAll('[data-twitter-flag]');
   flags.forEach(flag => flag.remove());
+  hideProfilePopover();
+  clearAllCountryFilters();
+  removeReplyBreakdown();
   
-  // Also remove any loading shimmers
-  const shimmers = document.querySelectorAll('[data-twitter-flag-shimmer]');
+  // Also remove any loading shimmers and status markers
+  const shimmers = document.querySelectorAll('[data-twitter-flag-shimmer], [data-twitter-flag-marker]');
   shimmers.forEach(shimmer => shimmer.remove());
   
   // Reset flag added markers
   const containers = document.querySelectorAll('[data-flag-added]');
   containers.forEach(container => {
     delete container.dataset.flagAdded;
+    delete container.dataset.flagRetryAt;
   });
   
-  console.log('Removed all flags');
+  log.info('Removed all flags');
 }
 
 // Function to process all username elements on the page
@@ -780,44 +1014,55 @@ async function processUsernames() {
     return;
   }
   
-  // Find all tweet/article containers and user cells
-  const containers = document.querySelectorAll('article[data-testid="tweet"], [data-testid="UserCell"], [data-testid="User-Names"], [data-testid="User-Name"]');
+  syncBadgeTheme();
+  
+  // Every author block: tweet and quoted-tweet authors, reposters, user cells,
+  // the profile header, hover cards, DM conversations and notifications
+  const blocks = findAuthorBlocks();
   
-  console.log(`Processing ${containers.length} containers for usernames`);
+  log.debug(`Processing ${blocks.length} author blocks for usernames`);
   
   let foundCount = 0;
   let processedCount = 0;
   let skippedCount = 0;
   
-  for (const container of containers) {
-    const screenName = extractUsername(container);
+  for (const block of blocks) {
+    const surface = getAuthorSurface(block);
+    const screenName = extractUsername(block);
+    recordLayoutSample(`handle:${surface.id}`, !!screenName, block);
+    recordSelectorVersion(surface.id, block);
     if (screenName) {
       foundCount++;
-      const status = container.dataset.flagAdded;
-      if (!status || status === 'failed') {
+      const status = block.dataset.flagAdded;
+      const retryDue = status === 'failed' && Date.now() >= Number(block.dataset.flagRetryAt || 0);
+      if (!status || retryDue) {
         processedCount++;
-        // Process in parallel but limit concurrency
-        addFlagToUsername(container, screenName).catch(err => {
-          console.error(`Error processing ${screenName}:`, err);
-          container.dataset.flagAdded = 'failed';
+        addFlagToUsername(block, screenName).catch(err => {
+          log.error(`Error processing ${screenName}:`, err);
+          markFlagFailed(block);
         });
       } else {
         skippedCount++;
       }
-    } else {
-      // Debug: log containers that don't have usernames
-      const hasUserName = container.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
-      if (hasUserName) {
-        console.log('Found UserName container but no username extracted');
-      }
     }
   }
   
+  // Tweets whose author block no selector finds don't show up above at all
+  for (const tweet of document.querySelectorAll(selectorFor('tweet'))) {
+    recordLayoutSample('authorBlock', !!tweet.querySelector(selectorFor('tweetAuthor')), tweet);
+  }
+  
   if (foundCount > 0) {
-    console.log(`Found ${foundCount} usernames, processing ${processedCount} new ones, skipped ${skippedCount} already processed`);
+    log.debug(`Found ${foundCount} usernames, processing ${processedCount} new ones, skipped ${skippedCount} already processed`);
   } else {
-    console.log('No usernames found in containers');
+    log.debug('No usernames found in author blocks');
   }
+  
+  // X re-renders timeline cells as they stream in; restore filtering on ones it touched
+  applyCountryFilterToPage();
+  updateReplyBreakdown();
+  // Lookups for tweets X just removed can be cancelled
+  scheduleLookupPriorityUpdate();
 }
 
 // Initialize observer for dynamically loaded content
@@ -854,27 +1099,30 @@ function initObserver() {
 
 // Main initialization
 async function init() {
-  console.log('Twitter Location Flag extension initialized');
+  log.info('Twitter Location Flag extension initialized');
   
-  // Load enabled state first
+  // Load enabled state and settings first
   await loadEnabledState();
+  settings = await loadSettings();
+  setLogLevel(settings.logLevel);
   
-  // Load persistent cache
-  await loadCache();
+  // Load timeline filter settings
+  await loadCountryFilter();
   
   // Only proceed if extension is enabled
   if (!extensionEnabled) {
-    console.log('Extension is disabled');
+    log.info('Extension is disabled');
     return;
   }
   
   // Inject page script
   injectPageScript();
+  applyLogLevel();
   
   // Wait a bit for page to fully load
   setTimeout(() => {
     processUsernames();
-  }, 2000);
+  }, settings.startupDelay);
   
   // Set up observer for new content
   initObserver();
@@ -885,13 +1133,17 @@ async function init() {
     const url = location.href;
     if (url !== lastUrl) {
       lastUrl = url;
-      console.log('Page navigation detected, reprocessing usernames');
+      log.debug('Page navigation detected, reprocessing usernames');
       setTimeout(processUsernames, 2000);
     }
   }).observe(document, { subtree: true, childList: true });
   
-  // Save cache periodically
-  setInterval(saveCache, 30000); // Save every 30 seconds
+  // Lookups survive a background script restart
+  setInterval(() => {
+    for (const screenName of pendingLookups.keys()) {
+      submitLookup(screenName, false);
+    }
+  }, LOOKUP_RESUBMIT_INTERVAL);
 }
 
 // Wait for page to load
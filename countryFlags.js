@@ -1,84 +1,694 @@
-// Country name to flag emoji mapping
-const COUNTRY_FLAGS = {
-  "Afghanistan": "🇦🇫",
-  "Albania": "🇦🇱",
-  "Algeria": "🇩🇿",
-  "Argentina": "🇦🇷",
-  "Australia": "🇦🇺",
-  "Austria": "🇦🇹",
-  "Bangladesh": "🇧🇩",
-  "Belgium": "🇧🇪",
-  "Brazil": "🇧🇷",
-  "Canada": "🇨🇦",
-  "Chile": "🇨🇱",
-  "China": "🇨🇳",
-  "Colombia": "🇨🇴",
-  "Czech Republic": "🇨🇿",
-  "Denmark": "🇩🇰",
-  "Egypt": "🇪🇬",
-  "Europe": "🇪🇺",
-  "Finland": "🇫🇮",
-  "France": "🇫🇷",
-  "Germany": "🇩🇪",
-  "Greece": "🇬🇷",
-  "Hong Kong": "🇭🇰",
-  "Hungary": "🇭🇺",
-  "India": "🇮🇳",
-  "Indonesia": "🇮🇩",
-  "Iran": "🇮🇷",
-  "Iraq": "🇮🇶",
-  "Ireland": "🇮🇪",
-  "Israel": "🇮🇱",
-  "Italy": "🇮🇹",
-  "Japan": "🇯🇵",
-  "Kenya": "🇰🇪",
-  "Malaysia": "🇲🇾",
-  "Mexico": "🇲🇽",
-  "Netherlands": "🇳🇱",
-  "New Zealand": "🇳🇿",
-  "Nigeria": "🇳🇬",
-  "Norway": "🇳🇴",
-  "Pakistan": "🇵🇰",
-  "Philippines": "🇵🇭",
-  "Poland": "🇵🇱",
-  "Portugal": "🇵🇹",
-  "Romania": "🇷🇴",
-  "Russia": "🇷🇺",
-  "Saudi Arabia": "🇸🇦",
-  "Singapore": "🇸🇬",
-  "South Africa": "🇿🇦",
-  "Korea": "🇰🇷",
-  "South Korea": "🇰🇷",
-  "Spain": "🇪🇸",
-  "Sweden": "🇸🇪",
-  "Switzerland": "🇨🇭",
-  "Taiwan": "🇹🇼",
-  "Thailand": "🇹🇭",
-  "Turkey": "🇹🇷",
-  "Ukraine": "🇺🇦",
-  "United Arab Emirates": "🇦🇪",
-  "United Kingdom": "🇬🇧",
-  "United States": "🇺🇸",
-  "Venezuela": "🇻🇪",
-  "Vietnam": "🇻🇳"
-};
+// ISO 3166-1 countries and territories
+// name is the canonical English short name; aliases cover official names,
+// common abbreviations and spellings the API has been seen returning
+const COUNTRIES = [
+  { code: "AF", name: "Afghanistan", aliases: ["Islamic Republic of Afghanistan"] },
+  { code: "AX", name: "Åland Islands", aliases: ["Aland"] },
+  { code: "AL", name: "Albania", aliases: ["Shqipëria"] },
+  { code: "DZ", name: "Algeria", aliases: [] },
+  { code: "AS", name: "American Samoa", aliases: [] },
+  { code: "AD", name: "Andorra", aliases: [] },
+  { code: "AO", name: "Angola", aliases: [] },
+  { code: "AI", name: "Anguilla", aliases: [] },
+  { code: "AQ", name: "Antarctica", aliases: [] },
+  { code: "AG", name: "Antigua and Barbuda", aliases: ["Antigua"] },
+  { code: "AR", name: "Argentina", aliases: ["Argentine Republic"] },
+  { code: "AM", name: "Armenia", aliases: [] },
+  { code: "AW", name: "Aruba", aliases: [] },
+  { code: "AU", name: "Australia", aliases: ["Commonwealth of Australia"] },
+  { code: "AT", name: "Austria", aliases: ["Österreich"] },
+  { code: "AZ", name: "Azerbaijan", aliases: [] },
+  { code: "BS", name: "Bahamas", aliases: ["Commonwealth of The Bahamas"] },
+  { code: "BH", name: "Bahrain", aliases: [] },
+  { code: "BD", name: "Bangladesh", aliases: [] },
+  { code: "BB", name: "Barbados", aliases: [] },
+  { code: "BY", name: "Belarus", aliases: ["Byelorussia"] },
+  { code: "BE", name: "Belgium", aliases: [] },
+  { code: "BZ", name: "Belize", aliases: [] },
+  { code: "BJ", name: "Benin", aliases: [] },
+  { code: "BM", name: "Bermuda", aliases: [] },
+  { code: "BT", name: "Bhutan", aliases: [] },
+  { code: "BO", name: "Bolivia", aliases: ["Plurinational State of Bolivia"] },
+  { code: "BQ", name: "Caribbean Netherlands", aliases: ["Bonaire, Sint Eustatius and Saba", "Bonaire"] },
+  { code: "BA", name: "Bosnia and Herzegovina", aliases: ["Bosnia", "Bosnia-Herzegovina"] },
+  { code: "BW", name: "Botswana", aliases: [] },
+  { code: "BV", name: "Bouvet Island", aliases: [] },
+  { code: "BR", name: "Brazil", aliases: ["Brasil"] },
+  { code: "IO", name: "British Indian Ocean Territory", aliases: ["Chagos Islands"] },
+  { code: "VG", name: "British Virgin Islands", aliases: ["Virgin Islands, British"] },
+  { code: "BN", name: "Brunei", aliases: ["Brunei Darussalam"] },
+  { code: "BG", name: "Bulgaria", aliases: [] },
+  { code: "BF", name: "Burkina Faso", aliases: [] },
+  { code: "BI", name: "Burundi", aliases: [] },
+  { code: "CV", name: "Cabo Verde", aliases: ["Cape Verde"] },
+  { code: "KH", name: "Cambodia", aliases: ["Kampuchea"] },
+  { code: "CM", name: "Cameroon", aliases: [] },
+  { code: "CA", name: "Canada", aliases: [] },
+  { code: "KY", name: "Cayman Islands", aliases: [] },
+  { code: "CF", name: "Central African Republic", aliases: ["CAR"] },
+  { code: "TD", name: "Chad", aliases: [] },
+  { code: "CL", name: "Chile", aliases: [] },
+  { code: "CN", name: "China", aliases: ["People's Republic of China", "PRC", "Mainland China"] },
+  { code: "CX", name: "Christmas Island", aliases: [] },
+  { code: "CC", name: "Cocos (Keeling) Islands", aliases: ["Cocos Islands", "Keeling Islands"] },
+  { code: "CO", name: "Colombia", aliases: [] },
+  { code: "KM", name: "Comoros", aliases: [] },
+  { code: "CG", name: "Congo", aliases: ["Republic of the Congo", "Congo-Brazzaville", "Congo Republic"] },
+  { code: "CD", name: "DR Congo", aliases: ["Democratic Republic of the Congo", "Congo, Democratic Republic of the", "DRC", "Congo-Kinshasa", "Zaire"] },
+  { code: "CK", name: "Cook Islands", aliases: [] },
+  { code: "CR", name: "Costa Rica", aliases: [] },
+  { code: "CI", name: "Côte d'Ivoire", aliases: ["Ivory Coast"] },
+  { code: "HR", name: "Croatia", aliases: ["Hrvatska"] },
+  { code: "CU", name: "Cuba", aliases: [] },
+  { code: "CW", name: "Curaçao", aliases: [] },
+  { code: "CY", name: "Cyprus", aliases: [] },
+  { code: "CZ", name: "Czechia", aliases: ["Czech Republic"] },
+  { code: "DK", name: "Denmark", aliases: [] },
+  { code: "DJ", name: "Djibouti", aliases: [] },
+  { code: "DM", name: "Dominica", aliases: [] },
+  { code: "DO", name: "Dominican Republic", aliases: [] },
+  { code: "EC", name: "Ecuador", aliases: [] },
+  { code: "EG", name: "Egypt", aliases: ["Arab Republic of Egypt"] },
+  { code: "SV", name: "El Salvador", aliases: [] },
+  { code: "GQ", name: "Equatorial Guinea", aliases: [] },
+  { code: "ER", name: "Eritrea", aliases: [] },
+  { code: "EE", name: "Estonia", aliases: [] },
+  { code: "SZ", name: "Eswatini", aliases: ["Swaziland"] },
+  { code: "ET", name: "Ethiopia", aliases: [] },
+  { code: "FK", name: "Falkland Islands", aliases: ["Falkland Islands (Malvinas)", "Malvinas"] },
+  { code: "FO", name: "Faroe Islands", aliases: ["Faroes"] },
+  { code: "FJ", name: "Fiji", aliases: [] },
+  { code: "FI", name: "Finland", aliases: ["Suomi"] },
+  { code: "FR", name: "France", aliases: ["French Republic"] },
+  { code: "GF", name: "French Guiana", aliases: [] },
+  { code: "PF", name: "French Polynesia", aliases: [] },
+  { code: "TF", name: "French Southern Territories", aliases: ["French Southern and Antarctic Lands"] },
+  { code: "GA", name: "Gabon", aliases: [] },
+  { code: "GM", name: "Gambia", aliases: ["Republic of The Gambia"] },
+  { code: "GE", name: "Georgia", aliases: [] },
+  { code: "DE", name: "Germany", aliases: ["Deutschland", "Federal Republic of Germany"] },
+  { code: "GH", name: "Ghana", aliases: [] },
+  { code: "GI", name: "Gibraltar", aliases: [] },
+  { code: "GR", name: "Greece", aliases: ["Hellas", "Hellenic Republic"] },
+  { code: "GL", name: "Greenland", aliases: [] },
+  { code: "GD", name: "Grenada", aliases: [] },
+  { code: "GP", name: "Guadeloupe", aliases: [] },
+  { code: "GU", name: "Guam", aliases: [] },
+  { code: "GT", name: "Guatemala", aliases: [] },
+  { code: "GG", name: "Guernsey", aliases: [] },
+  { code: "GN", name: "Guinea", aliases: [] },
+  { code: "GW", name: "Guinea-Bissau", aliases: [] },
+  { code: "GY", name: "Guyana", aliases: [] },
+  { code: "HT", name: "Haiti", aliases: [] },
+  { code: "HM", name: "Heard Island and McDonald Islands", aliases: [] },
+  { code: "HN", name: "Honduras", aliases: [] },
+  { code: "HK", name: "Hong Kong", aliases: ["Hong Kong SAR", "Hong Kong SAR China"] },
+  { code: "HU", name: "Hungary", aliases: ["Magyarország"] },
+  { code: "IS", name: "Iceland", aliases: [] },
+  { code: "IN", name: "India", aliases: ["Bharat"] },
+  { code: "ID", name: "Indonesia", aliases: [] },
+  { code: "IR", name: "Iran", aliases: ["Islamic Republic of Iran", "Iran, Islamic Republic of", "Persia"] },
+  { code: "IQ", name: "Iraq", aliases: [] },
+  { code: "IE", name: "Ireland", aliases: ["Republic of Ireland", "Éire"] },
+  { code: "IM", name: "Isle of Man", aliases: [] },
+  { code: "IL", name: "Israel", aliases: [] },
+  { code: "IT", name: "Italy", aliases: ["Italia"] },
+  { code: "JM", name: "Jamaica", aliases: [] },
+  { code: "JP", name: "Japan", aliases: ["Nippon"] },
+  { code: "JE", name: "Jersey", aliases: [] },
+  { code: "JO", name: "Jordan", aliases: [] },
+  { code: "KZ", name: "Kazakhstan", aliases: [] },
+  { code: "KE", name: "Kenya", aliases: [] },
+  { code: "KI", name: "Kiribati", aliases: [] },
+  { code: "XK", name: "Kosovo", aliases: [] },
+  { code: "KW", name: "Kuwait", aliases: [] },
+  { code: "KG", name: "Kyrgyzstan", aliases: ["Kyrgyz Republic"] },
+  { code: "LA", name: "Laos", aliases: ["Lao People's Democratic Republic", "Lao PDR"] },
+  { code: "LV", name: "Latvia", aliases: [] },
+  { code: "LB", name: "Lebanon", aliases: [] },
+  { code: "LS", name: "Lesotho", aliases: [] },
+  { code: "LR", name: "Liberia", aliases: [] },
+  { code: "LY", name: "Libya", aliases: [] },
+  { code: "LI", name: "Liechtenstein", aliases: [] },
+  { code: "LT", name: "Lithuania", aliases: [] },
+  { code: "LU", name: "Luxembourg", aliases: [] },
+  { code: "MO", name: "Macao", aliases: ["Macau", "Macao SAR", "Macao SAR China"] },
+  { code: "MG", name: "Madagascar", aliases: [] },
+  { code: "MW", name: "Malawi", aliases: [] },
+  { code: "MY", name: "Malaysia", aliases: [] },
+  { code: "MV", name: "Maldives", aliases: [] },
+  { code: "ML", name: "Mali", aliases: [] },
+  { code: "MT", name: "Malta", aliases: [] },
+  { code: "MH", name: "Marshall Islands", aliases: [] },
+  { code: "MQ", name: "Martinique", aliases: [] },
+  { code: "MR", name: "Mauritania", aliases: [] },
+  { code: "MU", name: "Mauritius", aliases: [] },
+  { code: "YT", name: "Mayotte", aliases: [] },
+  { code: "MX", name: "Mexico", aliases: ["México"] },
+  { code: "FM", name: "Micronesia", aliases: ["Federated States of Micronesia", "Micronesia, Federated States of"] },
+  { code: "MD", name: "Moldova", aliases: ["Republic of Moldova", "Moldova, Republic of"] },
+  { code: "MC", name: "Monaco", aliases: [] },
+  { code: "MN", name: "Mongolia", aliases: [] },
+  { code: "ME", name: "Montenegro", aliases: [] },
+  { code: "MS", name: "Montserrat", aliases: [] },
+  { code: "MA", name: "Morocco", aliases: ["Maroc"] },
+  { code: "MZ", name: "Mozambique", aliases: [] },
+  { code: "MM", name: "Myanmar", aliases: ["Burma"] },
+  { code: "NA", name: "Namibia", aliases: [] },
+  { code: "NR", name: "Nauru", aliases: [] },
+  { code: "NP", name: "Nepal", aliases: [] },
+  { code: "NL", name: "Netherlands", aliases: ["Holland", "Nederland", "Kingdom of the Netherlands"] },
+  { code: "NC", name: "New Caledonia", aliases: [] },
+  { code: "NZ", name: "New Zealand", aliases: ["Aotearoa"] },
+  { code: "NI", name: "Nicaragua", aliases: [] },
+  { code: "NE", name: "Niger", aliases: [] },
+  { code: "NG", name: "Nigeria", aliases: [] },
+  { code: "NU", name: "Niue", aliases: [] },
+  { code: "NF", name: "Norfolk Island", aliases: [] },
+  { code: "KP", name: "North Korea", aliases: ["Democratic People's Republic of Korea", "Korea, Democratic People's Republic of", "DPRK"] },
+  { code: "MK", name: "North Macedonia", aliases: ["Macedonia", "Republic of North Macedonia"] },
+  { code: "MP", name: "Northern Mariana Islands", aliases: [] },
+  { code: "NO", name: "Norway", aliases: ["Norge"] },
+  { code: "OM", name: "Oman", aliases: [] },
+  { code: "PK", name: "Pakistan", aliases: [] },
+  { code: "PW", name: "Palau", aliases: [] },
+  { code: "PS", name: "Palestine", aliases: ["State of Palestine", "Palestinian Territories"] },
+  { code: "PA", name: "Panama", aliases: ["Panamá"] },
+  { code: "PG", name: "Papua New Guinea", aliases: [] },
+  { code: "PY", name: "Paraguay", aliases: [] },
+  { code: "PE", name: "Peru", aliases: ["Perú"] },
+  { code: "PH", name: "Philippines", aliases: ["Pilipinas"] },
+  { code: "PN", name: "Pitcairn Islands", aliases: ["Pitcairn"] },
+  { code: "PL", name: "Poland", aliases: ["Polska"] },
+  { code: "PT", name: "Portugal", aliases: [] },
+  { code: "PR", name: "Puerto Rico", aliases: [] },
+  { code: "QA", name: "Qatar", aliases: [] },
+  { code: "RE", name: "Réunion", aliases: [] },
+  { code: "RO", name: "Romania", aliases: ["România"] },
+  { code: "RU", name: "Russia", aliases: ["Russian Federation"] },
+  { code: "RW", name: "Rwanda", aliases: [] },
+  { code: "BL", name: "Saint Barthélemy", aliases: ["St Barts", "St. Barthélemy"] },
+  { code: "SH", name: "Saint Helena", aliases: ["Saint Helena, Ascension and Tristan da Cunha", "St. Helena"] },
+  { code: "KN", name: "Saint Kitts and Nevis", aliases: ["St. Kitts and Nevis", "St Kitts & Nevis"] },
+  { code: "LC", name: "Saint Lucia", aliases: ["St. Lucia"] },
+  { code: "MF", name: "Saint Martin", aliases: ["Saint Martin (French part)", "St. Martin"] },
+  { code: "PM", name: "Saint Pierre and Miquelon", aliases: ["St. Pierre and Miquelon"] },
+  { code: "VC", name: "Saint Vincent and the Grenadines", aliases: ["St. Vincent and the Grenadines", "St Vincent & Grenadines"] },
+  { code: "WS", name: "Samoa", aliases: [] },
+  { code: "SM", name: "San Marino", aliases: [] },
+  { code: "ST", name: "São Tomé and Príncipe", aliases: ["Sao Tome & Principe"] },
+  { code: "SA", name: "Saudi Arabia", aliases: ["Kingdom of Saudi Arabia", "KSA"] },
+  { code: "SN", name: "Senegal", aliases: [] },
+  { code: "RS", name: "Serbia", aliases: ["Srbija"] },
+  { code: "SC", name: "Seychelles", aliases: [] },
+  { code: "SL", name: "Sierra Leone", aliases: [] },
+  { code: "SG", name: "Singapore", aliases: [] },
+  { code: "SX", name: "Sint Maarten", aliases: ["Sint Maarten (Dutch part)"] },
+  { code: "SK", name: "Slovakia", aliases: ["Slovak Republic"] },
+  { code: "SI", name: "Slovenia", aliases: [] },
+  { code: "SB", name: "Solomon Islands", aliases: [] },
+  { code: "SO", name: "Somalia", aliases: [] },
+  { code: "ZA", name: "South Africa", aliases: ["RSA", "Republic of South Africa"] },
+  { code: "GS", name: "South Georgia and the South Sandwich Islands", aliases: ["South Georgia"] },
+  { code: "KR", name: "South Korea", aliases: ["Korea", "Republic of Korea", "Korea, Republic of"] },
+  { code: "SS", name: "South Sudan", aliases: [] },
+  { code: "ES", name: "Spain", aliases: ["España"] },
+  { code: "LK", name: "Sri Lanka", aliases: ["Ceylon"] },
+  { code: "SD", name: "Sudan", aliases: [] },
+  { code: "SR", name: "Suriname", aliases: ["Surinam"] },
+  { code: "SJ", name: "Svalbard and Jan Mayen", aliases: ["Svalbard"] },
+  { code: "SE", name: "Sweden", aliases: ["Sverige"] },
+  { code: "CH", name: "Switzerland", aliases: ["Schweiz", "Suisse", "Svizzera"] },
+  { code: "SY", name: "Syria", aliases: ["Syrian Arab Republic"] },
+  { code: "TW", name: "Taiwan", aliases: ["Taiwan, Province of China", "Republic of China"] },
+  { code: "TJ", name: "Tajikistan", aliases: [] },
+  { code: "TZ", name: "Tanzania", aliases: ["United Republic of Tanzania", "Tanzania, United Republic of"] },
+  { code: "TH", name: "Thailand", aliases: [] },
+  { code: "TL", name: "Timor-Leste", aliases: ["East Timor"] },
+  { code: "TG", name: "Togo", aliases: [] },
+  { code: "TK", name: "Tokelau", aliases: [] },
+  { code: "TO", name: "Tonga", aliases: [] },
+  { code: "TT", name: "Trinidad and Tobago", aliases: ["Trinidad"] },
+  { code: "TN", name: "Tunisia", aliases: [] },
+  { code: "TR", name: "Turkey", aliases: ["Türkiye", "Turkiye", "Republic of Türkiye"] },
+  { code: "TM", name: "Turkmenistan", aliases: [] },
+  { code: "TC", name: "Turks and Caicos Islands", aliases: [] },
+  { code: "TV", name: "Tuvalu", aliases: [] },
+  { code: "UG", name: "Uganda", aliases: [] },
+  { code: "UA", name: "Ukraine", aliases: ["Ukraina"] },
+  { code: "AE", name: "United Arab Emirates", aliases: ["UAE", "Emirates"] },
+  { code: "GB", name: "United Kingdom", aliases: ["UK", "Great Britain", "Britain", "United Kingdom of Great Britain and Northern Ireland", "England", "Scotland", "Wales", "Northern Ireland"] },
+  { code: "US", name: "United States", aliases: ["USA", "US", "United States of America"] },
+  { code: "UM", name: "United States Minor Outlying Islands", aliases: ["U.S. Outlying Islands"] },
+  { code: "VI", name: "U.S. Virgin Islands", aliases: ["Virgin Islands, U.S.", "United States Virgin Islands"] },
+  { code: "UY", name: "Uruguay", aliases: [] },
+  { code: "UZ", name: "Uzbekistan", aliases: [] },
+  { code: "VU", name: "Vanuatu", aliases: [] },
+  { code: "VA", name: "Vatican City", aliases: ["Holy See", "Holy See (Vatican City State)", "Vatican"] },
+  { code: "VE", name: "Venezuela", aliases: ["Bolivarian Republic of Venezuela", "Venezuela, Bolivarian Republic of"] },
+  { code: "VN", name: "Vietnam", aliases: ["Viet Nam", "Socialist Republic of Vietnam"] },
+  { code: "WF", name: "Wallis and Futuna", aliases: [] },
+  { code: "EH", name: "Western Sahara", aliases: [] },
+  { code: "YE", name: "Yemen", aliases: [] },
+  { code: "ZM", name: "Zambia", aliases: [] },
+  { code: "ZW", name: "Zimbabwe", aliases: [] },
+  // Not an ISO 3166-1 country, but has its own flag and the API returns it
+  { code: "EU", name: "European Union", aliases: ["EU"] }
+];
 
+// Build a flag emoji from an alpha-2 code using regional indicator symbols
+function codeToFlag(code) {
+  return String.fromCodePoint(...code.toUpperCase().split('').map(c => 0x1F1E6 + c.charCodeAt(0) - 65));
+}
+
+// Bundled SVG flags (flags/XX.svg, from the country-flag-icons package, MIT),
+// for systems whose fonts have no flag emoji. They ship with the extension,
+// so showing one makes no network request.
+function getFlagImageUrl(code) {
+  return chrome.runtime.getURL(`flags/${code.toUpperCase()}.svg`);
+}
+
+// Whether this system draws flag emoji, or spells them out as letters (Windows
+// shows "FR"). A color emoji ignores the fill color, letters don't: draw the
+// flag in two colors and compare. Checked once; assumed supported when the
+// canvas can't be read.
+function supportsFlagEmoji() {
+  if (supportsFlagEmoji.result !== undefined) return supportsFlagEmoji.result;
+
+  supportsFlagEmoji.result = true;
+  try {
+    const size = 20;
+    const canvas = document.createElement('canvas');
+    canvas.width = size * 2;
+    canvas.height = size;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    if (!context) return supportsFlagEmoji.result;
+
+    context.font = `${size - 4}px sans-serif`;
+    context.textBaseline = 'top';
+    context.fillStyle = '#ff0000';
+    context.fillText(codeToFlag('FR'), 0, 0);
+    context.fillStyle = '#0000ff';
+    context.fillText(codeToFlag('FR'), size, 0);
+
+    const first = context.getImageData(0, 0, size, size).data;
+    const second = context.getImageData(size, 0, size, size).data;
+    let drawn = false;
+    let differs = false;
+    for (let i = 0; i < first.length; i++) {
+      drawn = drawn || first[i] !== 0 || second[i] !== 0;
+      differs = differs || first[i] !== second[i];
+    }
+    // Nothing drawn at all gives no verdict
+    supportsFlagEmoji.result = !drawn || !differs;
+  } catch (error) {
+    // Keep emoji
+  }
+  return supportsFlagEmoji.result;
+}
+
+// Reduce a country name to a comparable key: strip diacritics, punctuation,
+// case and a leading "The", so "the Côte d’Ivoire" matches "Cote d'Ivoire"
+function normalizeCountryName(value) {
+  if (!value) return '';
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`.]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '')
+    .replace(/ the /g, ' ')
+    .replace(/\bsaint\b/g, 'st');
+}
+
+// Normalized name/alias -> country entry
+const COUNTRY_INDEX = new Map();
+for (const country of COUNTRIES) {
+  country.flag = codeToFlag(country.code);
+  for (const name of [country.name, ...country.aliases]) {
+    const key = normalizeCountryName(name);
+    if (key && !COUNTRY_INDEX.has(key)) {
+      COUNTRY_INDEX.set(key, country);
+    }
+  }
+}
+const COUNTRIES_BY_CODE = new Map(COUNTRIES.map(country => [country.code, country]));
+
+// Previous lookups, including misses, so fuzzy matching only runs once per value
+const countryMatchCache = new Map();
+
+// Levenshtein distance, bailing out early once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Alternative spellings of a raw value worth trying before fuzzy matching
+function getNameVariants(countryName) {
+  const variants = [countryName];
+
+  // "Korea, Republic of" -> "Republic of Korea"
+  const commaMatch = countryName.match(/^([^,]+),\s*(.+)$/);
+  if (commaMatch) {
+    variants.push(`${commaMatch[2]} ${commaMatch[1]}`);
+    variants.push(commaMatch[1]);
+  }
+
+  // "Netherlands (Kingdom of the)" -> "Netherlands"
+  const withoutParens = countryName.replace(/\s*\([^)]*\)\s*/g, ' ').trim();
+  if (withoutParens && withoutParens !== countryName) {
+    variants.push(withoutParens);
+  }
+
+  return variants;
+}
+
+function findFuzzyCountry(key) {
+  // Short keys are too ambiguous ("Iran" vs "Iraq")
+  if (key.length < 5) return null;
+  const maxDistance = key.length >= 9 ? 2 : 1;
+
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  let ambiguous = false;
+  for (const [candidate, country] of COUNTRY_INDEX.entries()) {
+    const distance = editDistance(key, candidate, maxDistance);
+    if (distance < bestDistance) {
+      best = country;
+      bestDistance = distance;
+      ambiguous = false;
+    } else if (distance === bestDistance && best && best !== country) {
+      ambiguous = true;
+    }
+  }
+
+  return best && !ambiguous ? best : null;
+}
+
+function createCountryMatch(country, input, matchedBy) {
+  return {
+    type: 'country',
+    code: country.code,
+    name: getLocalizedCountryName(country.code),
+    flag: country.flag,
+    input,
+    matchedBy
+  };
+}
+
+// Resolve a location string to a country match object:
+// { type: 'country', code, name, flag, input, matchedBy } where name is in the
+// user's language and matchedBy is 'exact', 'alias', 'localized', 'code' or
+// 'fuzzy'. Returns null if nothing matches.
 function getCountryFlag(countryName) {
-  if (!countryName) return null;
-  
-  // Try exact match first
-  if (COUNTRY_FLAGS[countryName]) {
-    return COUNTRY_FLAGS[countryName];
-  }
-  
-  // Try case-insensitive match
-  const normalized = countryName.trim();
-  for (const [country, flag] of Object.entries(COUNTRY_FLAGS)) {
-    if (country.toLowerCase() === normalized.toLowerCase()) {
-      return flag;
+  if (!countryName || typeof countryName !== 'string') return null;
+
+  const input = countryName.trim();
+  if (countryMatchCache.has(input)) {
+    return countryMatchCache.get(input);
+  }
+
+  let match = null;
+
+  // Try name/alias lookup on the value and its variants
+  for (const variant of getNameVariants(input)) {
+    const country = COUNTRY_INDEX.get(normalizeCountryName(variant));
+    if (country) {
+      const matchedBy = normalizeCountryName(variant) === normalizeCountryName(country.name) ? 'exact' : 'alias';
+      match = createCountryMatch(country, input, matchedBy);
+      break;
+    }
+  }
+
+  // Then names in other languages, for X sessions not in English
+  if (!match) {
+    const country = findLocalizedName(getLocalizedNameIndex().countries, input);
+    if (country) {
+      match = createCountryMatch(country, input, 'localized');
+    }
+  }
+
+  // Try a bare alpha-2 code ("BR")
+  if (!match && /^[A-Za-z]{2}$/.test(input)) {
+    const country = COUNTRIES_BY_CODE.get(input.toUpperCase());
+    if (country) {
+      match = createCountryMatch(country, input, 'code');
     }
   }
-  
+
+  // Fall back to tolerating small typos
+  if (!match) {
+    const country = findFuzzyCountry(normalizeCountryName(input));
+    if (country) {
+      match = createCountryMatch(country, input, 'fuzzy');
+    }
+  }
+
+  countryMatchCache.set(input, match);
+  return match;
+}
+
+
+// Regions and continents the API returns instead of a country.
+// code is the short label shown next to the globe on the badge; m49 is the
+// matching UN M49 area, whose name Intl.DisplayNames knows in other languages
+const REGIONS = [
+  { code: "AFR", name: "Africa", m49: "002", globe: "🌍", aliases: ["African continent"] },
+  { code: "SSA", name: "Sub-Saharan Africa", m49: "202", globe: "🌍", aliases: ["Sub Saharan Africa", "Subsaharan Africa"] },
+  { code: "NAF", name: "North Africa", m49: "015", globe: "🌍", aliases: ["Northern Africa"] },
+  { code: "WAF", name: "West Africa", m49: "011", globe: "🌍", aliases: ["Western Africa"] },
+  { code: "EAF", name: "East Africa", m49: "014", globe: "🌍", aliases: ["Eastern Africa"] },
+  { code: "CAF", name: "Central Africa", m49: "017", globe: "🌍", aliases: ["Middle Africa"] },
+  { code: "SAF", name: "Southern Africa", m49: "018", globe: "🌍", aliases: [] },
+  { code: "MENA", name: "Middle East & North Africa", globe: "🌍", aliases: ["Middle East and North Africa", "MENA"] },
+  { code: "ME", name: "Middle East", m49: "145", globe: "🌍", aliases: ["Near East", "Western Asia", "West Asia"] },
+  { code: "GCC", name: "Gulf States", globe: "🌍", aliases: ["Gulf Cooperation Council", "Persian Gulf", "Arabian Gulf", "Gulf"] },
+  { code: "EUR", name: "Europe", m49: "150", globe: "🌍", aliases: ["European continent"] },
+  { code: "WEU", name: "Western Europe", m49: "155", globe: "🌍", aliases: [] },
+  { code: "EEU", name: "Eastern Europe", m49: "151", globe: "🌍", aliases: [] },
+  { code: "NEU", name: "Northern Europe", m49: "154", globe: "🌍", aliases: ["Nordics", "Nordic countries", "Scandinavia"] },
+  { code: "SEU", name: "Southern Europe", m49: "039", globe: "🌍", aliases: [] },
+  { code: "CEU", name: "Central Europe", globe: "🌍", aliases: [] },
+  { code: "ECA", name: "Europe & Central Asia", globe: "🌍", aliases: ["Europe and Central Asia"] },
+  { code: "CAS", name: "Central Asia", m49: "143", globe: "🌏", aliases: [] },
+  { code: "SAS", name: "South Asia", m49: "034", globe: "🌏", aliases: ["Southern Asia", "Indian subcontinent"] },
+  { code: "EAS", name: "East Asia", m49: "030", globe: "🌏", aliases: ["Eastern Asia"] },
+  { code: "SEA", name: "Southeast Asia", m49: "035", globe: "🌏", aliases: ["South-East Asia", "South East Asia", "South-eastern Asia"] },
+  { code: "EAP", name: "East Asia & Pacific", globe: "🌏", aliases: ["East Asia and Pacific", "East Asia and the Pacific"] },
+  { code: "ASIA", name: "Asia", m49: "142", globe: "🌏", aliases: ["Asian continent"] },
+  { code: "APAC", name: "Asia Pacific", globe: "🌏", aliases: ["Asia-Pacific", "APAC"] },
+  { code: "OCE", name: "Oceania", m49: "009", globe: "🌏", aliases: ["Australasia", "Pacific Islands", "Pacific"] },
+  { code: "NAM", name: "North America", m49: "003", globe: "🌎", aliases: ["Northern America"] },
+  { code: "CAM", name: "Central America", m49: "013", globe: "🌎", aliases: [] },
+  { code: "CRB", name: "Caribbean", m49: "029", globe: "🌎", aliases: ["Caribbean Islands", "West Indies"] },
+  { code: "SAM", name: "South America", m49: "005", globe: "🌎", aliases: [] },
+  { code: "LAC", name: "Latin America & Caribbean", globe: "🌎", aliases: ["Latin America and the Caribbean", "Latin America and Caribbean"] },
+  { code: "LATAM", name: "Latin America", m49: "419", globe: "🌎", aliases: ["LATAM"] },
+  { code: "AMER", name: "Americas", m49: "019", globe: "🌎", aliases: ["The Americas", "America"] },
+  { code: "WW", name: "Worldwide", m49: "001", globe: "🌐", aliases: ["Global", "World", "International"] }
+];
+
+// Normalized region name/alias -> region entry
+const REGION_INDEX = new Map();
+for (const region of REGIONS) {
+  for (const name of [region.name, ...region.aliases]) {
+    const key = normalizeCountryName(name);
+    if (key && !REGION_INDEX.has(key)) {
+      REGION_INDEX.set(key, region);
+    }
+  }
+}
+
+// Resolve a location string to a region badge:
+// { type: 'region', code, name, flag, input, matchedBy } where flag is the
+// globe emoji, code the short label and name in the user's language. Returns
+// null for unknown regions. Regions only match exactly (after normalization,
+// in English or another language); no fuzzy matching.
+function getRegionBadge(regionName) {
+  if (!regionName || typeof regionName !== 'string') return null;
+
+  const input = regionName.trim();
+  const key = normalizeCountryName(input);
+  let region = REGION_INDEX.get(key);
+  let matchedBy = region && key === normalizeCountryName(region.name) ? 'exact' : 'alias';
+  // English country names go to getCountryFlag first
+  if (!region && !COUNTRY_INDEX.has(key)) {
+    region = findLocalizedName(getLocalizedNameIndex().regions, input);
+    matchedBy = 'localized';
+  }
+  if (!region) return null;
+
+  return {
+    type: 'region',
+    code: region.code,
+    name: getLocalizedRegionName(region),
+    flag: region.globe,
+    input,
+    matchedBy
+  };
+}
+
+// Resolve any account_based_in value to a country or region match.
+// Regions are checked first so they never fall through to fuzzy country matching
+function resolveLocation(location) {
+  return getRegionBadge(location) || getCountryFlag(location);
+}
+
+
+// Languages X's web app can be set to. account_based_in arrives in the
+// language of the X session, so names in all of them are recognized, not
+// only in the browser's.
+const X_LANGUAGES = [
+  'en', 'ar', 'bg', 'bn', 'ca', 'cs', 'da', 'de', 'el', 'es', 'eu', 'fa', 'fi',
+  'fil', 'fr', 'ga', 'gl', 'gu', 'he', 'hi', 'hr', 'hu', 'id', 'it', 'ja', 'kn',
+  'ko', 'mr', 'ms', 'nb', 'nl', 'pl', 'pt', 'ro', 'ru', 'sk', 'sr', 'sv', 'ta',
+  'th', 'tr', 'uk', 'ur', 'vi', 'zh-Hans', 'zh-Hant'
+];
+
+// Intl.DisplayNames for region codes in a locale, or null where unsupported
+function getRegionDisplayNames(locale) {
+  if (!getRegionDisplayNames.cache) getRegionDisplayNames.cache = new Map();
+  if (!getRegionDisplayNames.cache.has(locale)) {
+    let displayNames = null;
+    try {
+      displayNames = new Intl.DisplayNames([locale], { type: 'region', fallback: 'none' });
+    } catch (error) {
+      // Invalid or unknown language tag
+    }
+    getRegionDisplayNames.cache.set(locale, displayNames);
+  }
+  return getRegionDisplayNames.cache.get(locale);
+}
+
+function isEnglishUI() {
+  return getUILanguage().split('-')[0].toLowerCase() === 'en';
+}
+
+// A country's name in the user's language. English keeps the names above,
+// which follow X's; other languages get the browser's own.
+function getLocalizedCountryName(code) {
+  const country = COUNTRIES_BY_CODE.get(code);
+  const fallback = country ? country.name : code;
+  if (isEnglishUI()) return fallback;
+  return getRegionDisplayNames(getUILanguage())?.of(code) || fallback;
+}
+
+// A region's name in the user's language: the browser's name for its M49
+// area, else the catalog's (region_<code>), else English
+function getLocalizedRegionName(region) {
+  if (isEnglishUI()) return region.name;
+  const localized = region.m49 && getRegionDisplayNames(getUILanguage())?.of(region.m49);
+  return localized || chrome.i18n.getMessage(`region_${region.code}`) || region.name;
+}
+
+// A preset's name in the user's language (preset_<id>), else English
+function getLocalizedPresetName(preset) {
+  return chrome.i18n.getMessage(`preset_${preset.id.replace(/-/g, '_')}`) || preset.name;
+}
+
+function addLocalizedName(index, name, entry) {
+  if (!name) return;
+  for (const variant of getNameVariants(name)) {
+    const key = normalizeCountryName(variant);
+    if (key && !index.has(key)) {
+      index.set(key, entry);
+    }
+  }
+}
+
+// Normalized country and region names in the user's, the browser's and X's
+// languages -> entry. Built on the first value the English names miss.
+function getLocalizedNameIndex() {
+  if (getLocalizedNameIndex.result) return getLocalizedNameIndex.result;
+
+  const countries = new Map();
+  const regions = new Map();
+  const locales = new Set([getUILanguage(), ...navigator.languages, ...X_LANGUAGES]);
+  for (const locale of locales) {
+    const displayNames = getRegionDisplayNames(locale);
+    if (!displayNames) continue;
+    for (const country of COUNTRIES) {
+      addLocalizedName(countries, displayNames.of(country.code), country);
+    }
+    for (const region of REGIONS) {
+      if (region.m49) addLocalizedName(regions, displayNames.of(region.m49), region);
+    }
+  }
+  // Regions without an M49 area are only known in the catalog's language
+  for (const region of REGIONS) {
+    addLocalizedName(regions, chrome.i18n.getMessage(`region_${region.code}`), region);
+  }
+
+  getLocalizedNameIndex.result = { countries, regions };
+  return getLocalizedNameIndex.result;
+}
+
+function findLocalizedName(index, input) {
+  for (const variant of getNameVariants(input)) {
+    const entry = index.get(normalizeCountryName(variant));
+    if (entry) return entry;
+  }
   return null;
 }
 
+// Named country groups for the timeline filter. Presets can also pull in
+// region codes so region-level locations ("Gulf States") match as well.
+const COUNTRY_PRESETS = [
+  {
+    id: "eu",
+    name: "EU member states",
+    countries: ["AT", "BE", "BG", "HR", "CY", "CZ", "DK", "EE", "FI", "FR", "DE", "GR", "HU", "IE", "IT", "LV", "LT", "LU", "MT", "NL", "PL", "PT", "RO", "SK", "SI", "ES", "SE", "EU"],
+    regions: []
+  },
+  {
+    id: "g7",
+    name: "G7",
+    countries: ["CA", "FR", "DE", "IT", "JP", "GB", "US"],
+    regions: []
+  },
+  {
+    id: "five-eyes",
+    name: "Five Eyes",
+    countries: ["AU", "CA", "NZ", "GB", "US"],
+    regions: []
+  },
+  {
+    id: "nordic",
+    name: "Nordic countries",
+    countries: ["DK", "FI", "IS", "NO", "SE", "FO", "GL", "AX"],
+    regions: ["NEU"]
+  },
+  {
+    id: "gcc",
+    name: "Gulf states (GCC)",
+    countries: ["BH", "KW", "OM", "QA", "SA", "AE"],
+    regions: ["GCC"]
+  },
+  {
+    id: "brics",
+    name: "BRICS",
+    countries: ["BR", "RU", "IN", "CN", "ZA", "EG", "ET", "IR", "AE", "ID"],
+    regions: []
+  },
+  {
+    id: "latam",
+    name: "Latin America",
+    countries: ["AR", "BO", "BR", "CL", "CO", "CR", "CU", "DO", "EC", "SV", "GT", "HN", "HT", "MX", "NI", "PA", "PY", "PE", "PR", "UY", "VE"],
+    regions: ["LAC", "LATAM", "SAM", "CAM"]
+  }
+];
@@ -0,0 +1,65 @@
+// Diagnostics report on the options page: gathers the recent events kept by
+// the background script and every open X tab (see logger.js) and copies them
+// to the clipboard as JSON for bug reports
+const copyDiagnosticsButton = document.getElementById('copyDiagnostics');
+const diagnosticsStatus = document.getElementById('diagnosticsStatus');
+
+const DIAGNOSTICS_ABOUT_QUERY_KEY = 'about_query';
+const DIAGNOSTICS_LAYOUT_HEALTH_KEY = 'layout_health';
+
+function showDiagnosticsStatus(message) {
+  diagnosticsStatus.textContent = message;
+  clearTimeout(showDiagnosticsStatus.timeout);
+  showDiagnosticsStatus.timeout = setTimeout(() => {
+    diagnosticsStatus.textContent = '';
+  }, 5000);
+}
+
+async function collectTabDiagnostics() {
+  const tabs = await chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] });
+  const reports = [];
+  for (const tab of tabs) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'getDiagnostics' });
+      if (response) reports.push(response);
+    } catch (error) {
+      // Tab without a live content script
+    }
+  }
+  return reports;
+}
+
+async function buildDiagnosticsReport() {
+  const stored = await chrome.storage.local.get([DIAGNOSTICS_ABOUT_QUERY_KEY, DIAGNOSTICS_LAYOUT_HEALTH_KEY]);
+  let background = null;
+  try {
+    background = await chrome.runtime.sendMessage({ type: 'getDiagnostics' });
+  } catch (error) {
+    background = { error: error.message };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    version: chrome.runtime.getManifest().version,
+    language: getUILanguage(),
+    userAgent: navigator.userAgent,
+    settings: await loadSettings(),
+    aboutQuery: stored[DIAGNOSTICS_ABOUT_QUERY_KEY] || null,
+    layoutHealth: stored[DIAGNOSTICS_LAYOUT_HEALTH_KEY] || null,
+    background,
+    tabs: await collectTabDiagnostics()
+  };
+}
+
+copyDiagnosticsButton.addEventListener('click', async () => {
+  try {
+    const report = await buildDiagnosticsReport();
+    await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+    const eventCount = [report.background, ...report.tabs]
+      .reduce((count, source) => count + ((source && source.events) || []).length, 0);
+    showDiagnosticsStatus(getPluralMessage('diagnosticsCopied', report.tabs.length, eventCount));
+  } catch (error) {
+    log.error('Error copying diagnostics:', error);
+    showDiagnosticsStatus(getMessage('diagnosticsCopyFailed', error.message));
+  }
+});
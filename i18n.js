@@ -0,0 +1,44 @@
+// UI text in the browser's language, from the message catalogs in _locales.
+// Scripts call getMessage; pages mark their static text with data-i18n
+// attributes and call localizePage once loaded.
+
+function getUILanguage() {
+  return chrome.i18n.getUILanguage();
+}
+
+// A message from the catalog. Falls back to its name, so a missing message
+// shows up as such instead of as blank text.
+function getMessage(name, substitutions) {
+  const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+  return chrome.i18n.getMessage(name, values) || name;
+}
+
+// Messages that depend on a count come in plural forms named
+// <name>_<category>, the Intl.PluralRules categories of the user's language
+// (one, few, many, other...). Only <name>_other is required. $1 is the
+// formatted count, further substitutions follow it.
+function getPluralMessage(name, count, substitutions = []) {
+  const category = new Intl.PluralRules(getUILanguage()).select(count);
+  const values = [count.toLocaleString(), ...[].concat(substitutions)].map(String);
+  return chrome.i18n.getMessage(`${name}_${category}`, values) || getMessage(`${name}_other`, values);
+}
+
+// data-i18n fills the text of an element, the others one of its attributes
+const I18N_ATTRIBUTES = {
+  'data-i18n-title': 'title',
+  'data-i18n-placeholder': 'placeholder'
+};
+
+function localizePage() {
+  document.documentElement.lang = getUILanguage();
+  document.documentElement.dir = chrome.i18n.getMessage('@@bidi_dir') || 'ltr';
+
+  for (const element of document.querySelectorAll('[data-i18n]')) {
+    element.textContent = getMessage(element.getAttribute('data-i18n'));
+  }
+  for (const [dataAttribute, attribute] of Object.entries(I18N_ATTRIBUTES)) {
+    for (const element of document.querySelectorAll(`[${dataAttribute}]`)) {
+      element.setAttribute(attribute, getMessage(element.getAttribute(dataAttribute)));
+    }
+  }
+}
@@ -0,0 +1,115 @@
+// Notices when X's markup changed under us. Failures of the selectors in
+// authorSurfaces.js are otherwise silent: tweets simply show no flags. Three
+// checks are kept over the last few samples each:
+//   authorBlock  - a tweet was found but no author block inside it
+//   handle:<id>  - an author block was found but no handle came out of it
+//   placement:<id> - no placement could put a flag, shimmer or marker in a block
+// When most recent samples of a check fail, the tab reports the layout as
+// changed. The report is saved so the popup can warn about it.
+
+const LAYOUT_HEALTH_KEY = 'layout_health';
+
+// Samples kept per check, how many are needed before judging, and the share
+// of failures that counts as broken
+const LAYOUT_SAMPLE_WINDOW = 50;
+const LAYOUT_MIN_SAMPLES = 10;
+const LAYOUT_FAILURE_SHARE = 0.5;
+
+// check -> recent outcomes, true for success
+const layoutSamples = new Map();
+// Elements already sampled per check; each counts once, not on every scan
+const sampledLayoutElements = new Map();
+// Selector keys we've seen served by an older variant (see DOM_SELECTORS)
+const layoutFallbackKeys = new Set();
+// Problems last saved by this tab, as a comparable string
+let reportedLayoutProblems = null;
+
+function recordLayoutSample(check, ok, element) {
+  if (element) {
+    if (!sampledLayoutElements.has(check)) {
+      sampledLayoutElements.set(check, new WeakSet());
+    }
+    const sampled = sampledLayoutElements.get(check);
+    if (sampled.has(element)) return;
+    sampled.add(element);
+  }
+  if (!layoutSamples.has(check)) {
+    layoutSamples.set(check, []);
+  }
+  const samples = layoutSamples.get(check);
+  samples.push(ok);
+  if (samples.length > LAYOUT_SAMPLE_WINDOW) {
+    samples.shift();
+  }
+  scheduleLayoutHealthReport();
+}
+
+// Note which variant of a selector matched; older ones still work, but are
+// worth knowing about
+function recordSelectorVersion(key, element) {
+  const variants = DOM_SELECTORS[key];
+  if (!variants || variants.length < 2 || layoutFallbackKeys.has(key)) return;
+  const version = getSelectorVersion(element, key);
+  if (version !== null && version < variants[0].version) {
+    layoutFallbackKeys.add(key);
+    recordEvent('selectorFallback', { key, version });
+  }
+}
+
+// Checks with enough samples that mostly fail: [{ check, failed, total }]
+function getLayoutProblems() {
+  const problems = [];
+  for (const [check, samples] of layoutSamples) {
+    if (samples.length < LAYOUT_MIN_SAMPLES) continue;
+    const failed = samples.filter(ok => !ok).length;
+    if (failed / samples.length >= LAYOUT_FAILURE_SHARE) {
+      problems.push({ check, failed, total: samples.length });
+    }
+  }
+  return problems;
+}
+
+// Enough is known to say the layout is fine
+function hasLayoutVerdict() {
+  return [...layoutSamples.values()].some(samples => samples.length >= LAYOUT_MIN_SAMPLES);
+}
+
+function getLayoutHealth() {
+  return {
+    problems: getLayoutProblems(),
+    fallbacks: [...layoutFallbackKeys],
+    samples: Object.fromEntries([...layoutSamples].map(([check, samples]) =>
+      [check, { ok: samples.filter(Boolean).length, total: samples.length }]))
+  };
+}
+
+// Samples arrive in bursts during a scan; judge once it's over
+function scheduleLayoutHealthReport() {
+  if (scheduleLayoutHealthReport.timeout) return;
+  scheduleLayoutHealthReport.timeout = setTimeout(() => {
+    scheduleLayoutHealthReport.timeout = null;
+    reportLayoutHealth();
+  }, 2000);
+}
+
+// Save the verdict when it changed, for the popup
+async function reportLayoutHealth() {
+  if (!hasLayoutVerdict()) return;
+  const problems = getLayoutProblems();
+  const key = problems.map(problem => problem.check).sort().join(',');
+  if (key === reportedLayoutProblems) return;
+  reportedLayoutProblems = key;
+
+  if (problems.length > 0) {
+    recordEvent('layoutChanged', { problems });
+    log.error('X layout changed: flags may be missing.', problems.map(problem =>
+      `${problem.check} failed ${problem.failed}/${problem.total}`).join(', '));
+  }
+  try {
+    await chrome.storage.local.set({
+      [LAYOUT_HEALTH_KEY]: { problems, url: location.pathname, updatedAt: Date.now() }
+    });
+  } catch (error) {
+    log.debug('Error saving layout health:', error);
+  }
+}
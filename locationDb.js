@@ -0,0 +1,313 @@
+// IndexedDB-backed location store, owned by the background script.
+// Content scripts and the options page reach it through the message API in
+// locationStore.js, so every tab shares one store in the extension's origin.
+const LOCATION_DB_NAME = 'twitter-location-flag';
+const LOCATION_DB_VERSION = 2;
+const LOCATION_STORE = 'locations';
+// Accounts whose flag was shown, for the all-time country statistics
+const SEEN_ACCOUNTS_STORE = 'seenAccounts';
+
+// Storage keys used by earlier versions, migrated into IndexedDB on startup:
+// one blob holding every account, then one key per account
+const LEGACY_CACHE_KEY = 'twitter_location_cache';
+const LEGACY_CACHE_ENTRY_PREFIX = 'location:';
+
+// Records are { handle, screenName, profile, country, cachedAt, ttl, lastAccessed }.
+// handle is the lowercased screen name (X handles are case-insensitive),
+// country the resolved country/region code used by the country index,
+// lastAccessed drives LRU eviction.
+// Seen accounts are { handle, country, region, firstSeen, lastSeen }, with the
+// resolved country or region code (or neither when there is no usable location).
+// Both kinds of code are kept apart since some overlap ("ME").
+let locationDbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+function openLocationDb() {
+  if (!locationDbPromise) {
+    const request = indexedDB.open(LOCATION_DB_NAME, LOCATION_DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(LOCATION_STORE, { keyPath: 'handle' });
+        store.createIndex('country', 'country');
+        store.createIndex('cachedAt', 'cachedAt');
+        store.createIndex('lastAccessed', 'lastAccessed');
+      }
+      if (event.oldVersion < 2) {
+        const seen = db.createObjectStore(SEEN_ACCOUNTS_STORE, { keyPath: 'handle' });
+        seen.createIndex('country', 'country');
+        seen.createIndex('region', 'region');
+        seen.createIndex('firstSeen', 'firstSeen');
+      }
+    };
+    locationDbPromise = requestToPromise(request).catch(error => {
+      // Allow a later call to try again
+      locationDbPromise = null;
+      throw error;
+    });
+  }
+  return locationDbPromise;
+}
+
+async function getLocationStore(mode, storeName = LOCATION_STORE) {
+  const db = await openLocationDb();
+  const transaction = db.transaction(storeName, mode);
+  return { store: transaction.objectStore(storeName), done: transactionDone(transaction) };
+}
+
+function toHandle(screenName) {
+  return screenName.toLowerCase();
+}
+
+function toLocationDbRecord(screenName, entry, now) {
+  const match = entry.profile ? resolveLocation(entry.profile.location) : null;
+  return {
+    handle: toHandle(screenName),
+    screenName,
+    profile: entry.profile,
+    status: getEntryStatus(entry),
+    country: match ? match.code : null,
+    cachedAt: entry.cachedAt,
+    ttl: entry.ttl,
+    lastAccessed: now
+  };
+}
+
+function fromLocationDbRecord(record) {
+  return { profile: record.profile, status: getEntryStatus(record), cachedAt: record.cachedAt, ttl: record.ttl };
+}
+
+// Entries for the given screen names as { [screenName]: entry }; unknown names are left out.
+// Reading an entry counts as using it for LRU eviction.
+async function getStoredLocations(screenNames) {
+  const { store, done } = await getLocationStore('readwrite');
+  const now = Date.now();
+  const entries = {};
+
+  await Promise.all(screenNames.map(async screenName => {
+    const record = await requestToPromise(store.get(toHandle(screenName)));
+    if (record) {
+      record.lastAccessed = now;
+      store.put(record);
+      entries[screenName] = fromLocationDbRecord(record);
+    }
+  }));
+  await done;
+  return entries;
+}
+
+// Write { [screenName]: entry }, leaving other entries untouched
+async function putStoredLocations(entries) {
+  const { store, done } = await getLocationStore('readwrite');
+  const now = Date.now();
+  for (const [screenName, entry] of Object.entries(entries)) {
+    store.put(toLocationDbRecord(screenName, entry, now));
+  }
+  await done;
+}
+
+async function removeStoredLocations(screenNames) {
+  const { store, done } = await getLocationStore('readwrite');
+  for (const screenName of screenNames) {
+    store.delete(toHandle(screenName));
+  }
+  await done;
+}
+
+async function clearStoredLocations() {
+  const { store, done } = await getLocationStore('readwrite');
+  store.clear();
+  await done;
+}
+
+// Every entry as { [screenName]: entry }, for export
+async function getAllStoredLocations() {
+  const { store, done } = await getLocationStore('readonly');
+  const records = await requestToPromise(store.getAll());
+  await done;
+
+  const entries = {};
+  for (const record of records) {
+    entries[record.screenName] = fromLocationDbRecord(record);
+  }
+  return entries;
+}
+
+// Newest-first entries whose handle or location contains query, for the cache manager.
+// Returns { entries: [[screenName, entry], ...] (at most limit), matching, total, withLocation }.
+async function searchStoredLocations(query, limit) {
+  const { store, done } = await getLocationStore('readonly');
+  const needle = (query || '').trim().toLowerCase();
+  const result = { entries: [], matching: 0, total: 0, withLocation: 0 };
+
+  await new Promise((resolve, reject) => {
+    const request = store.index('cachedAt').openCursor(null, 'prev');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      // An exception here would leave the promise pending for good
+      try {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const record = cursor.value;
+        result.total++;
+        if (record.profile) result.withLocation++;
+
+        const matches = !needle ||
+          record.handle.includes(needle) ||
+          (record.profile && record.profile.location.toLowerCase().includes(needle));
+        if (matches) {
+          result.matching++;
+          if (result.entries.length < limit) {
+            result.entries.push([record.screenName, fromLocationDbRecord(record)]);
+          }
+        }
+        cursor.continue();
+      } catch (error) {
+        reject(error);
+      }
+    };
+  });
+  await done;
+  return result;
+}
+
+// Remove the least recently used entries until at most maxEntries remain.
+// Resolves to the screen names removed.
+async function evictStoredLocations(maxEntries) {
+  const { store, done } = await getLocationStore('readwrite');
+  const count = await requestToPromise(store.count());
+  const removed = [];
+
+  if (count > maxEntries) {
+    let excess = count - maxEntries;
+    await new Promise((resolve, reject) => {
+      const request = store.index('lastAccessed').openCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess === 0) {
+          resolve();
+          return;
+        }
+        removed.push(cursor.value.screenName);
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    });
+  }
+  await done;
+
+  if (removed.length > 0) {
+    log.info(`Evicted ${removed.length} least recently used locations (limit ${maxEntries})`);
+  }
+  return removed;
+}
+
+// Remember accounts whose flag was shown: { [screenName]: { type, code } | null }
+// with the resolved country or region. An account only ever counts once.
+async function putSeenAccounts(accounts) {
+  const { store, done } = await getLocationStore('readwrite', SEEN_ACCOUNTS_STORE);
+  const now = Date.now();
+
+  await Promise.all(Object.entries(accounts).map(async ([screenName, match]) => {
+    const handle = toHandle(screenName);
+    const existing = await requestToPromise(store.get(handle));
+    store.put({
+      handle,
+      country: match && match.type === 'country' ? match.code : null,
+      region: match && match.type === 'region' ? match.code : null,
+      firstSeen: existing ? existing.firstSeen : now,
+      lastSeen: now
+    });
+  }));
+  await done;
+}
+
+// Number of accounts per code, by walking the index keys only
+function countIndexKeys(index) {
+  const counts = {};
+  return new Promise((resolve, reject) => {
+    const request = index.openKeyCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(counts);
+        return;
+      }
+      counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+      cursor.continue();
+    };
+  });
+}
+
+// All-time counts as { countries: { [code]: n }, regions: { [code]: n }, total, since }.
+// Accounts without a usable location are only in total. since is the oldest firstSeen.
+async function countSeenAccounts() {
+  const { store, done } = await getLocationStore('readonly', SEEN_ACCOUNTS_STORE);
+  const [countries, regions, total] = await Promise.all([
+    countIndexKeys(store.index('country')),
+    countIndexKeys(store.index('region')),
+    requestToPromise(store.count())
+  ]);
+  const first = await requestToPromise(store.index('firstSeen').openKeyCursor());
+  await done;
+  return { countries, regions, total, since: first ? first.key : null };
+}
+
+async function clearSeenAccounts() {
+  const { store, done } = await getLocationStore('readwrite', SEEN_ACCOUNTS_STORE);
+  store.clear();
+  await done;
+}
+
+// Move caches from chrome.storage.local (both earlier formats) into IndexedDB
+async function migrateLegacyCache(defaultTtl) {
+  const all = await chrome.storage.local.get(null);
+  const entries = {};
+  const legacyKeys = [];
+
+  for (const [screenName, data] of Object.entries(all[LEGACY_CACHE_KEY] || {})) {
+    const entry = toCacheEntry(data, defaultTtl);
+    // Null entries in the old blob were never trusted, so don't turn them into negative entries
+    if (entry && entry.profile) {
+      entries[screenName] = entry;
+    }
+  }
+  if (all[LEGACY_CACHE_KEY]) {
+    legacyKeys.push(LEGACY_CACHE_KEY);
+  }
+
+  for (const [key, data] of Object.entries(all)) {
+    if (!key.startsWith(LEGACY_CACHE_ENTRY_PREFIX)) continue;
+    legacyKeys.push(key);
+    const entry = toCacheEntry(data, defaultTtl);
+    if (entry) {
+      entries[key.slice(LEGACY_CACHE_ENTRY_PREFIX.length)] = entry;
+    }
+  }
+
+  if (legacyKeys.length === 0) return;
+
+  await putStoredLocations(entries);
+  await chrome.storage.local.remove(legacyKeys);
+  log.info(`Migrated ${Object.keys(entries).length} cached locations to IndexedDB`);
+}
@@ -0,0 +1,386 @@
+// Location cache format and client API, shared by the content script and the
+// cache manager on the options page. The entries themselves live in IndexedDB
+// in the background script (locationDb.js); the functions below message it.
+// An entry is { profile, status, cachedAt, ttl }; profile is null for
+// negative entries (any status but located).
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// What a lookup found out about an account, as classified by pageScript.js
+const LOOKUP_STATUS = {
+  located: 'located',
+  noLocation: 'noLocation', // the account shares no location
+  protected: 'protected', // protected account without a location
+  suspended: 'suspended',
+  notFound: 'notFound', // no such account (deleted, deactivated or renamed)
+  error: 'error' // rate limit, server or network error, timeout; never cached
+};
+
+// How long negative statuses other than noLocation are cached.
+// located and noLocation follow the cache settings.
+const STATUS_CACHE_TTLS = {
+  // Accounts rarely go public again
+  protected: 3 * DAY_MS,
+  // Suspensions are often lifted after a while
+  suspended: DAY_MS,
+  // A freed handle can be taken by a new account
+  notFound: 12 * HOUR_MS
+};
+
+// How long to cache a lookup that ended with status, or 0 to not cache it
+function getStatusCacheTtl(status, settings) {
+  if (status === LOOKUP_STATUS.located) return settings.cacheExpiryDays * DAY_MS;
+  if (status === LOOKUP_STATUS.noLocation) return settings.negativeCacheHours * HOUR_MS;
+  return STATUS_CACHE_TTLS[status] || 0;
+}
+
+// An entry's status. Entries cached before statuses were kept have a
+// profile (located) or not (noLocation).
+function getEntryStatus(entry) {
+  if (entry.profile) return LOOKUP_STATUS.located;
+  return Object.hasOwn(STATUS_CACHE_TTLS, entry.status) ? entry.status : LOOKUP_STATUS.noLocation;
+}
+
+const isString = value => typeof value === 'string';
+const isBoolean = value => typeof value === 'boolean';
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isScreenName = value => isString(value) && /^[A-Za-z0-9_]{1,20}$/.test(value);
+const optional = check => value => value === null || value === undefined || check(value);
+const isLocationText = value => isString(value) && value.length <= 200;
+
+// Checks for the fields of a location record, as built by extractProfile in
+// pageScript.js. Every field is optional.
+const PROFILE_FIELD_CHECKS = {
+  location: isLocationText,
+  source: isLocationText,
+  locationAccurate: isBoolean,
+  usernameChangeCount: isFiniteNumber,
+  usernameLastChangedAt: isFiniteNumber,
+  createdAt: isFiniteNumber,
+  verifiedSince: isFiniteNumber,
+  isBlueVerified: isBoolean
+};
+
+function isValidProfile(profile) {
+  return !!profile && typeof profile === 'object' && !Array.isArray(profile) &&
+    Object.entries(PROFILE_FIELD_CHECKS).every(([field, check]) => optional(check)(profile[field]));
+}
+
+// A copy of a location record with only its known fields, or null unless
+// it is valid and has a location. For records from outside, such as imports.
+function toValidProfile(profile) {
+  if (!isValidProfile(profile) || !profile.location) return null;
+  const valid = {};
+  for (const field of Object.keys(PROFILE_FIELD_CHECKS)) {
+    if (profile[field] !== undefined) valid[field] = profile[field];
+  }
+  return valid;
+}
+
+// Key in a locationCacheChanged message meaning "every entry was removed".
+// It is applied before the other keys in the same message.
+const ALL_CACHE_ENTRIES = '*';
+
+// How urgently a tab needs a lookup; the background queue serves lower
+// values first. Tabs update it as the accounts scroll in and out of view.
+const LOOKUP_PRIORITY = {
+  visible: 0,
+  nearViewport: 1,
+  offscreen: 2,
+  // Refreshing a stale location that is already shown
+  revalidate: 3
+};
+
+// Convert a stored or imported cache entry into a location record; null if
+// it has no valid one. Entries written before profiles were kept only have a
+// bare location string.
+function toLocationRecord(data) {
+  if (!data) return null;
+  if (data.profile) {
+    return toValidProfile(data.profile);
+  }
+  if (isLocationText(data.location) && data.location) {
+    return { location: data.location };
+  }
+  return null;
+}
+
+// Normalize any stored or imported entry to { profile, status, cachedAt, ttl }.
+// Older entries carry an absolute expiry instead of a TTL.
+function toCacheEntry(data, defaultTtl) {
+  if (!data || typeof data !== 'object') return null;
+
+  const cachedAt = Number(data.cachedAt) || Date.now();
+  let ttl = Number(data.ttl);
+  if (!ttl && data.expiry) {
+    ttl = Number(data.expiry) - cachedAt;
+  }
+  if (!ttl || ttl <= 0) {
+    ttl = defaultTtl;
+  }
+
+  const profile = toLocationRecord(data);
+  return { profile, status: getEntryStatus({ profile, status: data.status }), cachedAt, ttl };
+}
+
+function createCacheEntry(profile, ttl, status) {
+  const entry = { profile: profile || null, status, cachedAt: Date.now(), ttl };
+  entry.status = getEntryStatus(entry);
+  return entry;
+}
+
+function isCacheEntryFresh(entry, now = Date.now()) {
+  return now < entry.cachedAt + entry.ttl;
+}
+
+async function sendLocationStoreMessage(op, payload) {
+  const response = await chrome.runtime.sendMessage({ type: 'locationStore', op, ...payload });
+  if (!response) {
+    throw new Error('Location store did not respond');
+  }
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
+
+// Entries for the given screen names as { [screenName]: entry }; unknown names are left out
+async function getCacheEntries(screenNames) {
+  if (screenNames.length === 0) return {};
+  return (await sendLocationStoreMessage('get', { screenNames })).entries;
+}
+
+// Read every cache entry as { [screenName]: entry }
+async function readAllCacheEntries() {
+  return (await sendLocationStoreMessage('getAll')).entries;
+}
+
+// Write some entries ({ [screenName]: entry }), leaving the rest untouched
+async function writeCacheEntries(entries) {
+  if (Object.keys(entries).length === 0) return;
+  await sendLocationStoreMessage('put', { entries });
+}
+
+async function removeCacheEntries(screenNames) {
+  if (screenNames.length === 0) return;
+  await sendLocationStoreMessage('remove', { screenNames });
+}
+
+async function clearCacheEntries() {
+  await sendLocationStoreMessage('clear');
+}
+
+// Newest entries matching query: { entries: [[screenName, entry], ...], matching, total, withLocation }
+async function searchCacheEntries(query, limit) {
+  return sendLocationStoreMessage('search', { query, limit });
+}
+
+// Count accounts whose flag was shown for the all-time statistics:
+// { [screenName]: { type, code } | null }, null when the location isn't recognized
+async function recordSeenAccounts(accounts) {
+  if (Object.keys(accounts).length === 0) return;
+  await sendLocationStoreMessage('recordSeen', { accounts });
+}
+
+// All-time statistics: { countries: { [code]: n }, regions: { [code]: n }, total, since }
+async function getSeenAccountStats() {
+  return (await sendLocationStoreMessage('seenStats')).stats;
+}
+
+async function clearSeenAccountStats() {
+  await sendLocationStoreMessage('clearSeen');
+}
+
+// Columns written to and read from CSV exports
+const CACHE_CSV_COLUMNS = [
+  'screen_name',
+  'location',
+  'source',
+  'location_accurate',
+  'username_change_count',
+  'created_at',
+  'verified_since',
+  'cached_at',
+  'expiry'
+];
+
+function toIsoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+function fromIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Parse CSV text into rows of fields (RFC 4180 quoting)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+// Only entries with a location are exported; negative entries are not worth sharing
+function exportCacheJson(entries) {
+  const exported = {};
+  for (const [screenName, entry] of Object.entries(entries)) {
+    if (entry.profile) {
+      exported[screenName] = entry;
+    }
+  }
+  return JSON.stringify({
+    format: 'twitter-location-cache',
+    version: 2,
+    exportedAt: new Date().toISOString(),
+    entries: exported
+  }, null, 2);
+}
+
+function exportCacheCsv(entries) {
+  const lines = [CACHE_CSV_COLUMNS.join(',')];
+  for (const [screenName, entry] of Object.entries(entries)) {
+    const record = entry.profile;
+    if (!record) continue;
+    lines.push([
+      screenName,
+      record.location,
+      record.source,
+      record.locationAccurate === null || record.locationAccurate === undefined ? '' : record.locationAccurate,
+      record.usernameChangeCount === null || record.usernameChangeCount === undefined ? '' : record.usernameChangeCount,
+      toIsoDate(record.createdAt),
+      toIsoDate(record.verifiedSince),
+      toIsoDate(entry.cachedAt),
+      toIsoDate(entry.cachedAt + entry.ttl)
+    ].map(escapeCsvField).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function parseCsvCache(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || !header.includes('screen_name') || !header.includes('location')) {
+    throw new Error(getMessage('importErrorCsvColumns'));
+  }
+
+  const column = name => header.indexOf(name);
+  const get = (row, name) => column(name) >= 0 ? (row[column(name)] || '').trim() : '';
+  const entries = {};
+
+  for (const row of rows) {
+    const screenName = get(row, 'screen_name').replace(/^@/, '');
+    const location = get(row, 'location');
+    if (!screenName || !location) continue;
+
+    const accurate = get(row, 'location_accurate');
+    const changeCount = get(row, 'username_change_count');
+    entries[screenName] = {
+      profile: {
+        location,
+        source: get(row, 'source') || null,
+        locationAccurate: accurate === 'true' ? true : accurate === 'false' ? false : null,
+        usernameChangeCount: changeCount !== '' && !isNaN(Number(changeCount)) ? Number(changeCount) : null,
+        createdAt: fromIsoDate(get(row, 'created_at')),
+        verifiedSince: fromIsoDate(get(row, 'verified_since'))
+      },
+      cachedAt: fromIsoDate(get(row, 'cached_at')),
+      expiry: fromIsoDate(get(row, 'expiry'))
+    };
+  }
+
+  return entries;
+}
+
+function parseJsonCache(text) {
+  const parsed = JSON.parse(text);
+  // Accept both our export wrapper and a raw dump of the legacy storage key
+  const entries = parsed && parsed.format === 'twitter-location-cache' ? parsed.entries : parsed;
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(getMessage('importErrorJson'));
+  }
+  return entries;
+}
+
+// Parse an exported cache file (JSON or CSV) into normalized cache entries.
+// Entries without a valid screen name and location record are dropped;
+// missing dates get defaults.
+function parseCacheImport(text, defaultTtl) {
+  const trimmed = text.trim();
+  const raw = trimmed.startsWith('{') ? parseJsonCache(trimmed) : parseCsvCache(trimmed);
+
+  const entries = {};
+  for (const [screenName, data] of Object.entries(raw)) {
+    const entry = toCacheEntry(data, defaultTtl);
+    if (isScreenName(screenName) && entry && entry.profile) {
+      entries[screenName] = entry;
+    }
+  }
+  return entries;
+}
+
+// Work out which imported entries to write over the existing cache.
+// strategy: 'newer' keeps whichever entry was cached more recently,
+// 'keep' never overwrites existing locations, 'replace' always takes the import.
+// Negative entries never block an import.
+// Returns { changes, added, updated, skipped } where changes only holds entries to write.
+function mergeCacheEntries(existing, imported, strategy) {
+  const changes = {};
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  for (const [screenName, entry] of Object.entries(imported)) {
+    const current = existing[screenName];
+    if (!current || !current.profile) {
+      changes[screenName] = entry;
+      added++;
+    } else if (strategy === 'replace' ||
+               (strategy === 'newer' && entry.cachedAt > current.cachedAt)) {
+      changes[screenName] = entry;
+      updated++;
+    } else {
+      skipped++;
+    }
+  }
+
+  return { changes, added, updated, skipped };
+}
@@ -0,0 +1,48 @@
+// Leveled logging and a ring buffer of recent events for bug reports.
+// Loaded first by the content script, background script and options page;
+// each keeps its own buffer, and the options page collects them all into
+// one diagnostics report.
+const LOG_LEVELS = ['off', 'error', 'info', 'debug'];
+const DEFAULT_LOG_LEVEL = 'error';
+
+// Only the most recent events are kept
+const MAX_DIAGNOSTIC_EVENTS = 500;
+
+let logLevel = DEFAULT_LOG_LEVEL;
+const diagnosticEvents = [];
+
+function setLogLevel(level) {
+  logLevel = LOG_LEVELS.includes(level) ? level : DEFAULT_LOG_LEVEL;
+}
+
+function isLogLevelEnabled(level) {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(logLevel);
+}
+
+// Console output, quiet unless the user turned the level up in settings
+const log = {
+  error: (...args) => {
+    if (isLogLevelEnabled('error')) console.error(...args);
+  },
+  info: (...args) => {
+    if (isLogLevelEnabled('info')) console.log(...args);
+  },
+  debug: (...args) => {
+    if (isLogLevelEnabled('debug')) console.log(...args);
+  }
+};
+
+// Remember an event for the diagnostics report, whatever the log level.
+// details should be small and free of handles and locations, since the
+// report is meant to be pasted into public bug reports.
+function recordEvent(category, details) {
+  diagnosticEvents.push({ at: Date.now(), category, ...details });
+  if (diagnosticEvents.length > MAX_DIAGNOSTIC_EVENTS) {
+    diagnosticEvents.splice(0, diagnosticEvents.length - MAX_DIAGNOSTIC_EVENTS);
+  }
+  log.debug(`[${category}]`, details);
+}
+
+function getDiagnosticEvents() {
+  return diagnosticEvents.slice();
+}
@@ -0,0 +1,139 @@
+// Viewport-aware lookup priorities. The elements waiting for each account's
+// location are watched with IntersectionObservers, and the background queue
+// is told which accounts are on screen (requested first), which are about to
+// scroll into view, and which aren't. Lookups whose elements have all left
+// the page are cancelled.
+
+// How far above and below the viewport still counts as near
+const NEAR_VIEWPORT_MARGIN = '100% 0px';
+
+// Elements waiting for each account: username -> Set of elements
+const lookupElements = new Map();
+// Priority of lookups no element waits for (cache refreshes): username -> priority
+const unboundLookupPriorities = new Map();
+// Priority last sent to the background script: username -> priority
+const sentLookupPriorities = new Map();
+// Where each watched element is: element -> { visible, near }
+const lookupElementVisibility = new WeakMap();
+
+function updateLookupVisibility(entries, key) {
+  for (const entry of entries) {
+    const visibility = lookupElementVisibility.get(entry.target);
+    if (visibility) {
+      visibility[key] = entry.isIntersecting;
+    }
+  }
+  scheduleLookupPriorityUpdate();
+}
+
+const visibleLookupObserver = new IntersectionObserver(entries => updateLookupVisibility(entries, 'visible'));
+const nearLookupObserver = new IntersectionObserver(entries => updateLookupVisibility(entries, 'near'), {
+  rootMargin: NEAR_VIEWPORT_MARGIN
+});
+
+// The observers report asynchronously; measure once so the first request
+// already carries the right priority
+function measureLookupVisibility(element) {
+  const rect = element.getBoundingClientRect();
+  const height = window.innerHeight;
+  const rendered = rect.width > 0 || rect.height > 0;
+  return {
+    visible: rendered && rect.bottom > 0 && rect.top < height,
+    near: rendered && rect.bottom > -height && rect.top < height * 2
+  };
+}
+
+// element waits for screenName's lookup
+function trackLookupElement(screenName, element) {
+  if (!lookupElementVisibility.has(element)) {
+    lookupElementVisibility.set(element, measureLookupVisibility(element));
+    visibleLookupObserver.observe(element);
+    nearLookupObserver.observe(element);
+  }
+  if (!lookupElements.has(screenName)) {
+    lookupElements.set(screenName, new Set());
+  }
+  lookupElements.get(screenName).add(element);
+}
+
+// A lookup not tied to anything on the page; it's never cancelled
+function trackUnboundLookup(screenName, priority) {
+  const current = unboundLookupPriorities.get(screenName);
+  unboundLookupPriorities.set(screenName, current === undefined ? priority : Math.min(current, priority));
+}
+
+function untrackLookupElement(element) {
+  visibleLookupObserver.unobserve(element);
+  nearLookupObserver.unobserve(element);
+  lookupElementVisibility.delete(element);
+}
+
+// The lookup finished or was cancelled
+function untrackLookup(screenName) {
+  const elements = lookupElements.get(screenName);
+  if (elements) {
+    elements.forEach(untrackLookupElement);
+  }
+  lookupElements.delete(screenName);
+  unboundLookupPriorities.delete(screenName);
+  sentLookupPriorities.delete(screenName);
+}
+
+function getElementLookupPriority(element) {
+  const visibility = lookupElementVisibility.get(element);
+  if (!visibility || !element.isConnected) return LOOKUP_PRIORITY.offscreen;
+  if (visibility.visible) return LOOKUP_PRIORITY.visible;
+  if (visibility.near) return LOOKUP_PRIORITY.nearViewport;
+  return LOOKUP_PRIORITY.offscreen;
+}
+
+// The most urgent of everything waiting for the account
+function getLookupPriority(screenName) {
+  let priority = unboundLookupPriorities.has(screenName)
+    ? unboundLookupPriorities.get(screenName)
+    : LOOKUP_PRIORITY.offscreen;
+  for (const element of lookupElements.get(screenName) || []) {
+    priority = Math.min(priority, getElementLookupPriority(element));
+  }
+  sentLookupPriorities.set(screenName, priority);
+  return priority;
+}
+
+// Scrolling fires the observers in bursts; report once things settle
+function scheduleLookupPriorityUpdate() {
+  if (scheduleLookupPriorityUpdate.timeout) return;
+  scheduleLookupPriorityUpdate.timeout = setTimeout(() => {
+    scheduleLookupPriorityUpdate.timeout = null;
+    updateLookupPriorities();
+  }, 250);
+}
+
+// Forget elements X removed, cancel lookups nothing on the page waits for
+// any more and tell the background script about priorities that changed
+function updateLookupPriorities() {
+  for (const [screenName, elements] of [...lookupElements]) {
+    // Already resolved (see resolveLookup in content.js)
+    if (!pendingLookups.has(screenName)) {
+      untrackLookup(screenName);
+      continue;
+    }
+
+    for (const element of elements) {
+      if (!element.isConnected) {
+        elements.delete(element);
+        untrackLookupElement(element);
+      }
+    }
+
+    if (elements.size === 0 && !unboundLookupPriorities.has(screenName)) {
+      cancelLookup(screenName);
+      continue;
+    }
+
+    const previous = sentLookupPriorities.get(screenName);
+    const priority = getLookupPriority(screenName);
+    if (priority !== previous) {
+      chrome.runtime.sendMessage({ type: 'lookupPriority', screenName, priority }).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,123 @@
+// Options page: renders SETTINGS_SCHEMA as a form and saves validated settings.
+// Open X tabs pick changes up through storage.onChanged.
+const settingsForm = document.getElementById('settingsForm');
+const resetButton = document.getElementById('resetDefaults');
+const status = document.getElementById('status');
+
+// Setting key -> { input, error } elements
+const settingFields = {};
+
+function createSettingRow(key, definition) {
+  const row = document.createElement('div');
+  row.className = 'setting';
+
+  const text = document.createElement('div');
+  const label = document.createElement('label');
+  label.className = 'setting-label';
+  label.htmlFor = `setting-${key}`;
+  label.textContent = getMessage(`setting_${key}`);
+  const description = document.createElement('div');
+  description.className = 'setting-description';
+  description.textContent = getMessage(`setting_${key}_description`);
+  const error = document.createElement('div');
+  error.className = 'setting-error';
+  text.appendChild(label);
+  text.appendChild(description);
+  text.appendChild(error);
+
+  const control = document.createElement('div');
+  control.className = 'setting-control';
+  const input = document.createElement(definition.type === 'choice' ? 'select' : 'input');
+  input.id = `setting-${key}`;
+  input.name = key;
+  if (definition.type === 'boolean') {
+    input.type = 'checkbox';
+  } else if (definition.type === 'choice') {
+    for (const value of definition.options) {
+      input.appendChild(new Option(getMessage(`setting_${key}_${value}`), value));
+    }
+  } else {
+    input.type = 'number';
+    input.min = definition.min;
+    input.max = definition.max;
+    input.step = 1;
+  }
+  control.appendChild(input);
+  if (definition.unit) {
+    const unit = document.createElement('span');
+    unit.className = 'setting-unit';
+    unit.textContent = getMessage(`unit_${definition.unit}`);
+    control.appendChild(unit);
+  }
+
+  row.appendChild(text);
+  row.appendChild(control);
+  settingFields[key] = { input, error };
+  return row;
+}
+
+function renderForm() {
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    const section = settingsForm.querySelector(`[data-section="${definition.section}"]`);
+    section.appendChild(createSettingRow(key, definition));
+  }
+}
+
+function fillForm(values) {
+  for (const [key, { input, error }] of Object.entries(settingFields)) {
+    if (SETTINGS_SCHEMA[key].type === 'boolean') {
+      input.checked = values[key];
+    } else {
+      input.value = values[key];
+    }
+    input.classList.remove('invalid');
+    error.textContent = '';
+  }
+}
+
+function readForm() {
+  const values = {};
+  for (const [key, { input }] of Object.entries(settingFields)) {
+    if (SETTINGS_SCHEMA[key].type === 'boolean') {
+      values[key] = input.checked;
+    } else if (SETTINGS_SCHEMA[key].type === 'choice') {
+      values[key] = input.value;
+    } else {
+      values[key] = input.value === '' ? NaN : Number(input.value);
+    }
+  }
+  return values;
+}
+
+function showErrors(errors) {
+  for (const [key, { input, error }] of Object.entries(settingFields)) {
+    input.classList.toggle('invalid', !!errors[key]);
+    error.textContent = errors[key] || '';
+  }
+}
+
+function showStatus(message) {
+  status.textContent = message;
+  clearTimeout(showStatus.timeout);
+  showStatus.timeout = setTimeout(() => {
+    status.textContent = '';
+  }, 3000);
+}
+
+settingsForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const errors = await saveSettings(readForm());
+  showErrors(errors);
+  showStatus(getMessage(Object.keys(errors).length > 0 ? 'optionsFixErrors' : 'optionsSaved'));
+});
+
+resetButton.addEventListener('click', async () => {
+  const defaults = getDefaultSettings();
+  await saveSettings(defaults);
+  fillForm(defaults);
+  showStatus(getMessage('optionsDefaultsRestored'));
+});
+
+localizePage();
+renderForm();
+loadSettings().then(fillForm);
@@ -0,0 +1,171 @@
+// Private channel between the content script and pageScript.js.
+// window.postMessage and anything in the DOM can be read and forged by any
+// script on the page, so neither carries the channel. Before injecting the
+// page script we define a handover function on the page's window
+// (exportFunction, read-only and not reconfigurable, so page code can't
+// replace it). pageScript.js calls it with a callback as soon as it runs, and
+// once it has run we call that callback with a MessagePort and a per-session
+// secret it adds to every message it sends back. Page code can call the
+// handover function too, but only before the page script does; pageScript.js
+// always calls it exactly once, so any other call makes us refuse the
+// channel instead of handing the port to the wrong caller.
+//
+// This keeps other scripts from listening in on or forging the handover. It
+// can't protect the page script from page code that patched built-ins such
+// as MessagePort.prototype.postMessage before it loaded; messages in both
+// directions are still checked against a schema and dropped if they don't
+// match.
+const PAGE_CHANNEL_HANDOVER = '__twitterFlagChannel';
+
+let pagePort = null;
+let pageChannelSecret = null;
+// Callbacks the handover function was called with this session; set while
+// the page script is loading
+let pageChannelHandovers = null;
+// Messages sent while the page script is loading
+const pendingPageMessages = [];
+// Handlers by message type, see onPageMessage
+const pageMessageHandlers = {};
+
+function createChannelSecret() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// isString, isScreenName, isValidProfile etc. come from locationStore.js
+const isQueryId = value => isString(value) && /^[\w-]{1,64}$/.test(value);
+
+// x-rate-limit-* headers as read by readRateLimit in pageScript.js
+function isRateLimit(rateLimit) {
+  return !!rateLimit && typeof rateLimit === 'object' &&
+    isFiniteNumber(rateLimit.limit) &&
+    isFiniteNumber(rateLimit.remaining) &&
+    isFiniteNumber(rateLimit.reset);
+}
+
+// Messages the page script may send, by type
+const PAGE_MESSAGE_SCHEMAS = {
+  locationResponse: message =>
+    isString(message.requestId) &&
+    isScreenName(message.screenName) &&
+    (message.profile === null || isValidProfile(message.profile)) &&
+    Object.values(LOOKUP_STATUS).includes(message.status) &&
+    isBoolean(message.isRateLimited) &&
+    isBoolean(message.queryFailed) &&
+    optional(value => ['server', 'network', 'timeout'].includes(value))(message.failure) &&
+    optional(isRateLimit)(message.rateLimit),
+  rateLimitInfo: message =>
+    isFiniteNumber(message.resetTime) &&
+    isFiniteNumber(message.waitTime),
+  queryIdStatus: message =>
+    isQueryId(message.queryId) &&
+    isString(message.source) &&
+    (message.error === null || (
+      !!message.error &&
+      isString(message.error.message) &&
+      isFiniteNumber(message.error.status) &&
+      isFiniteNumber(message.error.at))),
+  apiStatus: message =>
+    isFiniteNumber(message.status) &&
+    isFiniteNumber(message.durationMs) &&
+    optional(isFiniteNumber)(message.rateLimitRemaining),
+  harvestedProfiles: message =>
+    Array.isArray(message.profiles) &&
+    message.profiles.length <= 500 &&
+    message.profiles.every(entry => !!entry &&
+      isScreenName(entry.screenName) &&
+      isValidProfile(entry.profile) &&
+      isString(entry.profile.location))
+};
+
+function validatePageMessage(message) {
+  if (!message || typeof message !== 'object') return false;
+  if (message.secret !== pageChannelSecret) return false;
+  const schema = PAGE_MESSAGE_SCHEMAS[message.type];
+  return !!schema && schema(message);
+}
+
+// Register the handler for one type of page script message
+function onPageMessage(type, handler) {
+  pageMessageHandlers[type] = handler;
+}
+
+// Whether the page script is connected and can make requests. False before
+// it was injected (the extension was off when the tab loaded) and after the
+// channel was refused.
+function isPageChannelOpen() {
+  return !!pagePort;
+}
+
+// Returns false when the message was dropped because there is no channel
+// and none is being set up
+function sendToPage(message) {
+  if (pagePort) {
+    pagePort.postMessage(message);
+  } else if (pageChannelHandovers) {
+    pendingPageMessages.push(message);
+  } else {
+    return false;
+  }
+  return true;
+}
+
+function handlePageMessage(event) {
+  const message = event.data;
+  if (!validatePageMessage(message)) {
+    const type = message && typeof message.type === 'string' ? message.type.slice(0, 40) : null;
+    recordEvent('pageMessageDropped', { type });
+    log.info('Dropped invalid message from page script:', type);
+    return;
+  }
+  const handler = pageMessageHandlers[message.type];
+  if (handler) {
+    handler(message);
+  }
+}
+
+// Script element that loads pageScript.js, with this session's handover
+// function defined on the page's window. The element carries the function's
+// name; the name isn't secret, calling the function early only makes the
+// handover fail.
+function createPageScriptElement() {
+  pageChannelSecret = createChannelSecret();
+  const handovers = [];
+  pageChannelHandovers = handovers;
+
+  const handoverName = `${PAGE_CHANNEL_HANDOVER}_${createChannelSecret()}`;
+  Object.defineProperty(window.wrappedJSObject, handoverName, {
+    value: exportFunction(receive => {
+      handovers.push(receive);
+    }, window),
+    writable: false,
+    configurable: false
+  });
+
+  const script = document.createElement('script');
+  script.src = chrome.runtime.getURL('pageScript.js');
+  script.dataset.channelHandover = handoverName;
+  return script;
+}
+
+// Hand the page script its end of the channel. Call from the script's load
+// event, which fires in the same task right after it ran.
+function connectPageScript() {
+  const handovers = pageChannelHandovers;
+  pageChannelHandovers = null;
+  if (!handovers || handovers.length !== 1 || typeof handovers[0] !== 'function') {
+    const calls = handovers ? handovers.length : 0;
+    pendingPageMessages.length = 0;
+    recordEvent('pageChannelRefused', { calls });
+    log.error(`Page script channel refused: handover called ${calls} times. Flags can't load on this page.`);
+    return;
+  }
+
+  const channel = new MessageChannel();
+  pagePort = channel.port1;
+  pagePort.onmessage = handlePageMessage;
+  handovers[0](channel.port2, pageChannelSecret);
+
+  pendingPageMessages.splice(0).forEach(message => pagePort.postMessage(message));
+}
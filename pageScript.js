@@ -1,9 +1,67 @@
 // This script runs in the page context to access cookies and make API calls
 (function() {
+  // Private channel to the content script (see pageChannel.js). Our <script>
+  // element names the handover function; call it before anything else so
+  // page code can't be first.
+  const channelScript = document.currentScript;
+  const channelHandoverName = channelScript ? channelScript.dataset.channelHandover : null;
+  const channelHandover = channelHandoverName ? window[channelHandoverName] : null;
+  let contentPort = null;
+  let channelSecret = null;
+  // Messages sent before the port arrives
+  const pendingContentMessages = [];
+  
+  // The content script calls back with the port once we've run
+  if (typeof channelHandover === 'function') {
+    channelHandover(function receiveChannel(port, secret) {
+      if (contentPort) return;
+      contentPort = port;
+      channelSecret = secret;
+      contentPort.onmessage = (portEvent) => handleContentMessage(portEvent.data);
+      pendingContentMessages.splice(0).forEach(message => contentPort.postMessage({ ...message, secret: channelSecret }));
+    });
+  }
+  
+  // Console logging follows the level the content script sends (see logger.js);
+  // only errors until then
+  const LOG_LEVELS = ['off', 'error', 'info', 'debug'];
+  let logLevel = 'error';
+  const log = {
+    error: (...args) => {
+      if (LOG_LEVELS.indexOf(logLevel) >= 1) console.error(...args);
+    },
+    info: (...args) => {
+      if (LOG_LEVELS.indexOf(logLevel) >= 2) console.log(...args);
+    },
+    debug: (...args) => {
+      if (LOG_LEVELS.indexOf(logLevel) >= 3) console.log(...args);
+    }
+  };
+  
+  function sendToContent(message) {
+    if (contentPort) {
+      contentPort.postMessage({ ...message, secret: channelSecret });
+    } else if (pendingContentMessages.length < 100) {
+      pendingContentMessages.push(message);
+    }
+  }
+  
   // Store headers from Twitter's own API calls
   let twitterHeaders = null;
   let headersReady = false;
   
+  // AboutAccountQuery's GraphQL query ID changes when X deploys. Start from the
+  // ID this release shipped with (or the last one discovered, sent by the
+  // content script) and pick up new ones from X's own traffic and bundles.
+  const DEFAULT_ABOUT_QUERY_ID = 'XRqGa7EeokUU5kppkh13EA';
+  const ABOUT_QUERY_URL_PATTERN = /\/i\/api\/graphql\/([\w-]+)\/AboutAccountQuery\b/;
+  const ABOUT_QUERY_BUNDLE_PATTERN = /queryId:\s*"([\w-]+)",\s*operationName:\s*"AboutAccountQuery"/;
+  let aboutQueryId = DEFAULT_ABOUT_QUERY_ID;
+  let aboutQuerySource = 'default';
+  // Error reported for the current query ID, so it's only reported once
+  let aboutQueryError = null;
+  const scannedBundles = new Set();
+  
   // Function to capture headers from a request
   function captureHeaders(headers) {
     if (!headers) return;
@@ -23,7 +81,127 @@
     // Replace headers completely (don't merge) to ensure we get auth tokens
     twitterHeaders = headerObj;
     headersReady = true;
-    console.log('Captured Twitter API headers:', Object.keys(headerObj));
+    log.debug('Captured Twitter API headers:', Object.keys(headerObj));
+  }
+  
+  // Tell the content script (which persists it) about query ID changes and failures
+  function reportAboutQueryStatus() {
+    sendToContent({
+      type: 'queryIdStatus',
+      queryId: aboutQueryId,
+      source: aboutQuerySource,
+      error: aboutQueryError
+    });
+  }
+  
+  function setAboutQueryId(queryId, source) {
+    if (!queryId || queryId === aboutQueryId) return false;
+    log.info(`AboutAccountQuery ID ${queryId} found in ${source} (was ${aboutQueryId})`);
+    aboutQueryId = queryId;
+    aboutQuerySource = source;
+    aboutQueryError = null;
+    reportAboutQueryStatus();
+    return true;
+  }
+  
+  // fetch() takes a string, URL or Request
+  function getUrlString(url) {
+    return String(url && url.url ? url.url : url);
+  }
+  
+  // X's own AboutAccountQuery requests carry the current ID
+  function discoverQueryIdFromUrl(url) {
+    const match = getUrlString(url).match(ABOUT_QUERY_URL_PATTERN);
+    if (match) {
+      setAboutQueryId(match[1], 'page traffic');
+    }
+  }
+  
+  // Search the client bundles the page loaded for the AboutAccountQuery definition
+  async function discoverQueryIdFromBundles() {
+    const urls = new Set();
+    document.querySelectorAll('script[src]').forEach(script => urls.add(script.src));
+    performance.getEntriesByType('resource').forEach(entry => {
+      if (entry.initiatorType === 'script') urls.add(entry.name);
+    });
+    
+    for (const url of urls) {
+      if (scannedBundles.has(url) || !/\/responsive-web\/client-web[^/]*\/.+\.js/.test(url)) continue;
+      scannedBundles.add(url);
+      try {
+        const text = await (await originalFetch(url)).text();
+        const match = text.match(ABOUT_QUERY_BUNDLE_PATTERN);
+        if (match) {
+          log.info(`AboutAccountQuery definition found in ${url}`);
+          return match[1];
+        }
+      } catch (error) {
+        log.debug(`Could not scan ${url} for the AboutAccountQuery ID:`, error);
+      }
+    }
+    return null;
+  }
+  
+  // Collect user results carrying an About profile location, wherever they
+  // sit in a GraphQL payload
+  function findAboutProfiles(node, found, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 40) return;
+    if (Array.isArray(node)) {
+      node.forEach(child => findAboutProfiles(child, found, depth + 1));
+      return;
+    }
+    if (node.about_profile && node.about_profile.account_based_in) {
+      found.push(node);
+    }
+    for (const value of Object.values(node)) {
+      findAboutProfiles(value, found, depth + 1);
+    }
+  }
+  
+  // The screen name an AboutAccountQuery request asked for, from its variables
+  function getRequestedScreenName(url) {
+    try {
+      const variables = new URL(url, location.href).searchParams.get('variables');
+      return variables ? JSON.parse(variables).screenName || null : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  // Read locations out of X's own GraphQL responses (e.g. the "About this
+  // account" screen) and pass them on, so they cost no lookups of our own
+  function harvestProfiles(url, text) {
+    // Most responses have nothing for us; skip parsing them
+    if (!text || !text.includes('"account_based_in"')) return;
+    
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    
+    const userResults = [];
+    findAboutProfiles(data, userResults);
+    const requestedScreenName = userResults.length === 1 ? getRequestedScreenName(url) : null;
+    
+    const profiles = [];
+    for (const userResult of userResults) {
+      const screenName = userResult.core?.screen_name || userResult.legacy?.screen_name || requestedScreenName;
+      const profile = extractProfile(userResult);
+      if (screenName && profile && profile.location) {
+        profiles.push({ screenName, profile });
+      }
+    }
+    
+    if (profiles.length > 0) {
+      log.debug(`Harvested ${profiles.length} locations from X's own response:`, profiles.map(p => p.screenName));
+      sendToContent({ type: 'harvestedProfiles', profiles });
+    }
+  }
+  
+  function isGraphqlUrl(url) {
+    return getUrlString(url).includes('/i/api/graphql/');
   }
   
   // Intercept fetch to capture Twitter's headers
@@ -32,15 +210,24 @@
     const url = args[0];
     const options = args[1] || {};
     
+    discoverQueryIdFromUrl(url);
+    
     // If it's a Twitter GraphQL API call, capture ALL headers
     if (typeof url === 'string' && url.includes('x.com/i/api/graphql')) {
       if (options.headers) {
         captureHeaders(options.headers);
-        console.log('Captured Twitter headers:', Object.keys(twitterHeaders || {}));
+        log.debug('Captured Twitter headers:', Object.keys(twitterHeaders || {}));
       }
     }
     
-    return originalFetch.apply(this, args);
+    const result = originalFetch.apply(this, args);
+    if (isGraphqlUrl(url)) {
+      // Read a copy so X's own code still gets an untouched body
+      result.then(response => response.clone().text())
+        .then(text => harvestProfiles(getUrlString(url), text))
+        .catch(() => {});
+    }
+    return result;
   };
   
   // Also intercept XMLHttpRequest
@@ -49,6 +236,7 @@
   
   XMLHttpRequest.prototype.open = function(method, url, ...rest) {
     this._url = url;
+    discoverQueryIdFromUrl(url);
     return originalXHROpen.apply(this, [method, url, ...rest]);
   };
   
@@ -61,6 +249,15 @@
       }
       captureHeaders(headers);
     }
+    if (this._url && isGraphqlUrl(this._url)) {
+      this.addEventListener('load', () => {
+        if (this.responseType === '' || this.responseType === 'text') {
+          harvestProfiles(getUrlString(this._url), this.responseText);
+        } else if (this.responseType === 'json' && this.response) {
+          harvestProfiles(getUrlString(this._url), JSON.stringify(this.response));
+        }
+      });
+    }
     return originalXHRSend.apply(this, args);
   };
   
@@ -71,10 +268,37 @@
     return originalSetRequestHeader.apply(this, [header, value]);
   };
   
+  function toFiniteNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  
+  // Pull the fields we keep out of an AboutAccountQuery user result.
+  // Dates are normalized to epoch milliseconds so they survive JSON storage.
+  function extractProfile(userResult) {
+    if (!userResult) return null;
+    
+    const about = userResult.about_profile || {};
+    const usernameChanges = about.username_changes || {};
+    const verifiedSince = userResult.verification_info?.reason?.verified_since_msec;
+    const createdAt = userResult.core?.created_at || userResult.legacy?.created_at;
+    
+    return {
+      location: about.account_based_in || null,
+      source: about.source || null,
+      locationAccurate: typeof about.location_accurate === 'boolean' ? about.location_accurate : null,
+      usernameChangeCount: usernameChanges.count !== undefined ? toFiniteNumber(usernameChanges.count) : null,
+      usernameLastChangedAt: usernameChanges.last_changed_at_msec ? toFiniteNumber(usernameChanges.last_changed_at_msec) : null,
+      createdAt: createdAt ? (Date.parse(createdAt) || null) : null,
+      verifiedSince: verifiedSince ? toFiniteNumber(verifiedSince) : null,
+      isBlueVerified: typeof userResult.is_blue_verified === 'boolean' ? userResult.is_blue_verified : null
+    };
+  }
+  
   // Wait a bit for Twitter to make some API calls first
   setTimeout(() => {
     if (!headersReady) {
-      console.log('No Twitter headers captured yet, using defaults');
+      log.debug('No Twitter headers captured yet, using defaults');
       twitterHeaders = {
         'Accept': 'application/json',
         'Content-Type': 'application/json'
@@ -83,103 +307,246 @@
     }
   }, 3000);
   
-  // Listen for fetch requests from content script via postMessage
-  window.addEventListener('message', async function(event) {
-    // Only accept messages from our extension
-    if (event.data && event.data.type === '__fetchLocation') {
-      const { screenName, requestId } = event.data;
+  // X's budget for this endpoint: { limit, remaining, reset } with reset in
+  // Unix seconds, or null when the response doesn't say
+  function readRateLimit(response) {
+    const limit = parseInt(response.headers.get('x-rate-limit-limit'), 10);
+    const remaining = parseInt(response.headers.get('x-rate-limit-remaining'), 10);
+    const reset = parseInt(response.headers.get('x-rate-limit-reset'), 10);
+    if (!Number.isFinite(limit) || !Number.isFinite(remaining) || !Number.isFinite(reset)) return null;
+    return { limit, remaining, reset };
+  }
+  
+  // Status codes go to the content script's diagnostics buffer
+  function reportApiStatus(response, durationMs) {
+    const remaining = parseInt(response.headers.get('x-rate-limit-remaining'), 10);
+    sendToContent({
+      type: 'apiStatus',
+      status: response.status,
+      durationMs,
+      rateLimitRemaining: Number.isFinite(remaining) ? remaining : null
+    });
+  }
+  
+  // Request an account's About profile with a given query ID.
+  // Resolves to { response, data } where data is the parsed body or null.
+  async function requestAboutAccount(screenName, queryId) {
+    const variables = JSON.stringify({ screenName });
+    const url = `https://x.com/i/api/graphql/${queryId}/AboutAccountQuery?variables=${encodeURIComponent(variables)}`;
+    
+    // Use captured headers or minimal defaults
+    const headers = twitterHeaders || {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+    
+    // Ensure credentials are included. Skip our own fetch hook so our
+    // requests aren't mistaken for X's.
+    const startedAt = Date.now();
+    const response = await originalFetch(url, {
+      method: 'GET',
+      credentials: 'include',
+      headers: headers,
+      referrer: window.location.href,
+      referrerPolicy: 'origin-when-cross-origin'
+    });
+    reportApiStatus(response, Date.now() - startedAt);
+    const text = await response.text().catch(() => '');
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not JSON, e.g. an HTML error page
+    }
+    return { response, data, text };
+  }
+  
+  // A stale query ID shows up as a 404, or as GraphQL errors without the user result
+  function getQueryIdFailure({ response, data }) {
+    if (response.status === 404) {
+      return `HTTP 404 for query ID ${aboutQueryId}`;
+    }
+    if (response.status === 429) return null;
+    const errors = data?.errors;
+    if (Array.isArray(errors) && errors.length > 0 && !data?.data?.user_result_by_screen_name) {
+      return `Schema error (HTTP ${response.status}): ${errors[0].message || 'unknown error'}`;
+    }
+    return null;
+  }
+  
+  // Request with the current query ID; if X says it's gone, look for a newer
+  // one in the client bundles, then try the built-in one
+  async function requestWithQueryIdFallback(screenName) {
+    const tried = new Set();
+    let result = null;
+    let failure = null;
+    
+    while (true) {
+      tried.add(aboutQueryId);
+      result = await requestAboutAccount(screenName, aboutQueryId);
+      failure = getQueryIdFailure(result);
+      if (!failure) break;
       
-      // Wait for headers to be ready
-      if (!headersReady) {
-        let waitCount = 0;
-        while (!headersReady && waitCount < 30) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          waitCount++;
-        }
+      log.info(`AboutAccountQuery failed: ${failure}`);
+      const discovered = await discoverQueryIdFromBundles();
+      if (discovered && !tried.has(discovered)) {
+        setAboutQueryId(discovered, 'client bundle');
+      } else if (!tried.has(DEFAULT_ABOUT_QUERY_ID)) {
+        setAboutQueryId(DEFAULT_ABOUT_QUERY_ID, 'default');
+      } else {
+        break;
+      }
+    }
+    
+    if (failure) {
+      if (!aboutQueryError) {
+        log.error(`Location lookups are failing and no working AboutAccountQuery ID was found. ${failure}`);
+        aboutQueryError = { message: failure, status: result.response.status, at: Date.now() };
+        reportAboutQueryStatus();
+      }
+    } else if (aboutQueryError) {
+      log.info(`AboutAccountQuery works again with query ID ${aboutQueryId}`);
+      aboutQueryError = null;
+      reportAboutQueryStatus();
+    }
+    
+    return { ...result, queryFailed: !!failure };
+  }
+  
+  // What a successful response says about the account, as one of the
+  // LOOKUP_STATUS values in locationStore.js. user_result_by_screen_name is
+  // empty for handles nobody has, and suspended or deactivated accounts come
+  // back as UserUnavailable.
+  function classifyUserResult(userResult, profile) {
+    if (!userResult || Object.keys(userResult).length === 0) return 'notFound';
+    if (userResult.__typename === 'UserUnavailable') {
+      const reason = `${userResult.reason || ''} ${userResult.unavailable_message?.text || ''}`;
+      return /suspend/i.test(reason) ? 'suspended' : 'notFound';
+    }
+    if (profile?.location) return 'located';
+    if (userResult.privacy?.protected || userResult.legacy?.protected) return 'protected';
+    return 'noLocation';
+  }
+  
+  const SCREEN_NAME_PATTERN = /^[A-Za-z0-9_]{1,20}$/;
+  const QUERY_ID_PATTERN = /^[\w-]{1,64}$/;
+  
+  // Requests from the content script, over the private channel only
+  function handleContentMessage(message) {
+    if (!message || typeof message !== 'object') return;
+    
+    if (message.type === 'logLevel' && LOG_LEVELS.includes(message.level)) {
+      logLevel = message.level;
+      return;
+    }
+    
+    // Last query ID the extension discovered, unless this page already found a newer one
+    if (message.type === 'aboutQueryId' && typeof message.queryId === 'string' && QUERY_ID_PATTERN.test(message.queryId)) {
+      if (aboutQuerySource === 'default') {
+        aboutQueryId = message.queryId;
+        aboutQuerySource = 'stored';
+        log.info(`Using stored AboutAccountQuery ID ${aboutQueryId}`);
+      }
+      return;
+    }
+    
+    if (message.type === 'fetchLocation' &&
+        typeof message.screenName === 'string' && SCREEN_NAME_PATTERN.test(message.screenName) &&
+        typeof message.requestId === 'string') {
+      fetchLocation(message.screenName, message.requestId);
+      return;
+    }
+    
+    log.error('Ignoring malformed message from content script');
+  }
+  
+  async function fetchLocation(screenName, requestId) {
+    // Wait for headers to be ready
+    if (!headersReady) {
+      let waitCount = 0;
+      while (!headersReady && waitCount < 30) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        waitCount++;
       }
+    }
+    
+    try {
+      const { response, data, text, queryFailed } = await requestWithQueryIdFallback(screenName);
       
-      try {
-        const variables = JSON.stringify({ screenName });
-        const url = `https://x.com/i/api/graphql/XRqGa7EeokUU5kppkh13EA/AboutAccountQuery?variables=${encodeURIComponent(variables)}`;
+      let profile = null;
+      // Rate limits, server errors and a broken query ID tell us nothing about the account
+      let status = 'error';
+      if (response.ok && !queryFailed) {
+        log.debug(`API response for ${screenName}:`, data);
+        const userResult = data?.data?.user_result_by_screen_name?.result;
+        profile = extractProfile(userResult);
+        status = classifyUserResult(userResult, profile);
+        log.debug(`Extracted location for ${screenName}:`, profile?.location || null, status);
         
-        // Use captured headers or minimal defaults
-        const headers = twitterHeaders || {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        };
-        
-        // Ensure credentials are included
-        const response = await fetch(url, {
-          method: 'GET',
-          credentials: 'include',
-          headers: headers,
-          referrer: window.location.href,
-          referrerPolicy: 'origin-when-cross-origin'
-        });
-        
-        let location = null;
-        if (response.ok) {
-          const data = await response.json();
-          console.log(`API response for ${screenName}:`, data);
-          location = data?.data?.user_result_by_screen_name?.result?.about_profile?.account_based_in || null;
-          console.log(`Extracted location for ${screenName}:`, location);
-          
-          // Debug: log the full path to see what's available
-          if (!location && data?.data?.user_result_by_screen_name?.result) {
-            console.log('User result available but no location:', {
-              hasAboutProfile: !!data.data.user_result_by_screen_name.result.about_profile,
-              aboutProfile: data.data.user_result_by_screen_name.result.about_profile
-            });
-          }
-        } else {
-          const errorText = await response.text().catch(() => '');
+        // Debug: log the full path to see what's available
+        if (!profile?.location && data?.data?.user_result_by_screen_name?.result) {
+          log.debug('User result available but no location:', {
+            hasAboutProfile: !!data.data.user_result_by_screen_name.result.about_profile,
+            aboutProfile: data.data.user_result_by_screen_name.result.about_profile
+          });
+        }
+      } else {
+        // Handle rate limiting
+        if (response.status === 429) {
+          const resetTime = response.headers.get('x-rate-limit-reset');
+          const remaining = response.headers.get('x-rate-limit-remaining');
+          const limit = response.headers.get('x-rate-limit-limit');
           
-          // Handle rate limiting
-          if (response.status === 429) {
-            const resetTime = response.headers.get('x-rate-limit-reset');
-            const remaining = response.headers.get('x-rate-limit-remaining');
-            const limit = response.headers.get('x-rate-limit-limit');
+          if (resetTime) {
+            const resetDate = new Date(parseInt(resetTime) * 1000);
+            const now = Date.now();
+            const waitTime = resetDate.getTime() - now;
+            
+            log.info(`Rate limited! Limit: ${limit}, Remaining: ${remaining}`);
+            log.info(`Rate limit resets at: ${resetDate.toLocaleString()}`);
+            log.info(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
             
-            if (resetTime) {
-              const resetDate = new Date(parseInt(resetTime) * 1000);
-              const now = Date.now();
-              const waitTime = resetDate.getTime() - now;
-              
-              console.log(`Rate limited! Limit: ${limit}, Remaining: ${remaining}`);
-              console.log(`Rate limit resets at: ${resetDate.toLocaleString()}`);
-              console.log(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
-              
-              // Store rate limit info for content script
-              window.postMessage({
-                type: '__rateLimitInfo',
-                resetTime: parseInt(resetTime),
-                waitTime: Math.max(0, waitTime)
-              }, '*');
-            }
-          } else {
-            console.log(`Twitter API error for ${screenName}:`, response.status, response.statusText, errorText.substring(0, 200));
+            // Store rate limit info for content script
+            sendToContent({
+              type: 'rateLimitInfo',
+              resetTime: parseInt(resetTime),
+              waitTime: Math.max(0, waitTime)
+            });
           }
+        } else if (!queryFailed) {
+          log.info(`Twitter API error for ${screenName}:`, response.status, response.statusText, text.substring(0, 200));
         }
-        
-        // Send response back to content script via postMessage
-        // Include error status so content script knows not to cache on rate limit
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location,
-          requestId,
-          isRateLimited: response.status === 429
-        }, '*');
-      } catch (error) {
-        console.error('Error fetching location:', error);
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location: null,
-          requestId
-        }, '*');
       }
+      
+      // Send response back to content script
+      // Include error status so content script knows not to cache on rate
+      // limit, server errors or when the query itself is broken. The rate
+      // limit headers pace the extension's requests.
+      sendToContent({
+        type: 'locationResponse',
+        screenName,
+        profile,
+        requestId,
+        status,
+        isRateLimited: response.status === 429,
+        queryFailed,
+        failure: response.status >= 500 ? 'server' : null,
+        rateLimit: readRateLimit(response)
+      });
+    } catch (error) {
+      // fetch rejects when the network fails
+      log.error('Error fetching location:', error);
+      sendToContent({
+        type: 'locationResponse',
+        screenName,
+        profile: null,
+        requestId,
+        status: 'error',
+        isRateLimited: false,
+        queryFailed: false,
+        failure: 'network',
+        rateLimit: null
+      });
     }
-  });
+  }
 })();
-
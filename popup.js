@@ -1,10 +1,15 @@
 // Popup script for extension toggle
 const TOGGLE_KEY = 'extension_enabled';
 const DEFAULT_ENABLED = true;
+const HIDE_INACCURATE_KEY = 'hide_inaccurate_flags';
+const DEFAULT_HIDE_INACCURATE = false;
+
+localizePage();
 
 // Get toggle element
 const toggleSwitch = document.getElementById('toggleSwitch');
 const status = document.getElementById('status');
+const hideInaccurateSwitch = document.getElementById('hideInaccurateSwitch');
 
 // Load current state
 chrome.storage.local.get([TOGGLE_KEY], (result) => {
@@ -12,26 +17,32 @@ chrome.storage.local.get([TOGGLE_KEY], (result) => {
   updateToggle(isEnabled);
 });
 
+chrome.storage.local.get([HIDE_INACCURATE_KEY], (result) => {
+  const hide = result[HIDE_INACCURATE_KEY] !== undefined ? result[HIDE_INACCURATE_KEY] : DEFAULT_HIDE_INACCURATE;
+  hideInaccurateSwitch.classList.toggle('enabled', hide);
+});
+
+// Hide-inaccurate toggle click handler
+hideInaccurateSwitch.addEventListener('click', () => {
+  chrome.storage.local.get([HIDE_INACCURATE_KEY], (result) => {
+    const currentState = result[HIDE_INACCURATE_KEY] !== undefined ? result[HIDE_INACCURATE_KEY] : DEFAULT_HIDE_INACCURATE;
+    const newState = !currentState;
+    
+    chrome.storage.local.set({ [HIDE_INACCURATE_KEY]: newState }, () => {
+      hideInaccurateSwitch.classList.toggle('enabled', newState);
+    });
+  });
+});
+
 // Toggle click handler
 toggleSwitch.addEventListener('click', () => {
   chrome.storage.local.get([TOGGLE_KEY], (result) => {
     const currentState = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
     const newState = !currentState;
     
+    // Content scripts pick the change up through storage.onChanged
     chrome.storage.local.set({ [TOGGLE_KEY]: newState }, () => {
       updateToggle(newState);
-      
-      // Notify content script to update
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'extensionToggle',
-            enabled: newState
-          }).catch(() => {
-            // Tab might not have content script loaded yet, that's okay
-          });
-        }
-      });
     });
   });
 });
@@ -39,12 +50,191 @@ toggleSwitch.addEventListener('click', () => {
 function updateToggle(isEnabled) {
   if (isEnabled) {
     toggleSwitch.classList.add('enabled');
-    status.textContent = 'Extension is enabled';
+    status.textContent = getMessage('popupEnabled');
     status.style.color = '#1d9bf0';
   } else {
     toggleSwitch.classList.remove('enabled');
-    status.textContent = 'Extension is disabled';
+    status.textContent = getMessage('popupDisabled');
     status.style.color = '#536471';
   }
 }
 
+
+// Warn when lookups fail because X changed the AboutAccountQuery endpoint
+const ABOUT_QUERY_KEY = 'about_query';
+const queryStatus = document.getElementById('queryStatus');
+
+chrome.storage.local.get([ABOUT_QUERY_KEY], (result) => {
+  const aboutQuery = result[ABOUT_QUERY_KEY];
+  if (aboutQuery && aboutQuery.error) {
+    queryStatus.textContent = getMessage('popupQueryFailing', aboutQuery.error.message);
+    queryStatus.hidden = false;
+  }
+});
+
+
+// Warn when an X tab found that X changed its markup (see layoutHealth.js)
+const LAYOUT_HEALTH_KEY = 'layout_health';
+const LAYOUT_CHECK_LABELS = {
+  authorBlock: 'layoutCheckAuthorBlock',
+  handle: 'layoutCheckHandle',
+  placement: 'layoutCheckPlacement'
+};
+const layoutStatus = document.getElementById('layoutStatus');
+
+chrome.storage.local.get([LAYOUT_HEALTH_KEY], (result) => {
+  const layoutHealth = result[LAYOUT_HEALTH_KEY];
+  if (layoutHealth && layoutHealth.problems.length > 0) {
+    const failing = [...new Set(layoutHealth.problems.map(problem => getMessage(LAYOUT_CHECK_LABELS[problem.check.split(':')[0]])))];
+    layoutStatus.textContent = getMessage('popupLayoutChanged', new Intl.ListFormat(getUILanguage()).format(failing));
+    layoutStatus.hidden = false;
+  }
+});
+
+
+// Country filter
+const filterSwitch = document.getElementById('filterSwitch');
+const filterMode = document.getElementById('filterMode');
+const filterAction = document.getElementById('filterAction');
+const filterUnknownSwitch = document.getElementById('filterUnknownSwitch');
+const filterInput = document.getElementById('filterInput');
+const filterAdd = document.getElementById('filterAdd');
+const filterPreset = document.getElementById('filterPreset');
+const filterError = document.getElementById('filterError');
+const filterChips = document.getElementById('filterChips');
+
+let countryFilter = { ...DEFAULT_COUNTRY_FILTER };
+
+for (const preset of COUNTRY_PRESETS) {
+  const option = document.createElement('option');
+  option.value = preset.id;
+  option.textContent = getLocalizedPresetName(preset);
+  filterPreset.appendChild(option);
+}
+
+chrome.storage.local.get([COUNTRY_FILTER_KEY], (result) => {
+  countryFilter = { ...DEFAULT_COUNTRY_FILTER, ...(result[COUNTRY_FILTER_KEY] || {}) };
+  renderCountryFilter();
+});
+
+// Persist the filter; open tabs apply it through storage.onChanged
+function saveCountryFilter() {
+  chrome.storage.local.set({ [COUNTRY_FILTER_KEY]: countryFilter }, () => {
+    renderCountryFilter();
+  });
+}
+
+function createChip(label, onRemove) {
+  const chip = document.createElement('span');
+  chip.className = 'chip';
+  chip.textContent = label;
+  const removeButton = document.createElement('button');
+  removeButton.textContent = '×';
+  removeButton.title = getMessage('popupChipRemove');
+  removeButton.addEventListener('click', onRemove);
+  chip.appendChild(removeButton);
+  return chip;
+}
+
+function renderCountryFilter() {
+  filterSwitch.classList.toggle('enabled', countryFilter.enabled);
+  filterMode.value = countryFilter.mode;
+  filterAction.value = countryFilter.action;
+  filterUnknownSwitch.classList.toggle('enabled', countryFilter.includeUnknown);
+
+  filterChips.replaceChildren();
+  for (const presetId of countryFilter.presets) {
+    const preset = COUNTRY_PRESETS.find(p => p.id === presetId);
+    if (!preset) continue;
+    filterChips.appendChild(createChip(`▦ ${getLocalizedPresetName(preset)}`, () => {
+      countryFilter.presets = countryFilter.presets.filter(id => id !== presetId);
+      saveCountryFilter();
+    }));
+  }
+  for (const code of countryFilter.countries) {
+    const country = COUNTRIES_BY_CODE.get(code);
+    filterChips.appendChild(createChip(country ? `${country.flag} ${getLocalizedCountryName(code)}` : code, () => {
+      countryFilter.countries = countryFilter.countries.filter(c => c !== code);
+      saveCountryFilter();
+    }));
+  }
+  for (const code of countryFilter.regions) {
+    const region = REGIONS.find(r => r.code === code);
+    filterChips.appendChild(createChip(region ? `${region.globe} ${getLocalizedRegionName(region)}` : code, () => {
+      countryFilter.regions = countryFilter.regions.filter(c => c !== code);
+      saveCountryFilter();
+    }));
+  }
+}
+
+function addFilterEntry() {
+  const value = filterInput.value.trim();
+  if (!value) return;
+
+  const match = resolveLocation(value);
+  if (!match) {
+    filterError.textContent = getMessage('popupFilterUnknown', value);
+    return;
+  }
+
+  filterError.textContent = '';
+  filterInput.value = '';
+  const list = match.type === 'region' ? 'regions' : 'countries';
+  if (!countryFilter[list].includes(match.code)) {
+    countryFilter[list] = [...countryFilter[list], match.code];
+    saveCountryFilter();
+  }
+}
+
+filterSwitch.addEventListener('click', () => {
+  countryFilter.enabled = !countryFilter.enabled;
+  saveCountryFilter();
+});
+
+filterMode.addEventListener('change', () => {
+  countryFilter.mode = filterMode.value;
+  saveCountryFilter();
+});
+
+filterAction.addEventListener('change', () => {
+  countryFilter.action = filterAction.value;
+  saveCountryFilter();
+});
+
+filterUnknownSwitch.addEventListener('click', () => {
+  countryFilter.includeUnknown = !countryFilter.includeUnknown;
+  saveCountryFilter();
+});
+
+filterAdd.addEventListener('click', addFilterEntry);
+filterInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    addFilterEntry();
+  }
+});
+
+filterPreset.addEventListener('change', () => {
+  const presetId = filterPreset.value;
+  filterPreset.value = '';
+  if (presetId && !countryFilter.presets.includes(presetId)) {
+    countryFilter.presets = [...countryFilter.presets, presetId];
+    saveCountryFilter();
+  }
+});
+
+// Open the full settings page
+document.getElementById('openOptions').addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// Open the statistics page, showing the current tab's counts first
+document.getElementById('openStats').addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs[0];
+    const query = tab ? `?tab=${tab.id}` : '';
+    chrome.tabs.create({ url: chrome.runtime.getURL(`stats.html${query}`) });
+    window.close();
+  });
+});
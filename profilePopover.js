@@ -0,0 +1,213 @@
+// Hover/focus popover showing the full AboutAccountQuery profile for a flag
+let profilePopover = null;
+let profilePopoverAnchor = null;
+let profilePopoverHideTimeout = null;
+
+function ensurePopoverStyles() {
+  if (document.getElementById('twitter-flag-popover-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'twitter-flag-popover-style';
+  style.textContent = `
+    .twitter-flag-popover {
+      position: fixed;
+      z-index: 10000;
+      min-width: 220px;
+      max-width: 320px;
+      padding: 12px 16px;
+      border-radius: 12px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      line-height: 1.4;
+      pointer-events: auto;
+      background: #ffffff;
+      color: #0f1419;
+      box-shadow: rgba(101, 119, 134, 0.2) 0 0 15px, rgba(101, 119, 134, 0.15) 0 0 3px 1px;
+    }
+    .twitter-flag-popover[data-theme="dim"] {
+      background: #15202b;
+      color: #f7f9f9;
+      box-shadow: rgba(136, 153, 166, 0.2) 0 0 15px, rgba(136, 153, 166, 0.15) 0 0 3px 1px;
+    }
+    .twitter-flag-popover[data-theme="dark"] {
+      background: #000000;
+      color: #e7e9ea;
+      box-shadow: rgba(255, 255, 255, 0.2) 0 0 15px, rgba(255, 255, 255, 0.15) 0 0 3px 1px;
+    }
+    .twitter-flag-popover-title {
+      font-weight: 700;
+      font-size: 15px;
+      margin-bottom: 8px;
+    }
+    .twitter-flag-popover-row {
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 2px 0;
+    }
+    .twitter-flag-popover-label {
+      color: #536471;
+      white-space: nowrap;
+    }
+    .twitter-flag-popover[data-theme="dim"] .twitter-flag-popover-label,
+    .twitter-flag-popover[data-theme="dark"] .twitter-flag-popover-label {
+      color: #71767b;
+    }
+    .twitter-flag-popover-value {
+      text-align: right;
+      overflow-wrap: anywhere;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+function formatProfileDate(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return null;
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Build the label/value rows for a location record, skipping unknown fields
+function getProfileRows(record, locationMatch) {
+  const rows = [];
+
+  let basedIn = `${locationMatch.flag} ${locationMatch.name}`;
+  if (locationMatch.input && locationMatch.input !== locationMatch.name) {
+    basedIn += ` (${locationMatch.input})`;
+  }
+  rows.push([getMessage('popoverBasedIn'), basedIn]);
+
+  if (record.source) {
+    rows.push([getMessage('popoverConnectedVia'), record.source]);
+  }
+  if (record.locationAccurate !== null && record.locationAccurate !== undefined) {
+    rows.push([getMessage('popoverAccuracy'), getMessage(record.locationAccurate ? 'popoverAccurate' : 'popoverInaccurate')]);
+  }
+  if (record.usernameChangeCount !== null && record.usernameChangeCount !== undefined) {
+    let changes = String(record.usernameChangeCount);
+    const lastChanged = formatProfileDate(record.usernameLastChangedAt);
+    if (lastChanged && record.usernameChangeCount > 0) {
+      changes += ' ' + getMessage('popoverLastChanged', lastChanged);
+    }
+    rows.push([getMessage('popoverUsernameChanges'), changes]);
+  }
+  const joined = formatProfileDate(record.createdAt);
+  if (joined) {
+    rows.push([getMessage('popoverJoined'), joined]);
+  }
+  const verifiedSince = formatProfileDate(record.verifiedSince);
+  if (verifiedSince) {
+    rows.push([getMessage('popoverVerifiedSince'), verifiedSince]);
+  }
+
+  return rows;
+}
+
+function renderProfilePopover(screenName, record, locationMatch) {
+  ensurePopoverStyles();
+
+  if (!profilePopover) {
+    profilePopover = document.createElement('div');
+    profilePopover.className = 'twitter-flag-popover';
+    profilePopover.id = 'twitter-flag-popover';
+    profilePopover.setAttribute('role', 'tooltip');
+    // Keep the popover open while the pointer moves onto it
+    profilePopover.addEventListener('mouseenter', () => clearTimeout(profilePopoverHideTimeout));
+    profilePopover.addEventListener('mouseleave', () => scheduleHideProfilePopover());
+  }
+
+  profilePopover.dataset.theme = getXTheme();
+  profilePopover.replaceChildren();
+
+  const title = document.createElement('div');
+  title.className = 'twitter-flag-popover-title';
+  title.textContent = `@${screenName}`;
+  profilePopover.appendChild(title);
+
+  for (const [label, value] of getProfileRows(record, locationMatch)) {
+    const row = document.createElement('div');
+    row.className = 'twitter-flag-popover-row';
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'twitter-flag-popover-label';
+    labelSpan.textContent = label;
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'twitter-flag-popover-value';
+    valueSpan.textContent = value;
+    row.appendChild(labelSpan);
+    row.appendChild(valueSpan);
+    profilePopover.appendChild(row);
+  }
+
+  if (!profilePopover.isConnected) {
+    document.body.appendChild(profilePopover);
+  }
+}
+
+// Place the popover below the anchor, flipping above it near the viewport bottom
+function positionProfilePopover(anchor) {
+  const anchorRect = anchor.getBoundingClientRect();
+  const popoverRect = profilePopover.getBoundingClientRect();
+  const margin = 8;
+
+  let top = anchorRect.bottom + margin;
+  if (top + popoverRect.height > window.innerHeight && anchorRect.top - popoverRect.height - margin > 0) {
+    top = anchorRect.top - popoverRect.height - margin;
+  }
+  let left = anchorRect.left + anchorRect.width / 2 - popoverRect.width / 2;
+  left = Math.max(margin, Math.min(left, window.innerWidth - popoverRect.width - margin));
+
+  profilePopover.style.top = `${Math.round(top)}px`;
+  profilePopover.style.left = `${Math.round(left)}px`;
+}
+
+function showProfilePopover(anchor, screenName, record, locationMatch) {
+  clearTimeout(profilePopoverHideTimeout);
+  renderProfilePopover(screenName, record, locationMatch);
+  positionProfilePopover(anchor);
+  profilePopoverAnchor = anchor;
+  anchor.setAttribute('aria-describedby', profilePopover.id);
+}
+
+function hideProfilePopover() {
+  clearTimeout(profilePopoverHideTimeout);
+  if (profilePopover) {
+    profilePopover.remove();
+  }
+  if (profilePopoverAnchor) {
+    profilePopoverAnchor.removeAttribute('aria-describedby');
+    profilePopoverAnchor = null;
+  }
+}
+
+function scheduleHideProfilePopover() {
+  clearTimeout(profilePopoverHideTimeout);
+  profilePopoverHideTimeout = setTimeout(hideProfilePopover, 150);
+}
+
+// Wire hover and keyboard focus on an injected [data-twitter-flag] badge
+function attachProfilePopover(flagSpan, screenName, record, locationMatch) {
+  if (!record) return;
+
+  flagSpan.style.cursor = 'help';
+  // The popover replaces the native tooltip
+  flagSpan.removeAttribute('title');
+
+  const show = () => showProfilePopover(flagSpan, screenName, record, locationMatch);
+  flagSpan.addEventListener('mouseenter', show);
+  flagSpan.addEventListener('focus', show);
+  flagSpan.addEventListener('mouseleave', scheduleHideProfilePopover);
+  flagSpan.addEventListener('blur', scheduleHideProfilePopover);
+  flagSpan.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      hideProfilePopover();
+    }
+  });
+}
+
+// The timeline scrolls under a fixed popover, so close it instead of letting it drift
+window.addEventListener('scroll', () => {
+  if (profilePopoverAnchor) {
+    hideProfilePopover();
+  }
+}, { passive: true, capture: true });
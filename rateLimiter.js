@@ -0,0 +1,118 @@
+// Request pacing for the background queue: a token bucket whose refill rate
+// follows X's rate-limit headers, plus exponential backoff after server errors
+// and network failures. The bucket refills at most once per minRequestInterval
+// (the user's setting) and slower when the remaining budget wouldn't last
+// until X resets it. It only holds more than one token while X has reported a
+// budget, so until then requests are never closer than minRequestInterval.
+// Part of the budget is never used, so X's own "About this account" screen
+// keeps working.
+
+// Lookups that may go out back to back after a quiet spell, once X has
+// reported a budget
+const REQUEST_BURST = 3;
+
+// Share of X's budget left for X's own UI, and the least we leave
+const RATE_LIMIT_RESERVE_SHARE = 0.1;
+const MIN_RATE_LIMIT_RESERVE = 2;
+
+// Backoff after consecutive failures: the base delay doubles each time up to
+// the maximum, and the actual wait is picked at random in its upper half
+const FAILURE_BACKOFF_BASE = 2000;
+const MAX_FAILURE_BACKOFF = 5 * 60 * 1000;
+
+// Last budget X reported: { limit, remaining, resetAt } with resetAt in ms,
+// or null until a response carried the headers
+let rateLimitBudget = null;
+let requestTokens = 1;
+let tokensRefilledAt = Date.now();
+let consecutiveFailures = 0;
+let backoffUntil = 0;
+
+function getRateLimitReserve(limit) {
+  return Math.max(MIN_RATE_LIMIT_RESERVE, Math.ceil(limit * RATE_LIMIT_RESERVE_SHARE));
+}
+
+// Requests we may still make before X resets the budget, or Infinity when
+// the budget is unknown or already reset
+function getUsableBudget(now) {
+  if (!rateLimitBudget || now >= rateLimitBudget.resetAt) return Infinity;
+  return rateLimitBudget.remaining - getRateLimitReserve(rateLimitBudget.limit);
+}
+
+// Milliseconds per token: spread what's left of the budget evenly until the reset
+function getRefillInterval(minRequestInterval, now) {
+  const usable = getUsableBudget(now);
+  if (usable === Infinity) return minRequestInterval;
+  if (usable <= 0) return Infinity;
+  return Math.max(minRequestInterval, (rateLimitBudget.resetAt - now) / usable);
+}
+
+// Tokens the bucket can hold: a burst only while X's budget is known
+function getTokenCapacity(now) {
+  return getUsableBudget(now) === Infinity ? 1 : REQUEST_BURST;
+}
+
+function refillRequestTokens(minRequestInterval, now) {
+  const interval = getRefillInterval(minRequestInterval, now);
+  if (interval !== Infinity) {
+    requestTokens = Math.min(getTokenCapacity(now), requestTokens + (now - tokensRefilledAt) / interval);
+  }
+  tokensRefilledAt = now;
+}
+
+// Milliseconds until the next request may go out, or 0 when one may go now
+function getRequestWait(minRequestInterval) {
+  const now = Date.now();
+  if (now < backoffUntil) return backoffUntil - now;
+
+  // Only the reserve is left: wait for X to reset the budget
+  if (getUsableBudget(now) <= 0) return rateLimitBudget.resetAt - now;
+
+  refillRequestTokens(minRequestInterval, now);
+  if (requestTokens >= 1) return 0;
+  return Math.ceil((1 - requestTokens) * getRefillInterval(minRequestInterval, now));
+}
+
+// A request is going out
+function takeRequestToken() {
+  requestTokens = Math.max(0, requestTokens - 1);
+  // Count it now; the response headers will correct the number
+  if (rateLimitBudget && rateLimitBudget.remaining > 0) {
+    rateLimitBudget.remaining--;
+  }
+}
+
+// Rate-limit headers from a response: { limit, remaining, reset } with reset
+// in Unix seconds, as X sends it
+function updateRateLimitBudget({ limit, remaining, reset }) {
+  const resetAt = reset * 1000;
+  // Responses can arrive out of order; a stale budget doesn't replace a newer one
+  if (rateLimitBudget && (resetAt < rateLimitBudget.resetAt ||
+      (resetAt === rateLimitBudget.resetAt && remaining > rateLimitBudget.remaining))) return;
+  rateLimitBudget = { limit, remaining, resetAt };
+}
+
+function recordRequestSuccess() {
+  consecutiveFailures = 0;
+  backoffUntil = 0;
+}
+
+// A server error or network failure; returns the backoff in milliseconds
+function recordRequestFailure() {
+  consecutiveFailures++;
+  const delay = Math.min(MAX_FAILURE_BACKOFF, FAILURE_BACKOFF_BASE * 2 ** (consecutiveFailures - 1));
+  const backoff = Math.round(delay / 2 + Math.random() * delay / 2);
+  backoffUntil = Date.now() + backoff;
+  return backoff;
+}
+
+// For the diagnostics report
+function getRateLimiterState() {
+  return {
+    budget: rateLimitBudget,
+    reserve: rateLimitBudget ? getRateLimitReserve(rateLimitBudget.limit) : null,
+    tokens: Math.round(requestTokens * 100) / 100,
+    consecutiveFailures,
+    backoffUntil
+  };
+}
@@ -0,0 +1,321 @@
+// Country breakdown of reply authors on status pages: a summary bar under the
+// focal tweet ("🇺🇸 42 · 🇮🇳 17 · 🌐 8 unknown") that can narrow the replies
+// to one country or list them grouped by country. Replies are remembered as
+// they resolve, since X drops tweets that scroll out of view.
+const STATUS_PATH_PATTERN = /^\/[^/]+\/status\/(\d+)/;
+const UNKNOWN_REPLY_KEY = 'unknown';
+
+// Status ID of the page the collected replies belong to
+let breakdownStatusId = null;
+// Replies by status ID: { statusId, screenName, key, badge, name, text, url }.
+// key is 'country:US', 'region:SAS' or UNKNOWN_REPLY_KEY.
+let collectedReplies = new Map();
+// Tweets above the focal tweet (the thread it replies to), never counted
+let threadAncestorIds = new Set();
+// Key of the only country shown, or null for all replies
+let replySelection = null;
+let repliesGrouped = false;
+
+let replyBreakdownBar = null;
+let replyGroupsPanel = null;
+// What the bar and panel last showed. Redrawing adds nodes, which wakes the
+// page observer and rescans, so they're only redrawn when this changes.
+let lastBreakdownRender = null;
+
+function getPageStatusId() {
+  const match = location.pathname.match(STATUS_PATH_PATTERN);
+  return match ? match[1] : null;
+}
+
+// A tweet's own status ID, from the permalink around its timestamp
+function getArticleStatusId(article) {
+  const permalink = article.querySelector(selectorFor('tweetTimestamp'))?.closest('a');
+  const match = permalink?.getAttribute('href').match(/\/status\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+function findFocalArticle(statusId) {
+  for (const article of document.querySelectorAll(selectorFor('tweet'))) {
+    if (getArticleStatusId(article) === statusId) return article;
+  }
+  return null;
+}
+
+// Start over when X navigates to another status page
+function syncBreakdownPage() {
+  const statusId = getPageStatusId();
+  if (statusId === breakdownStatusId) return statusId;
+
+  removeReplyBreakdown();
+  breakdownStatusId = statusId;
+  collectedReplies = new Map();
+  threadAncestorIds = new Set();
+  replySelection = null;
+  repliesGrouped = false;
+  return statusId;
+}
+
+// Whether an article is a reply to the page's tweet rather than the tweet
+// itself or part of the thread above it
+function isReplyArticle(article, articleStatusId) {
+  if (articleStatusId === breakdownStatusId || threadAncestorIds.has(articleStatusId)) return false;
+
+  const focal = findFocalArticle(breakdownStatusId);
+  // Scrolled far enough that X dropped the focal tweet: everything left is a reply
+  if (!focal) return true;
+
+  if (focal.compareDocumentPosition(article) & Node.DOCUMENT_POSITION_PRECEDING) {
+    threadAncestorIds.add(articleStatusId);
+    return false;
+  }
+  return true;
+}
+
+// Note the resolved location of a reply's author. locationMatch is null
+// when the author has no location or it isn't recognized.
+function recordReplyAuthor(element, screenName, locationMatch) {
+  if (!settings.showReplyBreakdown || !syncBreakdownPage()) return;
+
+  const article = getFilterTarget(element);
+  if (!article || !article.matches(selectorFor('tweet'))) return;
+  const statusId = getArticleStatusId(article);
+  if (!statusId || !isReplyArticle(article, statusId)) return;
+
+  const permalink = article.querySelector(`a[href*="/status/${statusId}"]`);
+  collectedReplies.set(statusId, {
+    statusId,
+    screenName,
+    key: locationMatch ? `${locationMatch.type}:${locationMatch.code}` : UNKNOWN_REPLY_KEY,
+    badge: locationMatch ? (locationMatch.type === 'region' ? `${locationMatch.flag} ${locationMatch.code}` : locationMatch.flag) : '🌐',
+    name: locationMatch ? locationMatch.name : getMessage('repliesUnknownName'),
+    text: (article.querySelector(selectorFor('tweetText'))?.textContent || '').slice(0, 140),
+    url: permalink ? permalink.href : `${location.origin}/${screenName}/status/${statusId}`
+  });
+  scheduleReplyBreakdownUpdate();
+}
+
+function scheduleReplyBreakdownUpdate() {
+  if (scheduleReplyBreakdownUpdate.timeout) return;
+  scheduleReplyBreakdownUpdate.timeout = setTimeout(() => {
+    scheduleReplyBreakdownUpdate.timeout = null;
+    updateReplyBreakdown();
+  }, 200);
+}
+
+// Authors per key, each author counted once however many replies they posted.
+// Returns [{ key, badge, name, count }] with the biggest groups first, unknown last.
+function countReplyAuthors() {
+  const authorKeys = new Map();
+  for (const reply of collectedReplies.values()) {
+    authorKeys.set(reply.screenName.toLowerCase(), reply);
+  }
+
+  const groups = new Map();
+  for (const reply of authorKeys.values()) {
+    const group = groups.get(reply.key) || { key: reply.key, badge: reply.badge, name: reply.name, count: 0 };
+    group.count++;
+    groups.set(reply.key, group);
+  }
+  return [...groups.values()].sort((a, b) =>
+    (a.key === UNKNOWN_REPLY_KEY) - (b.key === UNKNOWN_REPLY_KEY) || b.count - a.count || a.name.localeCompare(b.name));
+}
+
+function ensureReplyBreakdownStyles() {
+  if (document.getElementById('twitter-flag-reply-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'twitter-flag-reply-style';
+  style.textContent = `
+    .twitter-flag-reply-hidden {
+      display: none !important;
+    }
+    [data-twitter-flag-reply-bar],
+    [data-twitter-flag-reply-groups] {
+      padding: 10px 16px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      color: rgb(113, 118, 123);
+      border-bottom: 1px solid rgba(113, 118, 123, 0.25);
+    }
+    [data-twitter-flag-reply-bar] {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px 6px;
+    }
+    [data-twitter-flag-reply-bar] button {
+      border: none;
+      border-radius: 9999px;
+      background: none;
+      color: inherit;
+      font: inherit;
+      padding: 2px 6px;
+      cursor: pointer;
+    }
+    [data-twitter-flag-reply-bar] button:hover,
+    [data-twitter-flag-reply-bar] button[aria-pressed="true"] {
+      background: rgba(29, 155, 240, 0.15);
+      color: rgb(29, 155, 240);
+    }
+    [data-twitter-flag-reply-bar] .twitter-flag-reply-actions {
+      margin-left: auto;
+    }
+    [data-twitter-flag-reply-groups] h3 {
+      margin: 8px 0 4px;
+      font-size: 13px;
+      font-weight: 700;
+    }
+    [data-twitter-flag-reply-groups] a {
+      display: block;
+      padding: 2px 0;
+      color: inherit;
+      text-decoration: none;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    [data-twitter-flag-reply-groups] a:hover {
+      color: rgb(29, 155, 240);
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+function createBarButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+function renderReplyBreakdownBar(groups) {
+  const bar = replyBreakdownBar || document.createElement('div');
+  bar.setAttribute('data-twitter-flag-reply-bar', 'true');
+  bar.setAttribute('role', 'group');
+  bar.setAttribute('aria-label', getMessage('repliesBarLabel'));
+  bar.replaceChildren();
+
+  const label = document.createElement('span');
+  label.textContent = getMessage('repliesLabel');
+  bar.appendChild(label);
+
+  groups.forEach((group, index) => {
+    if (index > 0) bar.appendChild(document.createTextNode('·'));
+    const text = group.key === UNKNOWN_REPLY_KEY
+      ? `${group.badge} ${getMessage('repliesUnknownCount', group.count)}`
+      : `${group.badge} ${group.count}`;
+    const button = createBarButton(text, getPluralMessage('repliesGroupTitle', group.count, group.name), () => {
+      replySelection = replySelection === group.key ? null : group.key;
+      updateReplyBreakdown();
+    });
+    button.setAttribute('aria-pressed', String(replySelection === group.key));
+    bar.appendChild(button);
+  });
+
+  const actions = document.createElement('span');
+  actions.className = 'twitter-flag-reply-actions';
+  if (replySelection) {
+    actions.appendChild(createBarButton(getMessage('repliesShowAll'), getMessage('repliesShowAllTitle'), () => {
+      replySelection = null;
+      updateReplyBreakdown();
+    }));
+  }
+  const groupButton = createBarButton(getMessage('repliesGroup'), getMessage('repliesGroupByTitle'), () => {
+    repliesGrouped = !repliesGrouped;
+    updateReplyBreakdown();
+  });
+  groupButton.setAttribute('aria-pressed', String(repliesGrouped));
+  actions.appendChild(groupButton);
+  bar.appendChild(actions);
+
+  return bar;
+}
+
+// Replies loaded so far under one heading per country, linking to each reply
+function renderReplyGroupsPanel(groups) {
+  const panel = replyGroupsPanel || document.createElement('div');
+  panel.setAttribute('data-twitter-flag-reply-groups', 'true');
+  panel.replaceChildren();
+
+  for (const group of groups) {
+    if (replySelection && group.key !== replySelection) continue;
+    const heading = document.createElement('h3');
+    heading.textContent = `${group.badge} ${group.name}`;
+    panel.appendChild(heading);
+
+    for (const reply of collectedReplies.values()) {
+      if (reply.key !== group.key) continue;
+      const link = document.createElement('a');
+      link.href = reply.url;
+      link.textContent = reply.text ? `@${reply.screenName}: ${reply.text}` : `@${reply.screenName}`;
+      panel.appendChild(link);
+    }
+  }
+  return panel;
+}
+
+// Show only the selected country's replies among those currently on the page
+function applyReplySelection() {
+  document.querySelectorAll(selectorFor('tweet')).forEach(article => {
+    const statusId = getArticleStatusId(article);
+    const reply = statusId && collectedReplies.get(statusId);
+    // Replies still resolving stay hidden until their country is known
+    const hidden = !!replySelection && !!statusId && isReplyArticle(article, statusId) &&
+      (!reply || reply.key !== replySelection);
+    article.classList.toggle('twitter-flag-reply-hidden', hidden);
+  });
+}
+
+// Redraw the bar and panel under the focal tweet and re-apply the selection
+function updateReplyBreakdown() {
+  if (!extensionEnabled || !settings.showReplyBreakdown || !syncBreakdownPage()) {
+    removeReplyBreakdown();
+    return;
+  }
+
+  ensureReplyBreakdownStyles();
+  const groups = countReplyAuthors();
+  const focal = findFocalArticle(breakdownStatusId);
+
+  if (groups.length === 0 || !focal) {
+    replyBreakdownBar?.remove();
+    replyGroupsPanel?.remove();
+    lastBreakdownRender = null;
+  } else {
+    const render = JSON.stringify([groups, replySelection, repliesGrouped, repliesGrouped && collectedReplies.size]);
+    if (render !== lastBreakdownRender) {
+      lastBreakdownRender = render;
+      replyBreakdownBar = renderReplyBreakdownBar(groups);
+      replyGroupsPanel = repliesGrouped ? renderReplyGroupsPanel(groups) : replyGroupsPanel;
+    }
+    if (focal.nextElementSibling !== replyBreakdownBar) {
+      focal.insertAdjacentElement('afterend', replyBreakdownBar);
+    }
+    if (repliesGrouped) {
+      if (replyBreakdownBar.nextElementSibling !== replyGroupsPanel) {
+        replyBreakdownBar.insertAdjacentElement('afterend', replyGroupsPanel);
+      }
+    } else {
+      replyGroupsPanel?.remove();
+    }
+  }
+
+  applyReplySelection();
+}
+
+// Take the breakdown off the page (extension disabled, setting off, page left).
+// Collected replies are kept for when it comes back.
+function removeReplyBreakdown() {
+  replyBreakdownBar?.remove();
+  replyGroupsPanel?.remove();
+  lastBreakdownRender = null;
+  document.querySelectorAll('.twitter-flag-reply-hidden').forEach(article => {
+    article.classList.remove('twitter-flag-reply-hidden');
+  });
+}
@@ -0,0 +1,213 @@
+// User settings shared by the content script, background script, options page
+// and popup
+const SETTINGS_KEY = 'settings';
+
+// Each setting: default value, type and, for numbers, the allowed range or,
+// for choices, the allowed values.
+// section places it on the options page. Its text comes from the message
+// catalogs: setting_<key> is the label, setting_<key>_description the
+// description and setting_<key>_<value> each choice's label.
+const SETTINGS_SCHEMA = {
+  minRequestInterval: {
+    type: 'number',
+    default: 2000,
+    min: 500,
+    max: 60000,
+    unit: 'ms',
+    section: 'requests'
+  },
+  maxConcurrentRequests: {
+    type: 'number',
+    default: 2,
+    min: 1,
+    max: 5,
+    section: 'requests'
+  },
+  requestTimeout: {
+    type: 'number',
+    default: 10000,
+    min: 2000,
+    max: 60000,
+    unit: 'ms',
+    section: 'requests'
+  },
+  startupDelay: {
+    type: 'number',
+    default: 2000,
+    min: 0,
+    max: 15000,
+    unit: 'ms',
+    section: 'requests'
+  },
+  cacheExpiryDays: {
+    type: 'number',
+    default: 30,
+    min: 1,
+    max: 365,
+    unit: 'days',
+    section: 'cache'
+  },
+  negativeCacheHours: {
+    type: 'number',
+    default: 6,
+    min: 1,
+    max: 168,
+    unit: 'hours',
+    section: 'cache'
+  },
+  maxCacheEntries: {
+    type: 'number',
+    default: 50000,
+    min: 1000,
+    max: 1000000,
+    unit: 'accounts',
+    section: 'cache'
+  },
+  badgeStyle: {
+    type: 'choice',
+    default: 'flag',
+    options: ['flag', 'code', 'name', 'flagName'],
+    section: 'display'
+  },
+  badgePlacement: {
+    type: 'choice',
+    default: 'afterName',
+    options: ['afterName', 'afterHandle', 'timestamp'],
+    section: 'display'
+  },
+  badgeSize: {
+    type: 'choice',
+    default: 'medium',
+    options: ['small', 'medium', 'large'],
+    section: 'display'
+  },
+  flagRenderer: {
+    type: 'choice',
+    default: 'auto',
+    options: ['auto', 'emoji', 'image'],
+    section: 'display'
+  },
+  showRegionBadges: {
+    type: 'boolean',
+    default: true,
+    section: 'display'
+  },
+  showInaccuracyWarning: {
+    type: 'boolean',
+    default: true,
+    section: 'display'
+  },
+  showLoadingShimmer: {
+    type: 'boolean',
+    default: true,
+    section: 'display'
+  },
+  showStatusMarkers: {
+    type: 'boolean',
+    default: true,
+    section: 'display'
+  },
+  showProfilePopover: {
+    type: 'boolean',
+    default: true,
+    section: 'display'
+  },
+  showReplyBreakdown: {
+    type: 'boolean',
+    default: true,
+    section: 'display'
+  },
+  logLevel: {
+    type: 'choice',
+    default: 'error',
+    options: ['off', 'error', 'info', 'debug'],
+    section: 'diagnostics'
+  }
+};
+
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = definition.default;
+  }
+  return defaults;
+}
+
+// Check a single value against its schema entry. Returns an error message or null.
+function validateSetting(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) return getMessage('settingErrorUnknown');
+
+  if (definition.type === 'boolean') {
+    return typeof value === 'boolean' ? null : getMessage('settingErrorBoolean');
+  }
+
+  if (definition.type === 'choice') {
+    return typeof value === 'string' && definition.options.includes(value) ? null : getMessage('settingErrorChoice');
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return getMessage('settingErrorNumber');
+  }
+  if (!Number.isInteger(value)) {
+    return getMessage('settingErrorInteger');
+  }
+  if (value < definition.min || value > definition.max) {
+    return getMessage('settingErrorRange', [definition.min, definition.max]);
+  }
+  return null;
+}
+
+// Validate a (possibly partial) settings object. Invalid or missing values
+// fall back to defaults in settings; errors maps each invalid key to a message.
+function validateSettings(raw) {
+  const settings = getDefaultSettings();
+  const errors = {};
+
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (!(key in SETTINGS_SCHEMA)) continue;
+    const error = validateSetting(key, value);
+    if (error) {
+      errors[key] = error;
+    } else {
+      settings[key] = value;
+    }
+  }
+
+  return { settings, errors };
+}
+
+// Load settings from storage, ignoring anything invalid
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    return validateSettings(result[SETTINGS_KEY]).settings;
+  } catch (error) {
+    log.error('Error loading settings:', error);
+    return getDefaultSettings();
+  }
+}
+
+// Validate and store settings. Resolves to the errors map; nothing is saved if it isn't empty.
+async function saveSettings(raw) {
+  const { settings, errors } = validateSettings(raw);
+  if (Object.keys(errors).length > 0) {
+    return errors;
+  }
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return errors;
+}
+
+// Timeline filter (timelineFilter.js), edited in the popup
+const COUNTRY_FILTER_KEY = 'country_filter';
+const DEFAULT_COUNTRY_FILTER = {
+  enabled: false,
+  mode: 'deny', // 'deny' filters listed locations, 'allow' filters everything else
+  // In allow mode, keep authors whose location is unknown: none shared,
+  // protected, suspended, not found or not recognized
+  includeUnknown: false,
+  action: 'collapse', // 'hide', 'collapse' or 'dim'
+  countries: [], // alpha-2 codes
+  regions: [], // region codes from REGIONS
+  presets: [] // ids from COUNTRY_PRESETS
+};
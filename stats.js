@@ -0,0 +1,236 @@
+// Statistics page: how many accounts from each country and region had a flag
+// shown, in one X tab or all time, as a world map and a sortable table.
+// Tabs count the accounts they show (content.js); the all-time counts are
+// kept by the background script.
+const statsSource = document.getElementById('statsSource');
+const statsSummary = document.getElementById('statsSummary');
+const statsStatus = document.getElementById('statsStatus');
+const statsRows = document.getElementById('statsRows');
+const worldMap = document.getElementById('worldMap');
+
+const ALL_TIME_SOURCE = 'all';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Map colors, from the fewest to the most accounts
+const MAP_NO_DATA_COLOR = '#cfd9de';
+const MAP_COLOR_LOW = [198, 230, 252];
+const MAP_COLOR_HIGH = [8, 81, 156];
+
+const REGIONS_BY_CODE = new Map(REGIONS.map(region => [region.code, region]));
+
+// Table sort: key is 'name', 'type' or 'count'
+let sortState = { key: 'count', descending: true };
+let currentRows = [];
+let statsTotal = 0;
+
+// Country code -> path element
+const countryPaths = {};
+
+function showStatsStatus(message) {
+  statsStatus.textContent = message;
+  clearTimeout(showStatsStatus.timeout);
+  showStatsStatus.timeout = setTimeout(() => {
+    statsStatus.textContent = '';
+  }, 5000);
+}
+
+function renderMapOutline() {
+  worldMap.setAttribute('viewBox', `0 0 ${WORLD_MAP.width} ${WORLD_MAP.height}`);
+
+  const sphere = document.createElementNS(SVG_NS, 'path');
+  sphere.setAttribute('class', 'sphere');
+  sphere.setAttribute('d', WORLD_MAP.outline);
+  worldMap.appendChild(sphere);
+
+  for (const [code, d] of Object.entries(WORLD_MAP.countries)) {
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('class', 'country');
+    path.setAttribute('d', d);
+    path.appendChild(document.createElementNS(SVG_NS, 'title'));
+    worldMap.appendChild(path);
+    countryPaths[code] = path;
+  }
+}
+
+// Blend between the low and high colors; t is 0..1
+function mixMapColor(t) {
+  const channels = MAP_COLOR_LOW.map((low, i) => Math.round(low + (MAP_COLOR_HIGH[i] - low) * t));
+  return `rgb(${channels.join(', ')})`;
+}
+
+// A few countries usually dominate, so shade on a log scale
+function colorForCount(count, max) {
+  if (!count) return MAP_NO_DATA_COLOR;
+  if (max <= 1) return mixMapColor(1);
+  return mixMapColor(Math.log(count) / Math.log(max));
+}
+
+function renderMap(stats) {
+  const max = Math.max(0, ...Object.values(stats.countries));
+  for (const [code, path] of Object.entries(countryPaths)) {
+    const count = stats.countries[code] || 0;
+    const country = COUNTRIES_BY_CODE.get(code);
+    const name = country ? `${country.flag} ${getLocalizedCountryName(code)}` : code;
+    path.setAttribute('fill', colorForCount(count, max));
+    path.firstChild.textContent = getPluralMessage('statsMapCount', count, name);
+  }
+
+  document.getElementById('legendMin').textContent = max > 0 ? '1' : '0';
+  document.getElementById('legendMax').textContent = String(max);
+  document.getElementById('legendScale').style.background =
+    `linear-gradient(to right, ${mixMapColor(0)}, ${mixMapColor(1)})`;
+}
+
+// One row per country and region, plus accounts whose location wasn't recognized
+function toStatsRows(stats) {
+  const rows = [];
+  for (const [code, count] of Object.entries(stats.countries)) {
+    const country = COUNTRIES_BY_CODE.get(code);
+    const name = country ? getLocalizedCountryName(code) : code;
+    rows.push({ label: country ? `${country.flag} ${name}` : code, name, type: getMessage('statsTypeCountry'), count });
+  }
+  for (const [code, count] of Object.entries(stats.regions)) {
+    const region = REGIONS_BY_CODE.get(code);
+    const name = region ? getLocalizedRegionName(region) : code;
+    rows.push({ label: region ? `${region.globe} ${name}` : code, name, type: getMessage('statsTypeRegion'), count });
+  }
+  const matched = rows.reduce((sum, row) => sum + row.count, 0);
+  if (stats.total > matched) {
+    const name = getMessage('statsUnrecognized');
+    rows.push({ label: name, name, type: getMessage('statsTypeOther'), count: stats.total - matched });
+  }
+  return rows;
+}
+
+function compareRows(a, b) {
+  const { key, descending } = sortState;
+  let result;
+  if (key === 'count') {
+    result = a.count - b.count || b.name.localeCompare(a.name);
+  } else {
+    result = a[key].localeCompare(b[key]) || b.count - a.count;
+  }
+  return descending ? -result : result;
+}
+
+function renderTable(total) {
+  document.querySelectorAll('.stats-table th[data-sort]').forEach(th => {
+    if (th.dataset.sort === sortState.key) {
+      th.setAttribute('aria-sort', sortState.descending ? 'descending' : 'ascending');
+    } else {
+      th.removeAttribute('aria-sort');
+    }
+  });
+
+  statsRows.replaceChildren();
+  for (const row of [...currentRows].sort(compareRows)) {
+    const tr = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = row.label;
+
+    const typeCell = document.createElement('td');
+    typeCell.textContent = row.type;
+
+    const countCell = document.createElement('td');
+    countCell.className = 'number';
+    countCell.textContent = row.count.toLocaleString();
+
+    const share = total > 0 ? row.count / total : 0;
+    const shareCell = document.createElement('td');
+    const bar = document.createElement('span');
+    bar.className = 'share-bar';
+    bar.style.width = `${Math.max(1, Math.round(share * 80))}px`;
+    shareCell.appendChild(bar);
+    shareCell.appendChild(document.createTextNode(`${(share * 100).toFixed(1)}%`));
+
+    tr.appendChild(nameCell);
+    tr.appendChild(typeCell);
+    tr.appendChild(countCell);
+    tr.appendChild(shareCell);
+    statsRows.appendChild(tr);
+  }
+}
+
+async function loadStats(source) {
+  if (source === ALL_TIME_SOURCE) {
+    return getSeenAccountStats();
+  }
+  return chrome.tabs.sendMessage(Number(source), { type: 'getCountryStats' });
+}
+
+async function renderStats() {
+  const source = statsSource.value;
+  let stats;
+  try {
+    stats = await loadStats(source);
+  } catch (error) {
+    log.error('Error loading country statistics:', error);
+    stats = null;
+  }
+  // The source changed while this one was loading
+  if (statsSource.value !== source) return;
+
+  if (!stats) {
+    statsSummary.textContent = getMessage('statsNoTabStats');
+    stats = { countries: {}, regions: {}, total: 0, since: null };
+  } else {
+    const countryCount = Object.keys(stats.countries).length;
+    let summary = getPluralMessage('statsSummary', stats.total) + ' ' + getPluralMessage('statsSummaryCountries', countryCount);
+    if (stats.since) {
+      summary += ' ' + getMessage('statsSummarySince', new Date(stats.since).toLocaleString());
+    }
+    statsSummary.textContent = summary;
+  }
+
+  statsTotal = stats.total;
+  currentRows = toStatsRows(stats);
+  renderMap(stats);
+  renderTable(statsTotal);
+}
+
+// "All time" plus one entry per open X tab. initialTab (from ?tab=) is
+// preselected when it's an X tab, as when the popup opens this page.
+async function renderSources(initialTab) {
+  const selected = statsSource.value || (initialTab ? String(initialTab) : ALL_TIME_SOURCE);
+  const tabs = await chrome.tabs.query({ url: ['https://x.com/*', 'https://twitter.com/*'] });
+
+  statsSource.replaceChildren(new Option(getMessage('statsAllTime'), ALL_TIME_SOURCE));
+  for (const tab of tabs) {
+    statsSource.appendChild(new Option(getMessage('statsTab', tab.title || tab.url), String(tab.id)));
+  }
+  statsSource.value = [...statsSource.options].some(option => option.value === selected) ? selected : ALL_TIME_SOURCE;
+}
+
+document.querySelectorAll('.stats-table th[data-sort] button').forEach(button => {
+  button.addEventListener('click', () => {
+    const key = button.parentElement.dataset.sort;
+    sortState = sortState.key === key
+      ? { key, descending: !sortState.descending }
+      : { key, descending: key === 'count' };
+    renderTable(statsTotal);
+  });
+});
+
+statsSource.addEventListener('change', renderStats);
+
+document.getElementById('statsRefresh').addEventListener('click', async () => {
+  await renderSources();
+  await renderStats();
+});
+
+document.getElementById('statsReset').addEventListener('click', async () => {
+  if (!confirm(getMessage('statsResetConfirm'))) return;
+  await clearSeenAccountStats();
+  showStatsStatus(getMessage('statsResetDone'));
+  renderStats();
+});
+
+// Counts grow as tabs keep scrolling
+setInterval(() => {
+  if (document.visibilityState === 'visible') renderStats();
+}, 10000);
+
+localizePage();
+renderMapOutline();
+renderSources(new URLSearchParams(location.search).get('tab')).then(renderStats);
@@ -0,0 +1,221 @@
+// Country-based timeline filtering: hide, collapse or dim tweets and user
+// cells depending on the resolved author location. Its settings are stored
+// under COUNTRY_FILTER_KEY (settings.js).
+
+let countryFilter = { ...DEFAULT_COUNTRY_FILTER };
+// Countries/regions in the list with presets expanded
+let filterCountryCodes = new Set();
+let filterRegionCodes = new Set();
+
+const FILTER_TARGET_SELECTOR = selectorFor(['tweet', 'userCell']);
+// Recorded location of authors without a country or region
+const UNKNOWN_FILTER_LOCATION = 'unknown';
+
+// Load filter settings from storage
+async function loadCountryFilter() {
+  try {
+    const result = await chrome.storage.local.get([COUNTRY_FILTER_KEY]);
+    setCountryFilter(result[COUNTRY_FILTER_KEY]);
+    log.debug('Country filter:', countryFilter);
+  } catch (error) {
+    log.error('Error loading country filter:', error);
+    setCountryFilter(null);
+  }
+}
+
+// Replace the active filter settings and re-apply them to the page
+function setCountryFilter(filter) {
+  countryFilter = { ...DEFAULT_COUNTRY_FILTER, ...(filter || {}) };
+
+  filterCountryCodes = new Set(countryFilter.countries);
+  filterRegionCodes = new Set(countryFilter.regions);
+  for (const presetId of countryFilter.presets) {
+    const preset = COUNTRY_PRESETS.find(p => p.id === presetId);
+    if (!preset) continue;
+    preset.countries.forEach(code => filterCountryCodes.add(code));
+    preset.regions.forEach(code => filterRegionCodes.add(code));
+  }
+
+  resetFilterReveals();
+  applyCountryFilterToPage();
+}
+
+// Whether a resolved location should be filtered under the current settings.
+// type is UNKNOWN_FILTER_LOCATION for authors without one.
+function shouldFilterLocation(type, code) {
+  if (!countryFilter.enabled) return false;
+
+  // An empty allow list would hide everything; treat it as "no filter" instead
+  if (filterCountryCodes.size === 0 && filterRegionCodes.size === 0) return false;
+
+  // An unknown location is never on the list
+  if (type === UNKNOWN_FILTER_LOCATION) {
+    return countryFilter.mode === 'allow' && !countryFilter.includeUnknown;
+  }
+
+  const listed = type === 'region' ? filterRegionCodes.has(code) : filterCountryCodes.has(code);
+  return countryFilter.mode === 'allow' ? !listed : listed;
+}
+
+function ensureFilterStyles() {
+  if (document.getElementById('twitter-flag-filter-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'twitter-flag-filter-style';
+  style.textContent = `
+    .twitter-flag-filter-hidden {
+      display: none !important;
+    }
+    .twitter-flag-filter-dimmed {
+      opacity: 0.3;
+      transition: opacity 0.2s;
+    }
+    .twitter-flag-filter-dimmed:hover {
+      opacity: 0.85;
+    }
+    [data-twitter-flag-filter-bar] {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 10px 16px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      color: rgb(113, 118, 123);
+      border-bottom: 1px solid rgba(113, 118, 123, 0.25);
+    }
+    [data-twitter-flag-filter-bar] button {
+      border: none;
+      background: none;
+      color: rgb(29, 155, 240);
+      font: inherit;
+      font-weight: 600;
+      cursor: pointer;
+      padding: 0;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// Tweet article or user cell a username container belongs to
+function getFilterTarget(element) {
+  if (element.matches(FILTER_TARGET_SELECTOR)) return element;
+
+  const target = element.closest(FILTER_TARGET_SELECTOR);
+  if (!target) return null;
+
+  // Only the author block decides; a quoted tweet's User-Name inside the same article doesn't
+  const authorName = target.querySelector(NAME_BLOCK_SELECTOR);
+  return authorName === element || element.contains(authorName) ? target : null;
+}
+
+// Remember the resolved location on the tweet/cell and filter it. A null
+// locationMatch records the author's location as unknown.
+function recordFilterLocation(element, locationMatch) {
+  const target = getFilterTarget(element);
+  if (!target) return;
+
+  if (!locationMatch) {
+    target.dataset.twitterFlagLocation = UNKNOWN_FILTER_LOCATION;
+    delete target.dataset.twitterFlagBadge;
+    applyCountryFilter(target);
+    return;
+  }
+
+  target.dataset.twitterFlagLocation = `${locationMatch.type}:${locationMatch.code}`;
+  target.dataset.twitterFlagBadge = locationMatch.type === 'region'
+    ? `${locationMatch.flag} ${locationMatch.code}`
+    : locationMatch.flag;
+  applyCountryFilter(target);
+}
+
+function getFilterBar(target) {
+  const previous = target.previousElementSibling;
+  return previous && previous.hasAttribute('data-twitter-flag-filter-bar') ? previous : null;
+}
+
+function clearCountryFilter(target) {
+  target.classList.remove('twitter-flag-filter-hidden', 'twitter-flag-filter-dimmed');
+  getFilterBar(target)?.remove();
+  delete target.dataset.twitterFlagFiltered;
+}
+
+function createFilterBar(target) {
+  const bar = document.createElement('div');
+  bar.setAttribute('data-twitter-flag-filter-bar', 'true');
+
+  let message = target.matches(selectorFor('userCell')) ? 'filterAccountHidden' : 'filterTweetHidden';
+  if (target.dataset.twitterFlagLocation === UNKNOWN_FILTER_LOCATION) {
+    message += 'Unknown';
+  }
+  const label = document.createElement('span');
+  label.textContent = getMessage(message, target.dataset.twitterFlagBadge);
+
+  const showButton = document.createElement('button');
+  showButton.type = 'button';
+  showButton.textContent = getMessage('filterShow');
+  showButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    // Stay visible until the filter settings change
+    target.dataset.twitterFlagFilterRevealed = 'true';
+    applyCountryFilter(target);
+  });
+
+  bar.appendChild(label);
+  bar.appendChild(showButton);
+  return bar;
+}
+
+// Apply (or undo) the filter on a single tweet/cell. Safe to call repeatedly.
+function applyCountryFilter(target) {
+  const [type, code] = (target.dataset.twitterFlagLocation || '').split(':');
+  const filtered = (code || type === UNKNOWN_FILTER_LOCATION) &&
+    target.dataset.twitterFlagFilterRevealed !== 'true' &&
+    shouldFilterLocation(type, code);
+  const action = filtered ? countryFilter.action : null;
+
+  // Already in the right state (X re-renders can drop the collapse bar, so check it too)
+  if ((target.dataset.twitterFlagFiltered || null) === action &&
+      (action !== 'collapse' || getFilterBar(target))) {
+    return;
+  }
+
+  clearCountryFilter(target);
+  if (!action) return;
+
+  ensureFilterStyles();
+  target.dataset.twitterFlagFiltered = action;
+
+  if (action === 'dim') {
+    target.classList.add('twitter-flag-filter-dimmed');
+  } else {
+    target.classList.add('twitter-flag-filter-hidden');
+    if (action === 'collapse' && target.parentNode) {
+      target.parentNode.insertBefore(createFilterBar(target), target);
+    }
+  }
+}
+
+// Re-apply the filter to every tweet/cell with a known location
+function applyCountryFilterToPage() {
+  document.querySelectorAll('[data-twitter-flag-location]').forEach(target => {
+    applyCountryFilter(target);
+  });
+}
+
+// Forget "Show" clicks so new filter settings apply everywhere
+function resetFilterReveals() {
+  document.querySelectorAll('[data-twitter-flag-filter-revealed]').forEach(target => {
+    delete target.dataset.twitterFlagFilterRevealed;
+  });
+}
+
+// Remove all filtering and recorded locations (when extension is disabled)
+function clearAllCountryFilters() {
+  document.querySelectorAll('[data-twitter-flag-location]').forEach(target => {
+    clearCountryFilter(target);
+    delete target.dataset.twitterFlagLocation;
+    delete target.dataset.twitterFlagBadge;
+    delete target.dataset.twitterFlagFilterRevealed;
+  });
+}
@@ -0,0 +1,189 @@
+// World map for the statistics page: country outlines from Natural Earth
+// (public domain) at 1:110m, taken from the world-atlas package, projected
+// with the Natural Earth projection into a 960x480 SVG viewBox and keyed by
+// ISO 3166-1 alpha-2 code. Generated offline, so the page needs no network
+// access or mapping library. Countries too small for this scale (Singapore,
+// Malta, ...) have no outline; N. Cyprus and Somaliland, which have no ISO
+// code, are drawn as part of Cyprus and Somalia.
+const WORLD_MAP = {
+  width: 960,
+  height: 480,
+  outline: "M230,4L480,4L730,4L751,6L767,10L780,15L792,21L812,34L829,47L862,77L876,92L889,108L900,125L909,141L923,174L931,207L934,240L931,273L923,306L909,339L900,355L889,372L876,388L862,403L829,433L812,446L792,459L780,465L767,470L751,474L730,476L480,476L230,476L209,474L193,470L180,465L168,459L148,446L131,433L98,403L84,388L71,372L60,355L51,339L37,306L29,273L26,240L29,207L37,174L51,141L60,125L71,108L84,92L98,77L131,47L148,34L168,21L180,15L193,10L209,6L230,4Z",
+  countries: {
+    AE: "M606,169L607,169L607,170L609,169L611,169L612,169L614,167L616,166L617,164L617,165L618,167L617,167L617,169L617,169L616,170L616,171L616,172L616,174L615,174L608,173L607,170Z",
+    AF: "M636,131L638,131L640,131L640,132L642,131L643,131L643,130L645,130L645,130L645,128L646,127L647,128L647,129L648,129L648,131L649,132L650,132L651,132L652,130L654,130L656,130L657,131L656,132L655,132L652,132L650,133L648,134L649,136L650,137L649,138L649,139L649,140L647,140L648,142L647,143L646,145L646,147L646,147L645,147L643,148L643,148L641,148L640,150L640,153L637,154L636,153L635,154L634,154L631,154L627,153L629,150L628,148L626,148L626,146L625,143L625,142L624,141L625,139L625,136L628,137L629,136L629,135L631,135L632,134L632,131L634,131L634,130L636,131Z",
+    AL: "M529,120L529,121L528,122L528,123L527,124L527,124L526,123L525,122L525,121L525,119L525,118L525,117L524,117L525,115L526,116L526,115L527,116L527,116L527,118L527,118L528,120Z",
+    AM: "M589,126L588,127L587,125L587,124L586,124L585,124L584,124L583,123L581,122L581,121L581,120L584,119L585,120L586,121L585,121L587,122L586,123L587,124L588,124Z",
+    AO: "M513,254L512,255L511,255L511,257L511,257L510,255L511,253L512,253ZM511,258L512,257L513,257L514,257L521,257L522,259L522,261L523,262L524,264L526,263L526,263L528,263L528,263L529,261L530,261L531,260L532,260L532,261L535,261L535,263L535,264L535,266L535,268L536,269L536,272L536,272L537,272L539,272L540,272L540,273L540,274L540,276L540,277L540,278L535,278L535,287L536,289L538,291L533,292L527,292L525,291L515,291L515,291L513,290L512,289L510,290L509,291L509,289L509,286L510,283L510,282L511,280L512,278L513,276L514,275L514,273L514,271L514,270L513,269L512,267L512,266L513,265L513,262L512,260L511,258Z",
+    AQ: "M395,458L396,458L398,457L401,458L404,459L405,460L406,461L406,462L404,463L401,463L398,464L395,464L391,464L388,463L388,462L392,462L393,461L393,460L394,459L394,459ZM367,462L371,462L375,463L376,462L376,461L378,462L379,463L379,464L375,464L371,464L369,463L369,463ZM341,442L342,442L345,442L345,441L344,440L343,438L344,437L345,436L347,437L348,438L349,439L350,440L351,441L352,442L352,443L352,444L350,445L348,445L346,445L346,444L344,444L342,445L340,444L340,443ZM289,444L290,443L293,443L296,444L298,444L300,444L302,445L300,445L298,445L296,445L293,445L291,445ZM255,448L255,447L258,447L260,448L262,447L262,448L261,449L258,449ZM246,447L247,447L250,447L253,448L252,448L249,448ZM196,459L196,458L199,458L202,459L205,460L207,461L204,461L200,460L198,460L198,459ZM195,471L195,471L195,471L195,471L193,470L198,470L198,470L198,470L198,470L198,470L203,470L202,470L203,469L206,469L209,470L210,470L214,470L220,471L225,471L232,472L236,471L243,471L248,472L251,471L254,471L253,470L246,470L240,470L237,469L232,469L230,468L229,467L229,467L227,466L223,465L220,465L216,464L221,464L224,464L228,465L230,464L231,463L231,463L229,462L226,461L223,461L219,460L216,460L212,460L210,459L206,458L204,458L200,455L201,455L203,456L206,456L208,456L211,456L214,456L215,456L217,455L218,454L220,454L219,453L217,453L217,452L219,451L221,452L223,452L224,451L227,451L229,451L231,450L232,450L234,449L235,449L237,450L239,449L242,450L245,450L247,449L249,450L252,450L255,450L257,450L260,450L263,450L264,449L266,449L268,449L270,449L271,448L273,449L275,449L276,450L278,450L281,450L283,451L286,451L288,451L290,451L293,451L296,451L299,452L299,451L297,450L295,449L293,449L291,448L290,447L288,445L290,446L292,446L295,446L297,446L299,447L301,447L303,448L306,447L308,447L310,447L312,447L314,447L315,445L317,446L319,447L321,446L324,447L326,447L329,448L331,448L332,447L332,446L335,447L337,447L339,448L341,448L343,448L345,448L346,447L348,447L351,447L353,446L354,446L355,445L355,444L354,443L353,442L352,441L351,440L350,439L350,438L349,437L350,436L350,435L350,434L349,433L348,432L349,431L349,430L350,429L351,429L353,428L353,427L354,426L355,425L356,425L357,424L359,424L360,424L361,423L362,422L364,422L365,423L365,423L363,424L362,425L361,424L359,425L358,425L357,426L356,427L356,428L357,429L358,429L357,430L355,430L354,431L354,432L353,433L353,434L354,435L356,436L357,436L359,437L360,438L361,439L362,440L363,441L364,442L366,444L367,445L367,446L368,447L369,448L368,449L367,450L365,450L365,451L364,451L362,452L360,453L358,453L356,454L355,455L352,455L349,455L346,455L343,455L344,456L347,456L349,457L351,457L350,458L346,458L344,458L345,459L346,460L348,461L349,462L352,462L356,463L359,463L362,464L366,464L370,465L375,465L378,466L382,466L384,467L385,468L387,467L389,467L391,466L395,466L397,465L401,465L405,466L409,466L410,465L412,465L416,465L419,464L422,464L425,463L429,463L432,463L430,462L429,461L429,460L426,460L422,461L419,461L418,460L418,458L418,458L421,457L423,457L425,456L427,456L429,455L431,454L433,454L435,454L437,454L440,453L442,453L444,452L446,452L448,451L450,450L451,450L452,449L450,448L450,447L452,447L453,446L455,445L457,445L459,444L459,443L461,442L463,442L464,443L466,443L466,442L467,441L469,441L470,442L472,442L474,442L477,442L479,442L480,443L482,442L484,442L486,441L488,441L490,440L492,440L494,440L495,439L496,439L498,439L499,440L500,441L503,440L503,440L505,439L508,439L509,440L510,439L512,439L515,439L517,439L519,439L521,439L521,440L523,441L525,440L527,440L529,440L531,440L533,440L535,439L537,439L539,438L541,438L543,437L544,436L545,435L547,436L548,436L549,437L551,437L552,438L554,438L556,438L557,437L558,436L561,435L563,435L565,435L567,434L569,434L570,433L572,433L574,432L575,432L577,432L579,431L580,430L582,430L583,429L586,429L587,428L589,429L591,429L592,430L592,431L593,431L594,432L596,432L597,433L599,434L601,434L602,434L604,432L606,433L608,433L610,434L611,434L613,434L614,436L613,437L612,438L610,439L608,440L608,441L610,441L610,442L608,442L607,443L608,444L610,444L612,444L614,443L615,442L616,441L618,441L619,440L620,439L622,438L624,438L626,438L628,438L630,437L631,436L632,435L635,434L637,434L638,433L639,432L641,432L643,432L645,432L647,432L649,432L651,431L653,429L653,430L653,431L655,432L656,432L658,432L660,432L662,432L663,432L665,432L666,432L668,432L670,432L672,432L674,432L676,431L677,430L679,430L683,428L684,428L685,429L686,430L687,431L689,431L691,431L693,431L696,431L698,430L700,429L702,429L704,429L705,429L705,430L706,431L708,431L709,431L711,432L713,432L715,432L717,431L719,430L721,430L723,431L725,431L727,430L729,430L730,431L732,431L734,430L736,430L738,430L741,430L743,430L745,429L746,428L747,427L748,428L747,429L747,430L747,431L748,431L751,431L753,431L755,431L758,431L759,431L762,431L764,431L765,432L763,433L764,434L765,434L767,435L769,435L771,436L772,436L775,436L777,435L778,436L778,437L779,437L781,438L783,438L783,439L785,439L785,440L787,441L789,441L791,441L793,441L795,441L797,441L798,442L799,442L800,443L798,444L796,445L794,446L792,447L790,448L787,448L785,449L782,449L780,450L778,451L775,452L773,453L772,454L770,455L769,456L769,456L768,457L767,458L770,458L769,459L766,460L762,460L759,460L755,461L753,462L751,463L749,464L750,464L749,465L749,466L750,467L751,467L752,468L754,468L753,469L757,469L756,470L756,470L762,470L764,470L765,471L765,471L750,474L730,476L480,476L230,476L210,474Z",
+    AR: "M331,393L332,395L334,397L337,398L340,399L340,400L338,400L337,400L335,399L333,399ZM341,328L341,331L341,334L341,337L341,337L341,339L341,341L344,343L344,345L346,347L346,348L345,352L341,353L337,354L334,354L335,355L335,358L336,359L335,360L332,360L330,359L329,360L330,363L332,364L333,363L334,365L332,365L331,367L331,370L331,372L329,372L328,373L328,375L330,377L333,378L333,381L330,382L330,385L328,387L328,388L330,391L332,392L331,392L328,392L323,391L322,390L321,388L319,388L318,387L317,384L318,383L319,381L318,379L318,377L318,373L317,372L318,371L318,370L316,369L317,368L315,367L314,364L315,363L313,360L313,357L313,354L314,353L313,350L312,347L314,345L313,343L314,340L313,337L313,337L310,332L311,329L311,326L311,323L312,321L314,319L313,318L313,317L312,312L315,310L315,307L315,306L317,304L320,305L322,307L322,304L325,304L326,305L331,310L333,310L336,312L339,314L339,315L337,319L340,320L343,321L345,320L346,318L347,315L348,315L349,316L349,319L348,320L346,322L344,324Z",
+    AT: "M518,99L518,101L517,101L517,101L516,103L516,104L514,104L513,104L511,104L508,103L507,102L505,103L505,103L503,103L502,103L501,102L502,102L502,101L502,101L503,102L504,101L506,101L507,101L508,101L509,101L509,101L509,99L510,99L510,97L512,98L513,97L514,97L516,98L517,98L518,98L518,98Z",
+    AU: "M822,359L824,360L822,363L821,364L819,366L819,366L816,368L815,367L814,367L814,365L815,363L815,360L816,359L817,359L819,360L820,360ZM782,334L779,336L777,336L776,338L775,339L773,339L771,340L769,339L767,339L766,339L764,341L763,341L762,342L760,343L758,343L757,343L755,341L754,340L754,338L756,338L756,337L757,336L758,334L758,333L757,330L758,328L758,326L758,324L758,323L757,322L757,320L757,318L757,316L757,318L757,315L758,316L759,317L759,315L758,313L758,312L758,311L759,310L759,309L760,307L760,306L761,304L761,306L763,304L765,303L766,302L768,300L770,300L770,301L772,300L774,299L774,299L775,298L776,298L779,298L781,296L782,295L783,293L784,292L784,290L786,288L787,290L788,290L787,288L788,287L789,288L790,285L792,284L792,283L794,282L794,282L795,282L795,281L796,281L798,280L799,282L800,283L802,283L803,284L803,282L805,280L806,279L806,278L807,277L809,276L810,276L812,275L812,274L810,273L812,272L813,273L815,274L817,275L817,275L819,276L820,275L821,275L822,275L823,276L822,278L821,279L820,279L820,280L819,282L818,283L818,284L820,285L822,286L823,287L824,289L825,289L826,290L826,291L828,292L830,291L831,289L832,288L832,286L834,284L833,283L834,282L834,280L834,278L835,277L835,276L836,275L836,273L836,272L837,271L838,273L838,274L838,275L838,276L839,277L839,279L839,280L839,282L841,281L842,283L843,284L842,285L842,288L842,289L843,289L843,292L843,293L843,295L845,297L847,298L848,300L847,300L848,302L849,305L850,305L850,306L851,305L851,309L852,310L853,312L854,314L854,316L853,318L852,320L853,322L852,325L851,326L849,329L848,331L847,333L845,335L843,337L841,339L839,340L837,343L836,344L834,347L833,349L833,350L831,351L828,351L825,352L824,353L822,354L820,353L819,352L820,351L819,352L816,354L814,353L813,352L812,352L810,351L809,350L810,347L810,346L809,345L807,344L808,343L809,341L807,343L804,343L806,342L807,340L809,338L810,336L807,339L805,340L803,342L802,341L802,339L802,337L801,336L801,335L799,334L797,334L795,332L791,332L788,334L785,334Z",
+    AZ: "M587,117L588,118L590,119L591,120L591,119L592,118L594,119L595,121L596,121L597,122L595,122L595,125L595,126L594,126L595,128L594,128L592,126L593,125L592,124L591,124L589,126L588,124L587,124L586,123L587,122L585,121L586,121L585,120L584,119L585,119L586,120L588,120L588,119L587,118ZM588,127L586,126L585,125L584,124L585,124L586,124L587,124L587,125Z",
+    BA: "M523,115L521,114L520,113L519,112L518,111L517,110L516,109L516,108L517,108L518,108L519,108L521,108L522,108L523,109L524,109L524,110L525,111L525,113L524,113L524,113L523,114Z",
+    BD: "M708,176L709,178L708,177L708,180L707,178L707,177L706,175L705,173L703,173L703,175L703,176L701,176L701,176L700,176L699,176L699,173L697,171L697,169L696,168L696,167L697,166L695,165L696,163L698,164L699,164L700,166L702,167L705,166L706,167L705,169L704,170L704,171L705,173L706,171L706,171Z",
+    BE: "M494,92L493,94L493,94L493,95L491,94L489,94L488,93L487,92L486,92L486,91L487,90L489,91L491,90L492,91Z",
+    BF: "M466,210L466,208L467,207L467,206L469,203L469,201L470,201L471,201L472,200L473,200L475,198L475,197L477,196L479,196L479,196L481,196L481,198L481,199L482,201L483,202L485,203L485,205L485,206L484,206L483,208L482,208L480,208L479,208L478,208L477,208L473,208L473,210L473,212L471,211L470,211L469,212L468,211L468,210Z",
+    BG: "M532,111L532,112L533,112L535,112L538,112L540,111L542,111L544,112L545,112L544,113L544,115L545,117L543,117L540,118L540,119L538,119L537,118L535,119L533,119L533,117L532,116L532,116L532,115L532,114L533,114L531,112L531,111Z",
+    BI: "M557,247L557,248L557,249L558,250L557,250L556,252L555,253L554,253L554,250L553,248L555,249L555,247Z",
+    BJ: "M487,222L485,222L484,220L484,213L484,213L484,211L483,210L482,209L482,208L483,208L484,206L485,206L485,205L486,204L487,204L489,206L489,207L490,209L489,210L489,211L488,212L487,213L487,215L487,217Z",
+    BN: "M771,224L771,226L771,227L769,227L769,228L768,227L769,226Z",
+    BO: "M306,272L308,272L309,272L309,271L311,270L313,269L316,268L316,271L316,272L316,274L319,276L322,277L323,278L325,279L326,279L327,279L329,280L329,282L330,283L330,284L329,284L330,287L335,288L335,289L335,290L337,291L337,293L337,295L336,297L337,298L336,299L336,298L334,297L331,297L327,297L326,300L326,302L326,305L325,304L322,304L322,307L320,305L317,304L315,306L313,307L312,303L310,300L310,297L309,295L308,293L307,291L308,288L307,286L308,285L307,284L308,282L308,280L308,278L308,277Z",
+    BR: "M353,339L352,337L353,336L351,334L349,332L346,330L345,330L343,328L341,328L344,324L346,322L348,320L349,319L349,316L348,315L347,315L347,314L347,312L347,310L346,310L345,310L344,310L344,309L343,306L343,305L341,305L340,305L337,305L337,301L336,299L337,298L336,297L337,295L337,293L337,291L335,290L335,289L335,288L330,287L329,284L330,284L330,283L329,282L329,280L327,279L326,279L325,279L323,278L322,277L319,276L316,274L316,272L316,271L316,268L313,269L311,270L309,271L309,272L308,272L306,272L304,272L303,272L303,268L301,269L299,269L298,268L296,268L297,266L295,265L294,262L295,261L295,260L296,259L296,258L296,257L296,255L299,253L301,253L302,252L304,253L305,245L305,243L305,242L303,241L303,238L305,238L305,238L305,237L304,237L304,235L309,235L310,234L310,235L311,237L311,236L313,238L315,238L315,237L317,236L318,236L318,234L320,234L320,233L318,233L318,231L318,229L317,228L317,228L319,228L321,229L322,228L324,228L326,227L327,226L327,225L328,225L329,225L329,227L329,227L330,228L329,229L329,232L329,233L330,235L331,236L332,236L333,236L333,236L335,235L335,234L337,235L337,234L339,235L339,234L339,234L339,233L340,233L341,233L343,233L344,234L344,233L345,233L345,234L347,234L348,233L348,231L350,228L351,228L351,229L353,234L354,235L354,237L352,239L353,240L357,241L358,244L359,242L363,243L367,245L368,246L368,248L371,247L375,248L379,248L383,251L386,254L388,255L390,255L391,256L392,260L393,261L392,266L391,268L387,272L386,276L384,278L383,278L383,280L383,286L383,290L382,292L382,293L382,297L379,301L379,304L377,305L377,307L374,307L370,308L369,310L366,310L363,313L362,316L361,318L362,319L362,322L362,324L360,326L358,331L356,333L355,334L354,337Z",
+    BS: "M288,162L289,161L290,161L290,162L288,163ZM291,161L292,162L292,164L291,164L291,162L291,161ZM289,166L289,166L290,169L290,171L289,171L289,169L288,168Z",
+    BT: "M703,159L704,160L704,161L702,162L700,161L699,162L696,161L696,160L697,158L698,157L700,158L702,158Z",
+    BW: "M553,305L549,307L547,309L546,311L545,312L544,312L543,314L543,315L541,315L539,315L538,314L537,314L536,315L535,316L534,317L533,318L531,318L530,317L531,316L529,313L529,312L529,304L531,304L532,293L534,293L538,292L539,293L540,292L541,292L542,292L543,292L544,294L544,295L545,296L547,300L549,300L548,301L549,303L551,303Z",
+    BY: "M540,77L542,78L543,78L544,78L546,79L546,80L546,81L548,83L549,83L548,84L550,84L551,85L550,85L548,85L548,86L549,86L549,88L547,88L547,89L547,90L546,90L544,90L543,90L543,90L542,90L540,90L538,89L535,89L534,89L533,90L531,90L531,88L530,87L532,87L532,86L531,84L531,83L533,83L535,82L535,81L537,80L536,79L538,78Z",
+    BZ: "M259,188L259,188L259,187L259,188L260,186L261,186L261,186L261,186L261,187L261,188L261,189L260,190L261,190L260,192L259,192L259,193L258,194L258,194L258,190Z",
+    CA: "M207,97L207,97L204,94L203,93L200,92L200,89L202,88L200,86L201,84L199,82L200,81L202,79L203,78L201,76L201,73L201,71L200,70L200,69L200,67L197,68L194,70L193,68L193,67L192,66L190,66L203,51L212,42L215,42L216,44L218,44L221,43L224,42L227,42L230,41L234,41L234,42L236,41L238,40L239,40L240,42L244,41L243,43L245,42L247,41L249,42L251,43L255,44L257,44L259,44L261,45L257,46L260,47L265,47L267,46L268,48L271,46L270,45L272,44L275,44L276,44L277,45L278,46L281,46L283,47L287,47L289,47L290,45L292,45L295,45L293,48L296,46L297,46L300,43L299,42L297,41L299,38L303,36L305,37L306,38L307,41L304,42L307,42L306,45L309,43L311,44L309,46L310,48L313,46L316,44L317,41L320,42L323,42L325,43L324,44L322,46L322,47L321,48L317,50L314,50L312,50L311,51L308,53L306,54L303,56L300,56L298,57L297,59L294,59L291,61L287,64L285,66L283,69L286,70L285,72L285,75L289,74L292,75L293,76L294,77L297,78L298,79L302,80L304,80L303,82L302,85L303,88L305,91L307,90L309,87L310,83L309,81L313,80L316,78L318,76L318,74L318,72L316,70L320,67L320,65L322,61L323,60L326,61L328,61L330,60L332,61L334,63L334,64L337,64L336,66L336,69L338,70L338,71L342,70L345,67L347,66L348,68L349,72L350,75L349,77L351,78L353,80L356,80L357,81L357,84L359,84L359,85L359,88L357,89L355,90L351,91L348,93L344,94L339,93L336,93L334,94L331,96L328,97L323,101L320,103L322,103L327,99L332,97L336,96L337,98L335,100L334,103L335,105L337,106L341,106L344,103L344,105L345,106L342,108L336,109L334,111L330,113L329,112L329,110L334,108L330,108L328,108L327,106L328,102L327,102L325,102L325,101L322,104L321,106L320,107L319,108L318,108L318,108L313,108L310,108L309,109L306,111L305,111L304,112L302,112L300,112L299,113L299,113L299,114L299,115L295,116L293,116L290,118L289,118L288,118L288,117L288,117L289,116L291,114L292,113L292,110L293,107L291,106L291,106L291,105L291,105L290,105L290,104L290,104L289,104L290,104L289,104L289,103L288,102L286,101L285,100L283,99L281,100L280,100L277,99L275,99L274,99L271,98L270,98L269,97L270,96L269,96L269,97L264,97L256,97L249,97L242,97L235,97L229,97L222,97L220,97L213,97ZM310,60L312,59L315,59L314,60L311,61L310,61ZM333,34L331,33L332,32L333,32L337,32L339,34L339,34L337,34L335,34L333,34ZM317,61L318,60L319,60L319,61L318,62L317,62L317,61ZM311,29L309,30L307,30L305,29L307,28L310,28L311,28ZM315,23L314,24L311,23L311,23L315,23L315,23ZM312,21L314,21L313,22L310,23L309,22L309,21L309,21L312,21ZM320,31L317,30L313,30L313,28L314,27L313,26L309,26L308,25L309,24L313,24L314,25L318,25L319,26L317,27L319,27L320,28L322,28L325,28L328,28L332,27L335,28L336,28L336,29L334,30L331,30L329,30L323,31ZM286,22L288,22L287,23L283,24L281,23L283,22ZM288,21L290,21L287,22L284,22L285,21L287,21ZM358,90L356,92L354,95L356,94L357,94L356,95L358,96L359,95L361,96L360,98L362,98L362,99L362,101L361,104L359,104L358,103L359,101L359,101L355,103L354,103L356,102L354,101L352,101L347,101L347,100L349,99L348,98L350,97L354,92L356,91L358,90L359,90ZM314,53L315,54L317,55L317,56L318,56L319,57L317,58L314,57L314,56L311,57L308,59L308,57L305,57L307,56L309,54L311,52L312,52L312,53L313,53ZM334,35L336,34L340,36L341,37L341,38L345,37L346,39L350,40L351,41L352,43L348,44L352,46L354,46L356,49L359,49L358,51L353,54L351,53L349,50L347,50L346,52L347,53L349,55L350,55L350,58L349,60L346,59L342,57L344,59L345,61L345,62L340,61L337,59L335,58L336,57L333,56L331,54L331,55L325,56L324,55L326,53L330,53L334,52L334,52L335,50L339,48L339,47L338,46L336,45L333,44L334,43L333,42L331,42L330,41L329,41L325,42L319,41L315,40L312,40L311,39L314,38L311,38L312,36L315,34L318,33L323,32L321,33L321,35L324,33L329,32L331,35L330,36ZM308,31L311,31L314,32L310,34L308,34L304,36L302,36L303,34L304,33L305,32ZM261,27L265,25L271,23L273,24L276,23L274,25L272,26L270,26L266,27L263,27ZM194,83L196,83L194,86L194,88L193,88L193,87L193,85L192,85L193,83L193,83ZM298,20L302,20L305,21L306,22L306,23L303,22L301,22L297,22L299,21L298,20ZM205,98L203,99L200,97L200,96L199,95L199,95L197,94L197,93L198,92L200,93L201,93L203,93L203,94L203,96L205,97ZM259,30L261,31L266,31L267,32L268,33L265,33L259,35L255,37L254,38L248,39L248,38L245,37L247,36L250,34L253,32L253,31ZM287,27L289,27L291,27L290,28L288,29L281,29L276,30L273,31L274,30L278,29L270,29L268,29L272,26L275,26L279,27L281,28L284,28L283,26L286,25L287,25L287,26ZM284,34L285,35L284,37L284,39L286,40L288,41L287,42L284,42L285,43L283,44L280,44L277,43L275,43L271,44L266,44L262,45L262,44L260,43L258,43L257,41L259,41L262,40L265,41L267,40L264,40L260,40L257,40L257,39L262,38L259,38L257,37L260,35L262,35L268,33L270,34L268,35L273,34L274,35L277,34L278,35L278,37L280,36L280,34L282,33ZM294,35L293,33L296,32L298,32L302,32L302,33L299,34L301,35L299,37L296,38L294,38L293,37L290,35L291,34ZM285,32L287,32L288,33L285,34L284,33ZM305,25L306,26L305,27L303,29L299,29L298,29L299,28L296,28L297,26L299,26L303,25L305,26ZM318,17L319,16L321,16L321,16L325,16L326,17L328,17L331,18L331,19L332,20L330,20L325,22L322,22L318,22L317,21L318,20L320,19L317,19L316,19L315,18ZM328,14L331,14L333,14L336,14L340,13L342,13L343,14L345,13L348,12L351,12L356,12L356,12L361,12L365,12L368,12L373,12L376,13L378,13L378,14L373,14L369,15L367,15L371,15L366,16L363,17L358,19L355,19L353,19L348,20L350,20L348,20L349,21L347,22L344,23L342,23L339,24L339,25L342,25L342,25L336,26L332,26L327,26L324,26L321,26L321,25L325,24L326,23L327,22L331,23L329,22L327,22L329,21L333,20L334,20L332,19L332,18L337,18L338,18L341,17L338,17L332,17L329,16L329,16L327,15ZM334,47L332,48L330,48L330,47L332,46L334,45L335,46L334,47ZM296,42L297,43L295,44L293,43L291,44L290,43L292,42L294,41L295,41L296,42ZM337,95L338,94L341,95L343,96L343,97L342,97L339,96ZM336,103L337,104L338,104L340,104L339,105L338,106L335,104L335,103Z",
+    CD: "M554,253L554,256L554,257L555,259L556,261L557,264L556,264L553,265L552,265L551,267L552,268L551,271L551,274L552,275L553,276L554,276L554,279L552,279L551,277L550,276L549,275L548,274L547,275L545,274L544,273L542,273L541,273L541,272L540,272L539,272L537,272L536,272L536,272L536,269L535,268L535,266L535,264L535,263L535,261L532,261L532,260L531,260L530,261L529,261L528,263L528,263L526,263L526,263L524,264L523,262L522,261L522,259L521,257L514,257L513,257L512,257L511,258L511,257L511,257L511,255L512,255L513,254L513,254L514,253L516,253L516,254L517,254L518,253L520,251L520,250L520,248L521,245L523,244L524,242L524,241L525,240L525,239L525,238L525,235L526,233L526,232L526,230L527,228L528,226L529,225L531,226L533,227L535,228L536,228L537,226L538,226L539,227L541,225L542,226L543,226L544,225L545,225L546,225L548,225L549,225L550,227L552,227L552,227L553,227L555,227L555,228L558,230L558,233L559,234L558,235L557,235L556,237L555,238L555,241L555,242L555,244L554,245L554,246L553,247L553,248L554,250Z",
+    CF: "M549,225L548,225L546,225L545,225L544,225L543,226L542,226L541,225L539,227L538,226L537,226L536,228L535,228L533,227L531,226L529,225L528,226L527,228L526,230L525,230L523,229L522,231L520,233L520,233L520,231L519,230L518,229L518,228L516,226L517,225L516,224L517,222L517,221L518,218L521,218L521,217L521,217L522,218L525,217L526,216L528,215L527,214L528,214L530,214L533,212L534,209L536,208L537,207L538,209L539,211L539,212L539,213L539,214L540,215L542,216L543,217L543,218L545,220L546,221L547,223L549,224Z",
+    CG: "M526,230L526,232L526,233L525,235L525,238L525,239L525,240L524,241L524,242L523,244L521,245L520,248L520,250L520,251L518,253L517,254L516,254L516,253L514,253L513,254L513,254L512,253L511,253L510,255L508,252L510,250L509,248L510,247L511,247L512,246L513,247L515,247L516,246L516,244L516,242L515,240L516,237L515,236L513,236L513,235L513,233L516,234L518,234L520,235L520,233L522,231L523,229L525,230Z",
+    CH: "M502,101L502,102L501,102L502,103L503,103L503,104L502,105L501,104L500,105L499,106L499,105L498,106L496,106L495,106L495,104L494,105L494,103L495,102L495,101L496,101L497,101L499,101L499,100Z",
+    CI: "M460,210L460,210L461,210L463,210L463,210L464,210L464,209L465,211L465,210L466,210L468,210L468,211L469,212L470,211L471,211L473,212L474,216L472,218L472,222L473,224L473,225L472,225L470,225L468,225L465,225L464,226L461,227L461,227L461,225L461,224L461,223L460,222L459,222L458,221L459,220L459,218L459,218L459,218L459,216L459,216L459,215L460,215L460,213L459,211L459,210Z",
+    CL: "M331,393L333,399L335,399L337,400L336,401L335,401L334,401L332,401L330,400L328,400L325,398L322,397L318,394L320,394L324,396L327,397L328,396L328,394L329,393ZM307,291L308,293L309,295L310,297L310,300L312,303L313,307L315,306L315,307L315,310L312,312L313,317L313,318L314,319L312,321L311,323L311,326L311,329L310,332L313,337L313,337L314,340L313,343L314,345L312,347L313,350L314,353L313,354L313,357L313,360L315,363L314,364L315,367L317,368L316,369L318,370L318,371L317,372L318,373L318,377L318,379L319,381L318,383L317,384L318,387L319,388L321,388L322,390L323,391L328,392L331,392L329,392L328,393L326,394L327,397L326,397L323,396L320,394L317,392L315,390L315,389L314,387L312,382L312,379L313,377L310,376L311,374L310,369L313,370L313,364L311,363L311,367L310,366L309,362L309,357L309,355L308,352L307,349L308,349L308,344L309,339L309,335L308,331L308,328L307,324L308,321L307,315L307,309L307,303L306,298L305,294L307,293Z",
+    CM: "M516,202L517,204L517,206L517,208L519,211L517,211L517,211L516,211L515,212L517,214L518,214L518,216L519,218L518,218L517,221L517,222L516,224L517,225L516,226L518,228L518,229L519,230L520,231L520,233L520,233L520,235L518,234L516,234L513,233L513,233L511,234L510,233L508,233L504,233L505,231L504,229L503,229L502,227L501,227L501,226L502,224L503,221L504,221L505,219L506,219L508,221L510,220L510,218L510,217L511,216L512,215L513,213L513,212L513,210L514,208L516,206L516,205L517,205L516,204L516,203Z",
+    CN: "M752,187L750,186L749,183L750,182L753,181L754,181L755,182L754,184L754,185ZM665,116L664,114L665,114L662,109L666,108L667,107L667,102L671,103L672,101L671,99L673,98L674,96L675,96L676,98L679,100L682,101L685,103L685,106L686,108L689,108L692,108L696,110L697,111L699,113L701,115L704,115L709,116L712,115L714,116L718,117L721,117L722,118L724,117L728,116L731,116L733,115L734,113L736,112L735,111L734,110L734,108L735,108L738,109L740,107L742,106L743,104L744,104L747,103L749,104L749,103L746,101L744,100L743,101L740,100L739,101L738,99L738,97L738,94L741,96L743,94L743,93L743,90L744,89L743,87L741,86L742,85L744,85L747,84L751,85L753,86L757,89L758,90L760,92L762,95L767,96L771,98L773,100L776,100L778,99L781,98L781,101L781,102L782,105L782,108L779,107L778,109L780,111L781,114L780,114L781,116L778,114L778,116L775,117L776,119L774,119L773,118L772,120L770,121L769,123L766,124L765,125L763,126L764,125L763,124L764,122L762,120L760,121L758,123L758,125L756,125L755,127L757,129L759,129L760,130L762,131L764,129L766,130L768,130L769,132L766,133L765,134L763,136L763,138L766,139L768,142L770,145L773,147L773,149L772,150L773,152L775,153L775,155L775,157L774,158L773,161L772,165L771,168L768,171L765,173L762,174L761,175L760,174L759,176L756,177L753,177L753,181L752,181L751,179L751,177L748,177L747,177L744,176L742,175L743,173L740,173L739,172L737,173L735,174L733,174L732,174L730,175L731,178L730,178L730,177L729,176L728,177L727,176L724,175L725,173L723,172L722,170L719,170L719,167L721,164L720,162L720,160L719,159L717,157L716,157L713,157L714,156L712,154L711,155L709,154L706,156L705,158L703,159L702,158L700,158L698,157L697,158L696,160L695,158L694,158L691,158L688,157L686,156L684,156L683,154L681,154L679,152L677,151L676,152L672,150L669,148L668,145L670,145L669,143L668,142L668,140L664,136L660,135L659,133L657,131L656,130L656,129L655,128L654,127L653,127L652,125L652,124L652,123L654,122L655,121L658,122L658,120L661,119L661,118L665,117Z",
+    CO: "M311,236L311,237L310,235L310,234L309,235L304,235L304,237L305,237L305,238L305,238L303,238L303,241L305,242L305,243L305,245L304,253L303,251L302,251L303,248L301,247L300,247L299,246L298,247L296,247L294,244L293,243L292,242L291,240L290,240L289,240L288,239L287,239L285,239L284,238L284,238L281,236L281,235L282,235L282,233L282,232L284,232L285,230L286,229L285,228L285,226L285,224L285,223L285,220L284,219L284,218L285,218L286,217L285,215L286,215L287,215L289,213L290,212L290,211L291,209L292,208L294,208L294,207L296,207L298,206L299,205L300,204L301,204L302,205L301,206L300,206L299,208L298,208L297,210L297,212L296,213L297,213L297,215L298,215L298,217L298,218L298,218L298,219L299,220L302,219L304,220L305,222L306,222L308,222L310,222L311,222L310,224L309,225L309,227L310,229L310,230L310,230L309,232L310,232L311,233Z",
+    CR: "M273,212L272,212L272,214L272,214L272,214L272,215L272,215L271,216L270,215L270,215L270,214L270,214L269,213L268,212L267,212L267,211L267,211L267,211L266,212L266,211L265,211L265,210L265,210L265,209L264,208L265,208L266,207L267,208L268,208L269,208L269,208L270,209L270,208L271,210L272,211Z",
+    CU: "M278,172L280,172L282,172L284,173L285,175L287,174L288,175L290,177L291,178L292,178L293,179L293,179L295,180L297,181L296,181L295,182L293,182L291,182L288,182L289,180L289,180L287,179L286,179L286,177L284,177L282,176L282,176L278,175L278,175L279,174L276,174L274,175L273,175L273,176L272,176L271,176L272,175L273,174L274,173L275,173L277,173Z",
+    CY: "M558,137L558,137L558,136L560,136L562,136L560,137L561,137L560,137L560,137L560,137L559,138L559,137L559,137L559,137L558,137ZM558,137L558,137L559,137L559,137L559,137L559,138L560,137L560,137L560,137L561,137L561,138L558,139L557,138L557,137Z",
+    CZ: "M513,91L514,92L516,92L516,93L517,94L517,93L519,93L519,94L521,94L522,96L521,96L521,96L520,96L520,97L520,97L520,97L519,98L518,98L518,98L517,98L516,98L514,97L513,97L512,98L510,97L509,96L508,95L507,94L507,93L509,93L509,92L511,92L511,91L512,91Z",
+    DE: "M510,84L511,85L511,86L511,87L512,88L512,89L513,91L512,91L511,91L511,92L509,92L509,93L507,93L507,94L508,95L509,96L510,97L510,99L509,99L509,101L509,101L508,101L507,101L506,101L504,101L503,102L502,101L502,101L499,100L499,101L497,101L497,99L498,97L495,96L494,96L494,94L493,94L494,92L493,89L494,89L495,88L495,85L495,84L495,84L497,84L498,84L499,83L498,82L498,80L500,81L501,80L501,81L504,82L504,83L506,82L507,82L509,83Z",
+    DJ: "M586,203L587,204L588,203L588,204L588,205L587,206L588,207L587,208L587,208L586,208L585,208L585,207L584,206L585,205Z",
+    DK: "M501,80L500,81L498,80L497,79L497,76L497,75L498,74L500,74L501,74L502,73L502,74L502,75L502,76L503,76L503,77L502,77L501,79ZM506,77L507,79L506,81L504,79L503,78Z",
+    DO: "M302,187L302,186L302,186L302,185L303,184L302,182L303,182L305,182L306,183L307,183L307,184L309,184L308,184L309,185L311,186L309,187L308,186L307,186L306,186L306,187L305,187L305,186L304,187L303,189L302,188Z",
+    DZ: "M459,160L459,159L459,159L459,156L463,153L465,153L467,152L468,151L471,150L471,147L473,147L474,146L477,146L477,144L477,144L476,141L476,139L475,137L477,135L480,135L481,134L483,133L487,132L491,132L493,132L495,131L497,131L498,132L500,132L499,133L500,136L499,139L498,140L498,142L500,144L500,145L502,146L503,151L504,154L504,155L503,158L504,159L503,161L504,162L503,164L504,166L504,167L505,169L506,168L508,170L509,171L501,177L494,183L491,184L488,184L488,182L487,182L485,181L485,180L476,173L468,167Z",
+    EC: "M290,240L290,243L290,245L287,248L284,249L282,251L282,253L281,254L279,253L278,253L277,253L277,252L278,251L278,250L279,248L278,246L277,248L276,247L276,246L276,243L277,243L277,241L278,239L278,238L279,237L281,236L284,238L284,238L285,239L287,239L288,239L289,240Z",
+    EE: "M538,68L538,69L537,70L538,73L537,73L536,73L534,72L533,72L531,73L531,71L530,71L529,70L528,69L531,68L534,68L536,68Z",
+    EG: "M571,176L561,176L552,176L542,176L541,165L540,154L540,152L540,150L540,149L540,148L544,148L546,148L548,149L550,150L551,149L552,148L554,148L556,148L557,149L557,149L559,149L561,149L562,149L564,153L564,154L564,155L563,157L563,159L562,159L562,158L560,157L558,153L558,153L559,156L561,159L563,164L564,165L565,167L568,170L567,171L567,172L570,175Z",
+    EH: "M459,159L459,159L459,160L459,164L451,164L451,172L448,172L448,173L448,178L438,178L438,179L438,177L438,177L444,177L444,176L445,175L446,171L449,168L451,164L451,164L452,161L454,161L455,161L456,161L457,161L459,161L459,159Z",
+    ER: "M571,198L571,197L572,192L572,190L572,190L574,189L575,187L577,191L578,194L579,195L583,198L584,199L586,201L587,202L588,203L587,204L586,203L585,202L584,201L583,200L582,199L580,198L578,198L578,197L576,198L575,196L574,199Z",
+    ES: "M462,131L462,130L463,129L464,129L463,128L463,126L463,124L464,124L464,122L464,122L464,120L465,119L465,117L463,117L463,118L462,118L461,116L460,117L459,117L459,115L458,114L462,112L465,113L468,113L470,113L472,113L476,113L477,114L481,115L482,115L484,116L487,116L487,117L485,119L482,120L482,121L480,123L479,125L480,127L479,128L478,130L477,130L475,133L472,133L470,133L468,134L467,135L466,135L465,134L465,132Z",
+    ET: "M600,217L593,225L590,226L588,228L586,228L585,229L584,229L583,228L580,229L580,230L578,230L577,229L577,230L576,230L573,227L571,227L570,226L570,224L569,224L567,221L566,220L566,219L564,217L563,217L564,216L565,216L565,215L565,212L566,209L567,208L567,207L568,205L570,203L571,200L571,198L574,199L575,196L576,198L578,197L578,198L580,198L582,199L583,200L584,201L585,202L586,203L585,205L584,206L585,207L585,208L586,208L587,208L587,208L587,209L588,211L589,212L590,213L598,217Z",
+    FI: "M535,43L535,45L538,47L537,49L540,52L539,54L541,56L540,57L544,59L543,60L542,62L538,65L534,66L531,67L527,67L526,66L524,65L524,62L523,60L523,58L525,57L529,54L530,53L530,52L527,51L526,50L526,46L522,44L520,43L521,43L523,44L525,44L528,44L529,43L530,42L533,41L535,42Z",
+    FJ: "M923,291L923,291L924,291L923,293L922,293L920,293L920,292L922,291ZM928,288L926,289L925,290L925,289L926,288L927,288L928,287L928,287L928,288ZM32,287L32,287L32,287L32,287L32,288L32,288L32,288L32,287Z",
+    FK: "M346,391L348,389L351,390L352,389L354,390L353,391L351,392L349,391L348,392Z",
+    FR: "M350,228L348,231L348,233L347,234L345,234L345,233L344,233L344,234L343,233L343,232L343,231L344,229L343,228L343,226L344,223L345,224L347,224L349,227ZM494,96L495,96L498,97L497,99L497,101L496,101L495,101L495,102L494,103L494,105L495,104L495,106L495,106L496,107L495,108L496,111L497,111L497,112L495,114L490,113L487,114L487,116L484,116L482,115L481,115L477,114L476,113L477,111L477,106L475,102L473,101L470,100L470,98L473,97L476,98L476,95L478,96L483,94L484,91L486,91L486,92L487,92L488,93L489,94L491,94L493,95L493,96ZM500,115L502,114L502,117L501,119L500,118L500,116Z",
+    GA: "M508,233L510,233L511,234L513,233L513,233L513,235L513,236L515,236L516,237L515,240L516,242L516,244L516,246L515,247L513,247L512,246L511,247L510,247L509,248L510,250L508,252L505,249L504,246L502,243L502,242L503,241L503,239L504,237L505,237L508,237Z",
+    GB: "M467,83L465,83L464,83L464,81L464,80L466,80L468,81ZM473,85L473,85L474,83L472,81L472,81L470,81L469,80L470,79L469,78L468,79L468,77L467,75L468,73L470,70L471,71L474,70L471,73L474,73L476,73L475,75L473,78L476,78L476,78L478,81L479,82L480,85L481,86L484,86L483,88L482,89L483,91L481,92L478,92L475,93L473,92L472,94L470,93L468,94L467,94L471,91L473,90L473,90L469,90L469,89L471,88L470,86L470,84Z",
+    GE: "M571,113L572,113L574,113L577,114L581,115L581,115L582,115L585,116L585,117L587,117L587,118L588,119L588,120L586,120L585,119L584,119L581,120L578,118L576,118L576,117L575,115L574,114L572,114Z",
+    GH: "M480,208L480,209L481,210L481,212L481,215L482,216L481,218L481,220L482,222L483,223L479,224L477,225L475,226L473,225L473,224L472,222L472,218L474,216L473,212L473,210L473,208L477,208L478,208L479,208Z",
+    GL: "M403,13L409,12L415,12L417,11L423,11L436,11L446,13L443,14L436,14L427,14L428,14L434,14L439,15L442,14L443,15L441,16L446,15L454,14L459,15L460,16L452,17L451,17L446,18L450,18L448,19L446,21L445,23L447,25L445,25L442,25L445,27L445,29L443,29L445,31L441,31L443,32L442,33L439,33L437,33L439,35L439,36L435,35L434,35L436,36L439,38L439,39L436,40L434,39L432,38L432,39L430,41L435,41L438,41L432,43L427,45L421,46L419,46L416,47L413,49L408,51L407,51L404,52L401,52L399,54L399,56L397,58L393,60L394,62L392,64L390,66L388,67L385,64L381,64L379,63L379,60L376,57L376,55L376,53L375,51L376,49L375,48L378,45L381,44L382,43L383,41L381,42L380,42L378,43L376,42L376,40L378,39L379,39L383,40L380,38L379,37L377,38L376,37L379,35L378,34L377,32L376,30L374,29L375,28L371,27L367,26L362,27L358,27L356,26L354,25L359,24L362,24L355,23L352,22L353,21L360,20L367,19L368,19L364,18L366,17L373,16L376,16L376,15L380,14L385,14L390,14L392,14L397,13L400,14L403,14L406,15L402,14Z",
+    GM: "M438,200L441,200L442,200L442,199L443,200L444,200L445,200L445,201L444,201L443,201L442,201L441,201L441,201L440,202L438,202Z",
+    GN: "M446,203L447,203L449,204L449,204L449,204L451,204L451,204L451,205L452,205L452,204L453,204L453,205L455,205L455,205L456,204L457,204L457,204L458,205L458,206L459,207L458,208L458,208L459,208L459,209L459,209L460,210L459,210L459,211L460,213L460,215L459,215L459,216L459,216L459,218L459,218L458,218L458,219L457,219L456,218L457,217L455,215L455,215L454,215L454,216L454,215L453,214L453,213L453,212L452,211L450,211L449,211L449,211L448,212L448,213L447,214L446,212L445,211L444,211L443,210L443,209L443,208L442,208L443,206L444,206L445,206L445,206L446,206L445,205L446,204Z",
+    GQ: "M504,233L508,233L508,237L505,237L504,237L503,237Z",
+    GR: "M542,137L542,138L539,138L539,137L536,137L536,135L537,136L539,136L541,136L541,137ZM533,119L535,119L537,118L538,119L540,119L540,118L541,118L541,120L540,121L539,120L538,120L535,121L537,123L536,123L534,123L533,122L533,122L533,124L535,125L534,126L535,127L536,128L536,130L534,129L535,130L534,131L535,133L533,133L531,132L530,130L529,128L528,126L527,125L527,124L528,123L528,122L529,121L529,120L530,120L531,120L532,120L533,119Z",
+    GT: "M250,198L250,197L250,196L250,195L251,193L255,193L255,192L254,192L254,191L253,191L253,190L254,190L254,188L256,188L259,188L258,190L258,194L258,194L259,194L259,194L260,194L259,195L258,196L257,197L257,197L257,198L256,198L256,198L256,199L255,199L255,200L254,199L252,199L251,199Z",
+    GW: "M438,204L440,203L440,203L441,203L446,203L446,204L445,205L446,206L445,206L445,206L444,206L443,206L442,208L441,207L440,206L439,206L439,205L438,204Z",
+    GY: "M337,234L337,235L335,234L335,235L333,236L333,236L332,236L331,236L330,235L329,233L329,232L329,229L330,228L329,227L329,227L329,225L328,225L327,225L325,223L326,222L326,220L328,220L328,219L327,218L328,217L330,216L331,217L333,219L333,220L334,220L335,222L336,223L336,225L334,226L334,227L334,228L335,230L336,230L336,232Z",
+    HN: "M273,196L272,196L271,197L270,197L270,197L269,197L269,197L268,197L268,197L268,198L267,197L267,198L266,199L266,199L266,200L265,199L264,200L264,200L263,200L263,201L263,201L262,202L262,202L261,201L260,201L261,200L260,199L260,199L259,200L259,199L258,199L258,198L257,198L257,197L257,197L258,196L259,195L260,194L260,194L261,194L262,194L262,194L262,194L263,194L265,194L265,194L266,193L267,193L267,194L268,194L268,193L269,194L270,194L270,194L271,195L272,195Z",
+    HR: "M517,104L518,104L520,106L522,106L523,106L523,107L524,108L523,109L522,108L521,108L519,108L518,108L517,108L516,108L516,109L517,110L518,111L519,112L520,113L521,114L523,115L522,116L520,115L519,114L517,113L515,111L515,110L514,109L514,108L512,108L512,109L511,108L511,107L511,107L513,107L513,107L514,107L515,107L515,106L515,106L516,105Z",
+    HT: "M302,182L303,184L302,185L302,186L302,186L302,187L300,187L299,187L298,187L296,187L295,186L296,185L298,186L300,186L301,185L300,184L300,183L298,183L299,182L300,182Z",
+    HU: "M529,99L531,99L531,100L529,101L529,103L527,105L526,105L524,105L523,106L522,106L520,106L518,104L517,104L517,103L516,103L517,101L517,101L518,101L518,99L519,100L520,101L522,100L522,100L523,100L524,99L524,99L525,99L526,98L526,98L529,99Z",
+    ID: "M835,248L835,257L834,267L832,264L830,264L829,264L826,265L827,262L829,261L828,258L827,256L823,253L820,253L817,250L816,252L815,252L815,251L815,250L813,248L815,247L817,247L817,246L813,246L812,245L810,244L809,243L812,242L814,241L818,242L818,243L819,248L821,250L824,247L826,245L829,245L831,246L833,247ZM794,266L794,267L794,267L792,270L790,270L790,270L790,269L791,267ZM818,260L818,258L818,257L819,256L819,257L819,258ZM777,228L776,231L778,233L777,235L780,237L777,238L776,240L776,242L774,244L774,247L773,252L772,251L769,252L768,250L767,250L765,249L762,250L762,249L760,249L758,249L757,245L756,244L755,241L755,239L755,236L756,234L757,236L759,238L760,237L762,237L763,236L765,236L767,236L769,236L770,232L771,231L772,227L775,227ZM806,248L809,249L810,251L808,250L805,250L804,250L802,250L803,248ZM800,251L798,251L798,249L800,249L801,250ZM802,234L803,235L804,236L804,237L804,239L803,239L803,241L804,242L803,243L802,241L801,237L802,235ZM790,237L793,237L795,235L796,236L794,239L792,239L789,239L785,239L783,239L783,242L785,244L786,243L791,242L791,243L790,243L789,244L786,246L789,249L788,250L790,254L790,256L789,256L788,255L789,253L787,254L786,253L786,252L785,251L785,248L783,249L783,252L783,256L782,257L781,256L781,253L781,250L780,250L779,248L780,246L781,244L782,240L783,238L785,236L787,237ZM782,270L779,268L781,267L782,268L783,269L783,270ZM785,265L787,265L789,264L788,265L785,266L781,266L781,265L783,264ZM777,264L779,264L779,265L776,266L775,266L773,266L774,265L776,265L776,264ZM753,259L753,260L758,260L759,259L763,260L764,262L768,263L771,264L768,266L765,264L763,264L760,264L758,264L755,263L753,262L752,263L748,261L747,260L745,260L747,257L750,257L752,259ZM743,243L744,245L744,247L746,247L747,249L747,253L746,257L744,257L742,255L738,252L737,251L736,248L734,246L732,242L730,239L730,237L729,235L726,233L725,230L723,229L720,225L720,224L722,224L725,225L728,228L730,230L731,231L734,234L736,234L738,236L740,238L742,240L741,242L742,243Z",
+    IE: "M467,83L467,85L465,88L461,89L458,89L460,86L459,83L462,81L464,80L464,81L464,83L465,83Z",
+    IL: "M565,144L565,145L564,145L564,147L565,147L564,147L564,148L565,148L565,149L564,154L564,153L562,149L563,148L563,147L563,146L564,144L564,143L564,143L565,143L565,143L566,143L566,144L565,144Z",
+    IN: "M716,157L717,158L716,159L716,161L715,160L712,162L712,164L711,166L712,168L711,170L709,170L709,173L709,174L709,175L708,176L706,171L706,171L705,173L704,171L704,170L705,169L706,167L705,166L702,167L700,166L699,164L698,164L696,163L695,165L697,166L696,167L696,168L697,169L697,171L699,173L699,176L699,177L698,177L695,177L695,179L694,181L691,183L688,187L687,188L684,190L685,192L683,192L681,193L680,194L680,196L680,200L681,202L680,205L680,210L679,210L678,212L679,213L677,214L676,216L675,217L672,214L671,210L670,207L669,206L667,203L666,199L666,197L663,193L662,188L660,184L660,180L659,178L656,179L654,179L650,175L651,174L651,173L647,171L649,169L654,169L653,166L652,165L651,163L649,161L651,158L654,158L656,155L657,152L659,149L659,147L660,146L658,144L657,142L655,140L656,138L660,139L663,139L664,136L668,140L668,142L669,143L670,145L668,145L669,148L672,150L676,152L674,153L674,156L677,157L679,158L683,160L686,160L688,162L690,162L693,163L695,163L695,162L694,160L694,158L695,158L696,160L696,161L699,162L700,161L702,162L704,161L704,160L703,159L705,158L706,156L709,154L711,155L712,154L714,156L713,157Z",
+    IQ: "M574,146L573,142L578,139L578,136L577,134L579,133L580,131L581,131L583,131L584,132L585,131L587,135L589,136L589,137L588,138L588,141L590,143L593,145L595,147L595,149L596,149L596,151L597,152L596,152L594,152L593,155L588,155L581,149L577,147Z",
+    IR: "M597,152L596,151L596,149L595,149L595,147L593,145L590,143L588,141L588,138L589,137L589,136L587,135L585,131L584,129L584,128L583,125L584,124L585,125L586,126L588,127L589,126L591,124L592,124L593,125L592,126L594,128L595,128L596,130L598,131L600,132L603,133L607,132L607,131L609,131L610,129L612,129L613,128L614,129L617,130L619,130L622,133L624,133L625,136L625,139L624,141L625,142L625,143L626,146L626,148L628,148L629,150L627,153L628,154L630,156L632,157L633,160L634,160L634,162L631,163L630,167L626,166L623,165L620,165L619,161L617,161L616,161L613,163L610,162L608,159L605,158L603,156L601,152L600,152L598,151Z",
+    IS: "M452,50L451,52L453,53L450,55L444,57L443,57L440,57L434,56L437,55L432,54L436,53L436,53L432,52L434,50L437,50L439,52L443,50L445,51L448,50Z",
+    IT: "M503,103L505,103L505,103L507,102L508,103L511,104L511,105L512,107L510,106L508,107L508,109L508,110L509,111L511,112L512,115L515,117L517,117L517,118L517,118L519,119L521,120L523,122L523,122L523,123L521,122L519,122L518,123L520,125L520,126L519,126L518,129L517,129L517,128L517,127L518,126L517,124L516,123L515,122L514,121L513,121L512,119L510,119L508,118L506,116L504,114L503,112L502,111L500,110L499,111L498,112L497,112L497,111L496,111L495,108L496,107L495,106L495,106L496,106L498,106L499,105L499,106L500,105L501,104L502,105L503,104ZM515,128L516,128L516,130L516,131L516,133L514,132L513,131L509,130L509,128L512,129ZM500,120L501,119L503,121L503,125L502,125L501,126L500,125L499,122L499,120Z",
+    JM: "M288,186L289,186L290,187L291,188L289,188L288,188L287,188L286,187L286,186L287,186Z",
+    JO: "M565,145L565,144L568,145L573,142L574,146L574,146L569,148L572,151L571,151L571,152L569,153L568,154L567,155L565,154L564,154L565,149L565,148L565,147Z",
+    JP: "M811,125L810,128L812,131L812,134L813,135L813,137L810,139L806,139L804,142L802,141L801,139L797,139L795,141L792,141L795,143L796,148L794,149L793,148L793,145L791,145L789,143L791,142L791,140L793,138L794,136L799,135L801,136L802,131L804,132L806,129L807,128L807,125L805,121L805,119L807,119L810,123ZM810,111L811,110L813,113L810,114L810,117L805,115L806,118L803,118L801,115L801,113L804,113L802,109L802,107L806,110L808,111ZM796,142L797,140L798,141L799,139L801,140L801,141L801,143L799,142L798,143L798,144L796,143Z",
+    KE: "M579,254L575,251L575,249L566,243L565,243L565,240L566,238L567,237L568,234L567,231L567,230L566,228L567,226L569,224L570,224L570,226L571,227L573,227L576,230L577,230L577,229L578,230L580,230L580,229L583,228L584,229L585,229L583,232L583,243L585,245L583,246L582,247L581,248L581,250L580,251L580,253Z",
+    KG: "M643,116L644,115L645,115L649,116L649,114L650,113L654,115L654,114L658,114L662,115L663,116L665,116L665,117L661,118L661,119L658,120L658,122L655,121L654,122L652,123L652,124L652,125L647,125L644,124L642,124L642,123L644,123L645,122L647,122L649,120L646,119L645,120L643,118L644,117Z",
+    KH: "M737,204L736,201L737,198L740,198L743,198L745,199L746,197L748,199L749,200L749,204L745,206L746,208L744,208L742,209L740,209L738,207Z",
+    KP: "M781,116L781,116L781,116ZM781,116L781,116L780,116L780,117L779,118L780,120L780,121L779,121L779,122L778,123L777,124L777,125L777,125L778,126L780,127L780,128L779,128L778,128L777,129L776,129L776,129L775,129L775,129L774,130L774,129L773,129L772,128L773,127L773,127L772,126L772,125L772,124L771,124L769,123L770,121L772,120L773,118L774,119L776,119L775,117L778,116L778,114Z",
+    KR: "M776,129L776,129L777,129L778,128L779,128L780,128L780,127L784,130L785,132L787,136L786,137L784,138L783,139L781,139L780,138L780,136L777,132L779,132Z",
+    KW: "M596,152L596,154L596,154L597,156L596,157L595,155L593,155L594,152Z",
+    KZ: "M674,96L673,98L671,99L672,101L671,103L667,102L667,107L666,108L662,109L665,114L664,114L665,116L663,116L662,115L658,114L654,114L654,115L650,113L649,114L649,116L645,115L644,115L643,116L642,117L640,119L639,121L638,121L637,120L634,120L633,117L632,117L632,114L628,112L624,112L622,113L619,110L617,109L613,107L612,107L607,108L609,119L608,119L606,117L604,116L602,117L601,118L601,117L601,116L601,115L598,114L596,111L595,110L594,110L597,110L596,108L598,107L600,108L600,105L599,103L597,103L595,103L593,104L591,104L589,104L589,102L588,101L586,101L584,99L584,97L584,96L585,93L587,95L587,92L591,89L594,89L600,91L603,92L605,91L608,91L611,93L612,92L615,92L615,91L611,89L613,87L612,87L614,86L612,84L612,83L620,82L621,81L626,80L627,79L631,80L633,83L635,82L638,83L639,84L641,84L645,82L645,82L648,85L656,92L657,90L660,92L663,91L664,92L666,93L668,94L669,95L672,95Z",
+    LA: "M748,199L746,197L745,199L743,198L743,197L743,195L741,192L740,189L738,187L736,187L736,188L734,188L734,187L731,189L731,186L731,183L729,183L729,181L728,180L728,179L730,177L730,178L731,178L730,175L732,174L733,177L735,179L738,179L739,182L738,183L737,184L741,185L743,189L745,192L747,194L748,196Z",
+    LB: "M566,143L565,143L565,143L564,143L565,141L566,139L566,139L567,139L567,140L566,141Z",
+    LK: "M686,218L685,221L684,222L682,223L681,220L680,216L681,211L683,213L684,215Z",
+    LR: "M459,218L459,218L459,220L458,221L459,222L460,222L461,223L461,224L461,225L461,227L460,227L457,226L455,224L453,222L451,220L452,219L452,218L453,217L454,215L455,215L455,215L457,217L456,218L457,219L458,219L458,218Z",
+    LS: "M550,325L551,326L550,327L550,328L548,328L548,329L547,330L545,327L547,326L548,324L549,324Z",
+    LT: "M536,79L537,80L535,81L535,82L533,83L531,83L530,82L529,82L529,81L529,81L528,80L525,80L525,77L527,77L531,77L533,76L533,77L534,77Z",
+    LU: "M493,94L494,94L494,96L493,96L493,95L493,94Z",
+    LV: "M537,73L539,74L539,75L540,77L538,78L536,79L534,77L533,77L533,76L531,77L527,77L525,77L525,75L525,74L527,73L529,75L531,75L531,73L533,72L534,72L536,73Z",
+    LY: "M542,176L542,182L539,182L539,183L529,177L519,172L517,173L515,174L513,173L509,171L508,170L506,168L505,169L504,167L504,166L503,164L504,162L503,161L504,159L503,158L504,155L504,154L503,151L504,151L504,149L504,148L506,147L506,146L507,145L507,143L510,144L511,144L513,144L517,146L518,148L520,149L523,150L526,151L527,151L528,149L528,147L528,146L530,144L532,144L535,144L536,146L537,146L537,146L540,147L540,148L540,149L540,150L540,152L540,154L541,165Z",
+    MA: "M475,137L476,139L476,141L477,144L477,144L477,146L474,146L473,147L471,147L471,150L468,151L467,152L465,153L463,153L459,156L459,159L459,159L459,161L457,161L456,161L455,161L454,161L452,161L451,164L451,164L449,168L446,171L445,175L444,176L444,177L438,177L438,177L438,176L439,175L440,174L440,173L441,171L442,169L443,168L444,167L444,165L445,163L446,162L448,159L448,159L449,158L452,158L454,156L455,155L457,152L456,149L457,146L458,145L459,143L462,141L464,140L465,137L466,135L468,135L469,137L471,136L474,137Z",
+    MD: "M539,99L540,99L541,98L543,99L544,99L545,100L545,101L546,102L546,103L547,104L547,104L548,104L547,105L546,104L546,104L545,104L545,105L545,106L544,107L544,107L543,106L544,104L543,103L542,102L541,100L540,99Z",
+    ME: "M526,115L526,116L525,115L524,117L525,117L524,117L523,116L522,116L523,115L523,114L524,113L524,113L525,113L525,114L526,114L527,114L527,115Z",
+    MG: "M604,276L605,278L605,280L605,283L606,284L606,286L605,287L604,285L604,286L604,288L604,289L603,290L603,292L602,296L600,300L598,305L597,310L595,313L593,314L591,315L590,314L588,313L587,312L587,309L587,307L587,304L587,302L588,302L588,301L590,299L590,297L590,295L589,294L589,291L590,289L591,287L592,287L593,287L594,286L595,286L597,284L599,283L600,281L600,280L601,280L602,278L602,276L603,275Z",
+    MK: "M532,116L533,117L533,119L533,119L532,120L531,120L530,120L529,120L528,120L527,118L527,118L528,118L528,117L529,116L530,116L530,116Z",
+    ML: "M451,204L451,203L451,202L450,201L450,199L450,197L450,197L451,195L452,195L453,196L455,195L456,195L456,195L466,195L467,193L466,192L465,180L464,167L468,167L476,173L485,180L485,181L487,182L488,182L488,184L491,184L491,191L489,193L489,195L487,195L483,195L483,196L481,196L479,196L479,196L477,196L475,197L475,198L473,200L472,200L471,201L470,201L469,201L469,203L467,206L467,207L466,208L466,210L465,210L465,211L464,209L464,210L463,210L463,210L461,210L460,210L460,210L459,209L459,209L459,208L458,208L458,208L459,207L458,206L458,205L457,204L457,204L456,204L455,205L455,205L453,205L453,204L452,204L452,205L451,205Z",
+    MM: "M728,180L726,181L725,182L723,182L723,186L722,186L723,189L725,191L726,193L726,195L725,196L726,197L728,200L728,201L728,203L729,205L728,208L727,211L727,209L728,207L727,205L726,202L725,200L724,197L723,193L722,191L720,192L718,194L716,194L715,193L715,190L714,187L712,183L712,182L710,182L708,180L708,177L709,178L708,176L709,175L709,174L709,173L709,170L711,170L712,168L711,166L712,164L712,162L715,160L716,161L716,159L717,158L716,157L717,157L719,159L720,160L720,162L721,164L719,167L719,170L722,170L723,172L725,173L724,175L727,176L728,177L729,176L730,177L728,179Z",
+    MN: "M675,96L677,96L680,93L683,92L685,93L687,93L689,94L692,94L695,95L696,93L695,91L696,88L699,90L701,90L704,91L705,93L709,94L711,93L713,93L716,93L719,95L721,96L723,96L726,97L727,96L730,95L732,93L734,94L735,95L738,94L738,97L738,99L739,101L740,100L743,101L744,100L746,101L749,103L749,104L747,103L744,104L743,104L742,106L740,107L738,109L735,108L734,108L734,110L735,111L736,112L734,113L733,115L731,116L728,116L724,117L722,118L721,117L718,117L714,116L712,115L709,116L704,115L701,115L699,113L697,111L696,110L692,108L689,108L686,108L685,106L685,103L682,101L679,100L676,98Z",
+    MR: "M438,179L438,178L448,178L448,173L448,172L451,172L451,164L459,164L459,160L468,167L464,167L465,180L466,192L467,193L466,195L456,195L456,195L455,195L453,196L452,195L451,195L450,197L450,197L448,195L447,193L445,192L444,192L442,192L441,192L440,192L439,193L439,191L440,190L440,187L440,184L439,183L440,181L439,180Z",
+    MW: "M562,267L565,267L565,268L566,270L567,274L566,276L566,280L567,280L568,281L569,283L569,286L568,287L567,289L566,287L566,285L566,284L566,283L565,282L564,282L563,281L562,280L563,277L563,276L563,274L564,272L564,271L563,268Z",
+    MX: "M200,145L202,145L206,144L205,145L208,146L213,148L218,148L220,148L220,147L224,147L225,148L226,149L227,150L227,152L228,153L229,154L230,155L232,153L234,153L236,154L237,156L237,158L238,159L238,161L239,163L240,164L242,164L243,164L241,167L240,169L240,173L239,174L239,176L240,177L240,180L241,182L241,184L242,185L245,186L246,187L248,186L250,186L252,185L253,185L255,184L256,182L257,179L257,179L259,178L262,177L264,177L265,177L266,178L265,179L264,181L263,183L263,183L263,184L262,187L261,186L261,186L260,186L259,188L259,187L259,188L259,188L256,188L254,188L254,190L253,190L253,191L254,191L254,192L255,192L255,193L251,193L250,195L250,196L250,197L250,198L247,194L246,193L244,193L243,193L241,194L239,194L238,194L236,193L234,192L232,191L229,190L227,188L227,188L226,187L223,187L222,185L220,184L219,182L219,180L219,180L219,179L220,178L220,177L220,176L220,175L219,173L218,171L216,168L215,166L213,165L213,164L214,163L212,162L211,161L211,158L210,158L209,157L208,155L208,154L208,152L208,150L208,149L207,148L206,148L205,147L204,148L204,150L203,152L204,153L205,155L205,156L206,156L206,157L206,157L206,159L207,159L207,161L208,162L208,165L209,166L209,167L209,169L210,169L211,170L211,172L211,172L210,173L209,173L209,172L208,170L206,168L205,168L206,166L206,164L205,163L204,162L203,162L203,161L201,161L200,159L201,159L202,159L203,158L203,156L202,154L201,154L200,152L200,150L200,147Z",
+    MY: "M732,221L732,221L734,222L735,223L736,223L737,222L738,222L739,224L740,226L741,228L740,229L741,230L741,232L742,233L743,235L743,236L741,236L739,234L736,232L735,230L734,229L733,226L732,225L732,222ZM777,228L775,227L772,227L771,231L770,232L769,236L767,236L765,236L763,236L762,237L760,237L759,238L757,236L756,234L758,235L760,235L761,232L762,232L765,231L767,229L768,227L769,228L769,227L771,227L771,226L771,224L773,222L774,220L775,220L776,221L776,223L778,223L780,224L780,225L778,226L779,227Z",
+    MZ: "M567,274L568,273L571,274L572,274L574,274L575,273L576,273L579,272L581,270L582,271L581,274L582,277L581,281L582,283L581,285L580,287L578,289L576,290L573,291L570,295L569,295L567,297L566,298L566,300L567,302L567,304L567,305L568,305L567,307L567,309L567,309L567,311L566,312L564,313L561,314L560,315L560,316L560,317L560,318L558,318L558,317L558,316L558,315L558,311L558,309L557,305L560,302L560,300L561,299L561,298L561,297L561,295L562,293L562,289L560,288L559,288L559,287L558,286L556,286L555,285L555,283L563,281L564,282L565,282L566,283L566,284L566,285L566,287L567,289L568,287L569,286L569,283L568,281L567,280L566,280L566,276Z",
+    NA: "M529,312L528,323L526,325L525,325L523,324L522,324L522,323L521,322L520,324L518,321L517,319L517,316L516,314L515,310L515,306L515,305L514,303L513,301L512,297L511,296L509,293L509,291L510,290L512,289L513,290L515,291L515,291L525,291L527,292L533,292L538,291L540,291L541,291L542,291L542,292L541,292L540,292L539,293L538,292L534,293L532,293L531,304L529,304Z",
+    NC: "M889,302L891,303L892,305L891,305L889,305L888,303L887,302L886,300L886,299L887,299L888,300L889,301Z",
+    NE: "M517,173L517,178L518,178L518,179L519,180L519,182L518,188L518,191L515,194L514,198L515,199L515,201L516,201L516,202L516,203L516,204L515,204L513,200L513,200L511,202L509,201L507,201L507,201L505,201L504,202L503,203L500,201L498,202L497,202L496,201L494,200L491,200L490,201L490,202L489,203L489,206L487,204L486,204L485,205L485,203L483,202L482,201L481,199L481,198L481,196L483,196L483,195L487,195L489,195L489,193L491,191L491,184L494,183L501,177L509,171L513,173L515,174Z",
+    NG: "M487,222L487,217L487,215L487,213L488,212L489,211L489,210L490,209L489,207L489,206L489,203L490,202L490,201L491,200L494,200L496,201L497,202L498,202L500,201L503,203L504,202L505,201L507,201L507,201L509,201L511,202L513,200L513,200L515,204L516,204L517,205L516,205L516,206L514,208L513,210L513,212L513,213L512,215L511,216L510,217L510,218L510,220L508,221L506,219L505,219L504,221L503,221L502,224L501,226L499,227L498,227L497,228L495,228L494,226L493,224L491,222L489,222Z",
+    NI: "M270,208L270,209L269,208L269,208L268,208L267,208L266,207L265,208L264,207L263,206L263,205L262,204L261,202L261,202L261,202L262,202L262,202L263,201L263,201L263,200L264,200L264,200L265,199L266,200L266,199L266,199L267,198L267,197L268,198L268,197L268,197L269,197L269,197L270,197L270,197L271,197L272,196L273,196L272,196L272,197L272,198L272,199L271,200L271,202L271,202L271,204L271,204L270,205L270,206L270,207L270,208Z",
+    NL: "M495,84L495,85L495,88L494,89L493,89L494,92L492,91L491,90L489,91L487,90L488,90L490,85L493,84Z",
+    NO: "M506,19L506,18L509,18L511,19L517,20L513,21L512,23L511,23L510,25L508,25L504,24L506,23L503,22L499,21L498,19L502,18L503,19ZM539,42L536,43L535,43L535,42L533,41L530,42L529,43L528,44L525,44L523,44L521,43L520,43L518,43L518,45L515,45L514,46L512,46L511,48L510,51L507,54L508,55L507,56L505,56L504,58L504,62L506,63L505,66L504,68L503,70L501,68L498,71L495,72L492,70L491,68L490,61L492,60L497,58L501,55L504,51L509,47L512,45L516,42L520,40L524,41L526,39L530,39L533,38L539,40L537,41ZM527,18L524,19L520,19L514,19L514,18L512,18L509,18L515,17L517,17L519,17L523,17ZM523,23L520,24L516,23L517,23L516,22L520,21L521,22Z",
+    NP: "M694,158L694,160L695,162L695,163L693,163L690,162L688,162L686,160L683,160L679,158L677,157L674,156L674,153L676,152L677,151L679,152L681,154L683,154L684,156L686,156L688,157L691,158Z",
+    NZ: "M891,357L889,359L887,361L884,362L885,361L884,361L887,358L887,357L885,356L886,355L888,354L890,351L891,349L891,347L891,347L891,346L890,343L890,341L891,341L892,342L893,343L893,346L893,349L894,347L894,348L893,350L895,351L896,351L898,350L899,350L897,353L895,355L894,355L893,355L892,357ZM868,367L871,366L873,364L876,362L877,362L879,360L881,359L881,360L881,361L883,360L883,361L882,362L880,364L877,366L875,367L875,368L874,368L871,369L869,371L866,374L863,375L861,376L859,376L858,375L856,375L857,374L859,372L864,369L866,369Z",
+    OM: "M616,174L616,172L616,171L616,170L617,169L617,169L617,167L618,167L619,169L621,170L623,171L624,171L626,173L626,174L627,174L627,175L627,177L626,177L625,178L625,180L623,180L623,181L623,182L623,184L623,185L622,185L620,186L620,187L620,188L618,188L617,189L617,190L616,190L615,190L613,191L612,191L611,189L609,184L616,182L617,176ZM617,165L617,164L617,163L618,163L618,164Z",
+    PA: "M286,215L285,215L286,217L285,218L284,218L284,219L283,218L283,217L284,216L283,216L282,215L281,214L280,214L280,215L279,216L278,216L278,216L279,218L278,218L278,219L277,219L276,217L276,218L275,218L275,216L274,216L273,216L272,216L272,216L271,216L272,215L272,215L272,214L272,214L272,214L272,212L273,212L274,213L273,214L274,214L275,214L275,214L277,214L278,213L279,213L280,212L282,212L281,212L283,213L284,213L285,214Z",
+    PE: "M304,253L302,252L301,253L299,253L296,255L296,257L296,258L296,259L295,260L295,261L294,262L295,265L297,266L296,268L298,268L299,269L301,269L303,268L303,272L304,272L306,272L308,277L308,278L308,280L308,282L307,284L308,285L307,286L308,288L307,291L307,293L305,294L303,292L302,291L297,288L292,285L290,283L289,280L289,280L287,276L284,270L281,264L280,263L279,261L277,259L275,258L276,257L275,254L276,252L278,250L278,251L277,252L277,253L278,253L279,253L281,254L282,253L282,251L284,249L287,248L290,245L290,243L290,240L291,240L292,242L293,243L294,244L296,247L298,247L299,246L300,247L301,247L303,248L302,251L303,251Z",
+    PG: "M835,248L840,250L844,251L846,253L847,254L848,256L852,258L852,259L850,260L850,262L852,263L854,267L855,266L855,268L857,268L856,269L858,270L858,271L856,271L856,270L854,270L851,270L849,268L848,266L847,264L844,262L842,263L840,264L840,266L838,267L837,267L834,267L835,257ZM865,251L866,252L866,253L865,254L865,252L864,251L863,250L862,249L860,248L860,247L862,248L863,249L864,249ZM861,257L859,258L858,258L857,258L855,258L853,257L854,256L856,256L857,256L858,255L858,255L858,256L860,256L860,255L862,254L862,252L863,252L864,253L864,254L863,256L861,256ZM870,256L870,256L872,258L873,259L872,260L871,260L870,259L870,257L869,255L869,255Z",
+    PH: "M782,203L781,201L783,201L784,202L784,204ZM788,211L788,210L788,208L790,208L789,210L791,207L791,210L790,211L790,213L789,214L787,212ZM798,215L798,217L798,219L798,222L796,219L795,220L796,222L796,224L793,222L792,220L792,219L791,217L790,218L789,218L787,220L787,219L787,217L789,216L790,215L791,216L793,215L793,214L795,214L795,212L797,213L797,214ZM778,213L774,216L776,214L777,212L779,210L780,207L780,209L779,211ZM784,187L783,188L785,190L784,193L783,193L783,196L784,198L785,198L786,198L790,200L790,201L791,202L791,203L788,202L787,200L787,202L785,200L783,200L781,200L781,198L782,198L781,197L781,198L780,196L779,195L779,192L780,193L779,189L780,186L781,186L783,187L783,186ZM786,207L785,205L787,206L788,206L789,207L788,209L786,210L786,208ZM794,204L795,208L793,207L793,208L794,210L793,210L793,208L792,208L791,206L793,207L793,206L791,203L793,203Z",
+    PK: "M664,136L663,139L660,139L656,138L655,140L657,142L658,144L660,146L659,147L659,149L657,152L656,155L654,158L651,158L649,161L651,163L652,165L653,166L654,169L649,169L647,171L645,170L644,168L642,166L638,166L634,166L630,167L631,163L634,162L634,160L633,160L632,157L630,156L628,154L627,153L631,154L634,154L635,154L636,153L637,154L640,153L640,150L641,148L643,148L643,148L645,147L646,147L646,147L646,145L647,143L648,142L647,140L649,140L649,139L649,138L650,137L649,136L648,134L650,133L652,132L655,132L656,132L657,131L659,133L660,135Z",
+    PL: "M531,83L531,84L532,86L532,87L530,87L531,88L531,90L533,92L533,93L532,93L530,96L531,97L530,97L528,96L526,96L525,96L524,96L523,95L522,96L522,96L521,94L519,94L519,93L517,93L517,94L516,93L516,92L514,92L513,91L512,89L512,88L511,87L511,86L511,85L510,84L512,83L515,82L518,81L520,81L520,82L522,82L525,82L529,82L530,82Z",
+    PR: "M316,186L317,186L317,187L316,187L315,187L313,188L313,186L314,186Z",
+    PS: "M565,148L564,148L564,147L565,147L564,147L564,145L565,145L565,147Z",
+    PT: "M459,117L460,117L461,116L462,118L463,118L463,117L465,117L465,119L464,120L464,122L464,122L464,124L463,124L463,126L463,128L464,129L463,129L462,130L462,131L461,132L460,132L459,132L459,130L459,128L458,128L458,127L458,125L459,124L459,122L460,121L460,119L459,118Z",
+    PY: "M336,299L337,301L337,305L340,305L341,305L343,305L343,306L344,309L344,310L345,310L346,310L347,310L347,312L347,314L347,315L346,318L345,320L343,321L340,320L337,319L339,315L339,314L336,312L333,310L331,310L326,305L326,302L326,300L327,297L331,297L334,297L336,298Z",
+    QA: "M604,168L604,165L605,164L605,164L606,165L606,166L606,168L605,168Z",
+    RO: "M544,107L545,108L546,107L547,108L547,108L546,109L546,109L545,112L544,112L542,111L540,111L538,112L535,112L533,112L532,112L532,111L531,110L532,110L531,109L530,110L529,109L529,108L527,107L527,106L526,105L527,105L529,103L529,101L531,100L532,100L533,100L535,100L536,101L536,100L538,100L538,99L539,99L540,99L541,100L542,102L543,103L544,104L543,106Z",
+    RS: "M523,106L524,105L526,105L527,106L527,107L529,108L529,109L530,110L531,109L532,110L531,110L532,111L531,111L531,112L533,114L532,114L532,115L532,116L532,116L530,116L530,116L530,116L530,116L530,115L530,115L529,115L529,114L528,114L528,114L528,113L527,114L527,115L527,115L527,114L526,114L525,114L525,113L524,113L525,113L525,111L524,110L524,109L523,109L524,108L523,107Z",
+    RU: "M638,16L641,16L645,17L651,19L653,21L649,21L644,20L640,19L638,18L635,17ZM657,20L663,21L663,22L654,23L654,20L656,20ZM728,27L733,27L741,28L741,30L735,29L732,30L727,29L726,27ZM747,28L752,29L751,30L748,30L744,29L743,28ZM737,33L738,32L740,32L743,33L744,33L742,33L737,33ZM556,17L559,17L562,17L562,17L563,17L564,16L567,17L567,17L564,17L563,17L563,18L561,18L559,18L560,17ZM529,82L525,82L522,82L523,81L525,80L528,80L529,81L529,81ZM578,32L581,30L580,29L584,28L589,26L595,26L597,25L601,25L602,26L602,26L596,27L591,29L586,31L585,33L583,35L584,37L588,39L587,40L581,39L580,38L577,37L576,36L578,36L577,34L580,32ZM789,84L791,86L793,89L796,92L801,97L798,96L799,100L803,103L804,105L801,103L801,106L799,103L798,100L796,97L795,95L792,91L789,89L787,85L788,84L786,82L787,82ZM135,44L135,44L137,46L139,48L137,50L138,50L140,48L145,49L146,51L143,52L139,53L136,55L135,56L133,55L132,55L131,54L131,53L130,52L127,53L127,52L129,51L126,51L125,53L123,54L123,54L135,44ZM837,54L837,54L836,55L833,55L836,56L840,58L842,59L843,60L843,61L839,60L836,62L834,62L833,64L832,66L832,67L827,65L824,67L822,66L821,67L818,67L819,69L819,71L820,72L823,73L826,77L824,77L825,79L827,81L825,82L827,85L824,86L825,89L824,91L822,89L818,85L812,79L810,75L810,74L809,72L812,72L812,69L813,66L815,64L813,60L811,60L812,62L809,65L804,62L800,63L799,67L802,69L798,70L795,70L794,68L790,68L789,69L782,68L776,69L773,75L770,81L773,81L776,83L778,84L779,82L781,82L786,86L788,88L788,91L790,94L792,99L791,103L792,105L791,108L789,111L789,113L787,115L785,115L783,113L781,115L781,116L781,116L781,116L780,114L781,114L780,111L778,109L779,107L782,108L782,105L781,102L781,101L781,98L778,99L776,100L773,100L771,98L767,96L762,95L760,92L758,90L757,89L753,86L751,85L747,84L744,85L742,85L741,86L743,87L744,89L743,90L743,93L743,94L741,96L738,94L735,95L734,94L732,93L730,95L727,96L726,97L723,96L721,96L719,95L716,93L713,93L711,93L709,94L705,93L704,91L701,90L699,90L696,88L695,91L696,93L695,95L692,94L689,94L687,93L685,93L683,92L680,93L677,96L675,96L674,96L672,95L669,95L668,94L666,93L664,92L663,91L660,92L657,90L656,92L648,85L645,82L645,82L641,84L639,84L638,83L635,82L633,83L631,80L627,79L626,80L621,81L620,82L612,83L612,84L614,86L612,87L613,87L611,89L615,91L615,92L612,92L611,93L608,91L605,91L603,92L600,91L594,89L591,89L587,92L587,95L585,93L584,96L584,97L584,99L586,101L588,101L589,102L589,104L591,104L590,106L588,107L586,110L589,112L589,114L592,118L591,119L591,120L590,119L588,118L587,117L585,117L585,116L582,115L581,115L581,115L577,114L574,113L572,113L571,113L568,110L565,109L563,108L565,107L566,105L565,104L568,103L568,102L566,102L566,101L567,100L569,100L569,99L568,98L569,96L569,95L565,94L564,94L562,93L561,94L558,93L558,92L557,91L555,91L555,90L555,89L554,88L551,88L551,88L550,88L549,88L549,86L548,86L548,85L550,85L551,85L550,84L548,84L549,83L548,83L546,81L546,80L546,79L544,78L543,78L542,78L540,77L539,75L539,74L537,73L538,73L537,70L538,69L538,68L540,67L538,65L542,62L543,60L544,59L540,57L541,56L539,54L540,52L537,49L538,47L535,45L535,43L536,43L539,42L541,41L545,43L550,43L558,46L560,47L560,49L559,50L555,51L546,49L545,49L549,51L549,53L550,55L552,56L554,57L554,55L553,54L554,53L559,55L560,54L559,52L562,50L564,50L566,51L567,49L565,48L565,46L564,45L569,45L571,47L568,47L569,49L571,49L573,49L573,47L577,46L583,44L585,44L583,46L586,46L587,45L590,45L593,44L596,45L597,44L594,42L595,41L601,42L604,43L612,46L613,44L610,43L610,43L608,42L608,41L606,39L605,39L608,36L608,34L609,34L614,34L615,36L615,38L616,38L618,40L619,43L622,45L622,47L620,50L622,51L623,50L624,49L624,48L625,47L624,45L624,44L621,43L620,42L620,40L617,38L619,36L618,34L619,34L621,36L621,38L623,38L622,37L624,36L628,35L632,37L629,35L628,32L630,32L635,32L639,32L636,30L637,29L639,29L642,28L647,27L647,27L651,27L653,27L656,26L659,26L659,25L660,24L663,23L667,24L665,24L669,25L671,26L672,25L677,25L682,26L684,27L685,28L684,29L680,30L679,31L682,31L685,32L686,32L689,33L689,32L692,32L698,32L699,34L707,34L706,32L710,33L713,32L717,34L719,35L719,36L723,38L727,39L727,37L731,38L733,37L738,38L738,37L742,37L738,35L739,34L758,36L761,37L768,39L775,39L779,39L782,40L784,42L787,42L789,42L792,42L797,42L800,42L806,44L807,44L804,42L803,41L810,42L814,41L821,43L825,44L837,54ZM819,39L817,39L816,38L817,37L819,39ZM143,37L143,37L143,37L144,37L145,37L147,38L146,38L144,39L141,39L141,39L143,37ZM556,106L556,105L558,106L558,106L559,106L559,106L559,107L560,107L563,107L562,108L560,109L557,110L556,110L556,108L554,107L554,107L556,106Z",
+    RW: "M557,243L558,245L558,247L557,247L555,247L555,249L553,248L553,247L554,246L554,245L555,244L555,244Z",
+    SA: "M565,154L567,155L568,154L569,153L571,152L571,151L572,151L569,148L574,146L574,146L577,147L581,149L588,155L593,155L595,155L596,157L597,156L599,159L600,160L600,161L602,162L602,163L602,164L603,165L604,166L604,167L604,168L605,168L606,168L606,169L607,170L608,173L615,174L616,174L617,176L616,182L609,184L602,186L600,187L598,190L597,190L596,190L595,190L593,189L592,189L590,189L589,189L588,189L587,190L588,191L587,192L586,191L585,190L585,189L584,188L582,185L581,183L580,181L578,181L577,178L576,176L576,174L574,171L573,170L572,169L571,167L571,167L570,165L569,164L568,162L567,160L565,158L564,158L564,156L564,155Z",
+    SB: "M887,271L887,272L885,272L885,270L886,270ZM886,268L885,269L884,266L884,264L884,264L885,267ZM884,269L883,269L881,269L881,268L881,267L883,267L883,268ZM881,263L882,264L882,265L880,264L879,263L878,262L878,261L879,262ZM875,260L876,261L876,262L875,261L874,260L874,259Z",
+    SD: "M542,216L540,215L539,214L539,213L539,212L539,211L538,209L537,207L537,207L536,206L536,204L536,203L535,203L535,202L536,201L535,200L536,199L536,198L536,196L537,194L540,194L539,183L539,182L542,182L542,176L552,176L561,176L571,176L572,179L571,179L572,182L573,186L574,186L575,187L574,189L572,190L572,190L572,192L571,197L571,198L571,200L570,203L568,205L567,207L567,208L566,209L565,212L565,215L565,212L565,212L565,211L565,210L563,209L563,207L563,204L562,204L562,205L560,205L561,206L561,208L560,209L559,211L557,212L555,210L554,211L554,211L553,212L553,213L550,213L550,212L548,212L547,212L546,212L545,210L545,210L543,210L542,211L542,214L541,215L540,215Z",
+    SE: "M503,70L504,68L505,66L506,63L504,62L504,58L505,56L507,56L508,55L507,54L510,51L511,48L512,46L514,46L515,45L518,45L518,43L520,43L522,44L526,46L526,50L527,51L524,52L522,54L523,55L520,57L516,59L515,63L517,65L519,66L517,69L515,70L515,75L514,77L511,77L510,79L508,79L507,77L505,74Z",
+    SI: "M511,104L513,104L514,104L516,104L516,103L517,103L517,104L516,105L515,106L515,106L515,107L514,107L513,107L513,107L511,107L512,107L511,105Z",
+    SK: "M530,97L530,97L529,99L529,99L526,98L526,98L525,99L524,99L524,99L523,100L522,100L522,100L520,101L519,100L518,99L518,98L518,98L518,98L519,98L520,97L520,97L520,97L520,96L521,96L521,96L522,96L522,96L523,95L524,96L525,96L526,96L528,96Z",
+    SL: "M447,214L448,213L448,212L449,211L449,211L450,211L452,211L453,212L453,213L453,214L454,215L454,216L454,215L453,217L452,218L452,219L451,220L451,220L449,219L447,217L447,216Z",
+    SN: "M438,200L437,198L436,197L437,196L438,194L439,193L440,192L441,192L442,192L444,192L445,192L447,193L448,195L450,197L450,199L450,201L451,202L451,203L451,204L451,204L449,204L449,204L449,204L447,203L446,203L441,203L440,203L440,203L438,204L438,202L440,202L441,201L441,201L442,201L443,201L444,201L445,201L445,200L444,200L443,200L442,199L442,200L441,200Z",
+    SO: "M585,245L583,243L583,232L585,229L586,228L588,228L590,226L593,225L600,217L602,214L603,212L603,211L603,208L603,207L603,207L603,207L605,206L606,206L607,205L608,205L608,206L608,207L608,209L608,210L607,213L606,216L604,220L602,224L600,228L597,232L595,234L591,237L589,239L586,243L585,244ZM603,207L603,207L603,208L603,211L603,212L602,214L600,217L598,217L590,213L589,212L588,211L587,209L587,208L588,207L589,207L589,208L591,210L592,210L594,209L597,208L599,208L600,207L601,207Z",
+    SR: "M343,233L341,233L340,233L339,233L339,234L339,234L339,235L337,234L336,232L336,230L335,230L334,228L334,227L334,226L336,225L336,223L339,223L339,223L341,222L344,223L343,226L343,228L344,229L343,231L343,232Z",
+    SS: "M558,230L555,228L555,227L553,227L552,227L552,227L550,227L549,225L549,224L547,223L546,221L545,220L543,218L543,217L542,216L540,215L541,215L542,214L542,211L543,210L545,210L545,210L546,212L547,212L548,212L550,212L550,213L553,213L553,212L554,211L554,211L555,210L557,212L559,211L560,209L561,208L561,206L560,205L562,205L562,204L563,204L563,207L563,209L565,210L565,211L565,212L565,212L565,215L565,216L564,216L563,217L564,217L566,219L566,220L567,221L569,224L567,226L566,228L564,229L562,229L560,230L559,229Z",
+    SV: "M257,198L258,198L258,199L259,199L259,200L260,199L260,199L261,200L260,201L260,202L259,202L258,201L257,201L255,201L255,200L255,199L256,199L256,198L256,198Z",
+    SY: "M565,144L565,144L566,144L566,143L566,141L567,140L567,139L566,139L565,136L566,135L566,134L567,134L567,132L567,133L570,132L571,133L573,132L576,131L577,131L580,131L579,133L577,134L578,136L578,139L573,142L568,145Z",
+    SZ: "M558,318L558,320L556,320L555,318L555,317L556,316L556,315L557,315L558,316L558,317Z",
+    TD: "M539,183L540,194L537,194L536,196L536,198L536,199L535,200L536,201L535,202L535,203L536,203L536,204L536,206L537,207L537,207L536,208L534,209L533,212L530,214L528,214L527,214L528,215L526,216L525,217L522,218L521,217L521,217L521,218L518,218L519,218L518,216L518,214L517,214L515,212L516,211L517,211L517,211L519,211L517,208L517,206L517,204L516,202L516,201L515,201L515,199L514,198L515,194L518,191L518,188L519,182L519,180L518,179L518,178L517,178L517,173L519,172L529,177Z",
+    TF: "M634,382L635,383L637,383L637,384L636,385L632,385L632,384L633,383Z",
+    TG: "M482,208L482,209L483,210L484,211L484,213L484,213L484,220L485,222L483,223L482,222L481,220L481,218L482,216L481,215L481,212L481,210L480,209L480,208Z",
+    TH: "M743,198L740,198L737,198L736,201L737,204L734,203L732,203L732,201L730,201L730,204L729,208L729,211L729,213L731,213L732,216L733,218L734,220L736,220L737,222L736,223L735,223L734,222L732,221L732,221L731,220L730,219L729,217L728,216L727,217L727,216L727,214L727,211L728,208L729,205L728,203L728,201L728,200L726,197L725,196L726,195L726,193L725,191L723,189L722,186L723,186L723,182L725,182L726,181L728,180L729,181L729,183L731,183L731,186L731,189L734,187L734,188L736,188L736,187L738,187L740,189L741,192L743,195L743,197Z",
+    TJ: "M640,131L640,128L639,126L637,125L638,124L640,124L640,123L641,121L644,120L644,121L644,122L645,122L644,123L642,123L642,124L644,124L647,125L652,125L653,127L654,127L655,128L656,129L656,130L654,130L652,130L651,132L650,132L649,132L648,131L648,129L647,129L647,128L646,127L645,128L645,130L645,130L643,130L643,131L642,131L640,132Z",
+    TL: "M794,266L794,265L797,265L798,265L799,264L800,265L799,265L796,267L794,267L794,267Z",
+    TM: "M601,118L602,117L604,116L606,117L608,119L609,119L612,119L611,118L613,117L615,115L618,116L619,119L620,119L622,119L623,120L625,123L628,125L630,126L633,128L636,129L636,131L636,131L634,130L634,131L632,131L632,134L631,135L629,135L629,136L628,137L625,136L624,133L622,133L619,130L617,130L614,129L613,128L612,129L610,129L609,131L607,131L606,129L606,126L604,125L604,123L603,123L603,120L605,121L607,120L605,118L604,117L602,117L602,120Z",
+    TN: "M503,151L502,146L500,145L500,144L498,142L498,140L499,139L500,136L499,133L500,132L502,131L504,131L504,132L506,131L506,132L505,133L505,135L506,135L506,138L504,139L505,141L506,141L507,143L507,143L507,145L506,146L506,147L504,148L504,149L504,151Z",
+    TR: "M585,131L584,132L583,131L581,131L580,131L577,131L576,131L573,132L571,133L570,132L567,133L567,132L567,134L566,134L566,135L565,134L565,133L564,133L562,132L560,134L557,134L555,133L552,133L552,134L550,134L548,133L545,133L544,130L542,128L543,126L541,124L543,122L547,122L548,119L552,120L555,118L557,117L561,117L565,119L569,120L571,120L573,120L576,118L578,118L581,120L581,121L581,122L583,123L584,124L583,125L584,128L584,129ZM540,118L543,117L545,117L545,118L547,119L547,120L544,120L543,121L541,122L540,121L540,121L541,120L541,118Z",
+    TT: "M325,209L327,208L327,208L327,210L325,211L325,211L325,210Z",
+    TW: "M778,169L778,173L778,176L776,173L775,171L776,168L777,166L778,167Z",
+    TZ: "M565,243L566,243L575,249L575,251L579,254L578,257L578,259L579,260L579,261L579,262L579,263L578,265L579,267L580,269L581,270L579,272L576,273L575,273L574,274L572,274L571,274L568,273L567,274L566,270L565,268L565,267L562,267L561,266L559,266L558,265L557,264L556,261L555,259L554,257L554,256L554,253L555,253L556,252L557,250L558,250L557,249L557,248L557,247L558,247L558,245L557,243L558,243L560,243Z",
+    UA: "M549,88L550,88L551,88L551,88L554,88L555,89L555,90L555,91L557,91L558,92L558,93L561,94L562,93L564,94L565,94L569,95L569,96L568,98L569,99L569,100L567,100L566,101L566,102L564,103L563,104L561,104L559,105L559,106L559,106L558,106L558,106L556,105L556,106L555,105L552,105L551,104L549,104L549,105L547,108L546,107L545,108L544,107L544,107L545,106L545,105L545,104L546,104L546,104L547,105L548,104L547,104L547,104L546,103L546,102L545,101L545,100L544,99L543,99L541,98L540,99L539,99L538,99L538,100L536,100L536,101L535,100L533,100L532,100L531,100L531,99L529,99L530,97L530,97L531,97L530,96L532,93L533,93L533,92L531,90L533,90L534,89L535,89L538,89L540,90L542,90L543,90L543,90L544,90L546,90L547,90L547,89L547,88Z",
+    UG: "M565,243L560,243L558,243L557,243L555,244L555,244L555,242L555,241L555,238L556,237L557,235L558,235L559,234L558,233L558,230L559,229L560,230L562,229L564,229L566,228L567,230L567,231L568,234L567,237L566,238L565,240Z",
+    US: "M207,97L213,97L220,97L222,97L229,97L235,97L242,97L249,97L256,97L264,97L269,97L269,96L270,96L269,97L270,98L271,98L274,99L275,99L277,99L280,100L281,100L283,99L285,100L286,101L288,102L289,103L289,104L290,104L289,104L290,104L290,104L290,105L291,105L291,105L291,106L291,106L293,107L292,110L292,113L291,114L289,116L288,117L288,117L288,118L289,118L290,118L293,116L295,116L299,115L299,114L299,113L299,113L300,112L302,112L304,112L305,111L306,111L309,109L310,108L313,108L318,108L318,108L319,108L320,107L321,106L322,104L325,101L325,102L327,102L328,102L327,106L328,108L328,109L325,110L322,111L320,112L318,114L317,115L317,116L317,118L318,118L318,117L319,117L318,118L317,119L316,119L314,119L313,119L311,119L309,120L313,120L313,120L310,121L308,121L309,121L308,122L308,122L307,124L305,126L305,125L305,125L304,124L304,126L304,126L304,128L303,129L301,131L301,131L302,129L301,128L302,125L301,127L301,128L300,128L301,129L300,132L301,132L301,133L301,136L299,138L296,139L294,141L293,141L291,142L291,143L288,145L286,146L285,148L284,150L284,152L284,155L285,157L285,158L285,161L285,163L284,164L283,166L283,167L281,166L281,165L280,164L280,162L279,160L279,158L280,156L279,155L278,152L277,152L274,153L274,153L273,152L272,151L269,151L267,151L265,151L264,152L264,153L264,154L264,154L264,155L263,154L262,155L260,155L259,153L256,154L255,153L253,153L251,154L248,156L246,157L244,159L243,160L243,162L243,163L243,164L242,164L240,164L239,163L238,161L238,159L237,158L237,156L236,154L234,153L232,153L230,155L229,154L228,153L227,152L227,150L226,149L225,148L224,147L220,147L220,148L218,148L213,148L208,146L205,145L206,144L202,145L200,145L200,143L199,142L198,141L198,140L196,140L196,139L194,139L193,139L194,137L192,134L192,130L192,129L192,128L191,126L192,124L191,122L193,120L194,117L194,115L196,112L198,110L199,107L201,103L202,101L202,99L202,99L205,100L205,102L206,102L206,99ZM96,181L96,182L96,182L97,183L97,183L95,184L94,184L94,185L93,184L94,184L94,182L94,182L94,182L94,181L95,181L95,181ZM95,179L94,180L93,180L93,179L93,179L93,179L93,179L94,179ZM93,178L93,178L92,178L92,178ZM90,177L91,177L91,178L91,178L91,178L90,178L90,177L90,177ZM87,175L87,176L87,176L86,176L86,175L87,175ZM137,66L139,66L138,67L136,67L135,67L135,66ZM159,72L160,72L160,73L157,74L154,75L154,75L155,74L157,73ZM212,42L203,51L190,66L192,66L193,67L193,68L194,70L197,68L200,67L200,69L200,70L201,71L201,73L201,76L203,78L202,79L200,81L200,80L199,79L200,76L198,74L199,72L197,72L194,71L192,71L190,68L189,67L186,66L183,67L180,65L178,64L176,65L174,67L173,67L170,67L168,68L165,69L166,67L169,65L172,64L172,63L168,65L165,67L160,68L161,70L157,72L154,73L151,74L149,75L145,76L143,77L140,79L138,78L136,79L133,80L130,81L126,82L126,81L129,80L132,79L136,78L139,77L141,76L145,75L146,74L148,73L151,71L153,70L150,70L150,70L148,71L148,70L146,71L147,69L144,70L142,70L144,69L145,68L144,67L141,67L141,66L140,65L141,64L141,63L143,61L146,60L149,58L150,58L151,59L154,57L155,58L158,57L159,56L158,55L160,54L159,54L157,55L155,55L154,55L151,55L149,54L149,53L148,52L152,51L158,50L160,50L158,51L162,51L162,49L161,48L161,47L160,46L159,45L161,44L165,44L168,43L170,41L174,40L176,40L181,39L182,39L187,38L189,38L189,39L190,39L193,39L193,40L195,40L197,40L200,41L204,41L205,41L208,41L210,41ZM136,57L137,57L138,57L139,58L141,58L140,58L138,59L137,58L137,58L135,58L135,58Z",
+    UY: "M341,328L343,328L345,330L346,330L349,332L351,334L353,336L352,337L353,339L352,341L350,342L348,342L347,342L344,341L343,341L341,339L341,337L341,337L341,334L341,331Z",
+    UZ: "M609,119L607,108L612,107L613,107L617,109L619,110L622,113L624,112L628,112L632,114L632,117L633,117L634,120L637,120L638,121L639,121L640,119L642,117L643,116L644,117L643,118L645,120L646,119L649,120L647,122L645,122L644,122L644,121L644,120L641,121L640,123L640,124L638,124L637,125L639,126L640,128L640,131L638,131L636,131L636,129L633,128L630,126L628,125L625,123L623,120L622,119L620,119L619,119L618,116L615,115L613,117L611,118L612,119Z",
+    VE: "M327,225L327,226L326,227L324,228L322,228L321,229L319,228L317,228L317,228L318,229L318,231L318,233L320,233L320,234L318,234L318,236L317,236L315,237L315,238L313,238L311,236L311,233L310,232L309,232L310,230L310,230L310,229L309,227L309,225L310,224L311,222L310,222L308,222L306,222L305,222L304,220L302,219L299,220L298,219L298,218L298,218L298,217L298,215L297,215L297,213L296,213L297,212L297,210L298,208L299,208L300,206L301,206L301,206L300,207L300,208L300,210L299,211L300,214L301,213L302,211L301,210L301,208L304,207L304,205L305,205L306,207L307,207L309,208L309,209L311,209L314,209L315,210L317,211L319,210L319,209L322,209L325,209L323,210L323,211L325,211L327,213L328,215L329,215L330,216L328,217L327,218L328,219L328,220L326,220L326,222L325,223Z",
+    VN: "M742,209L744,208L746,208L745,206L749,204L749,200L748,199L748,196L747,194L745,192L743,189L741,185L737,184L738,183L739,182L738,179L735,179L733,177L732,174L733,174L735,174L737,173L739,172L740,173L743,173L742,175L744,176L747,177L744,180L742,182L742,184L744,187L747,191L750,193L752,195L753,201L754,206L752,208L749,210L747,212L744,215L743,213L744,211Z",
+    VU: "M897,286L898,288L897,288L896,287ZM896,286L896,285L896,283L897,284L897,286L896,286Z",
+    XK: "M527,118L527,116L527,116L526,115L527,115L527,115L527,114L528,113L528,114L528,114L529,114L529,115L530,115L530,115L530,116L530,116L530,116L529,116L528,117L528,118Z",
+    YE: "M609,184L611,189L612,191L610,192L610,193L610,194L608,196L604,197L602,199L601,199L600,199L598,200L597,201L595,201L594,201L594,202L593,202L593,203L591,203L591,203L589,203L588,201L588,200L588,199L587,197L586,196L587,195L586,194L587,194L587,192L588,191L587,190L588,189L589,189L590,189L592,189L593,189L595,190L596,190L597,190L598,190L600,187L602,186Z",
+    ZA: "M520,324L521,322L522,323L522,324L523,324L525,325L526,325L528,323L529,312L529,313L531,316L530,317L531,318L533,318L534,317L535,316L536,315L537,314L538,314L539,315L541,315L543,315L543,314L544,312L545,312L546,311L547,309L549,307L553,305L554,305L555,305L556,305L557,305L558,309L558,311L558,315L558,316L557,315L556,315L556,316L555,317L555,318L556,320L558,320L558,318L560,318L559,320L559,323L558,324L556,326L556,326L555,328L554,329L552,331L549,334L548,336L546,337L543,338L542,339L541,339L540,339L539,340L536,339L535,339L534,339L531,340L529,341L528,342L527,342L526,341L525,341L524,340L524,340L523,339L524,337L523,335L524,335L524,333L522,330L521,327L521,327ZM550,325L549,324L548,324L547,326L545,327L547,330L548,329L548,328L550,328L550,327L551,326Z",
+    ZM: "M557,264L558,265L559,266L561,266L562,267L563,268L564,271L564,272L563,274L563,276L563,277L562,280L563,281L555,283L555,285L554,286L552,287L552,288L551,288L549,290L547,292L546,292L546,292L543,292L542,292L542,291L541,291L540,291L538,291L536,289L535,287L535,278L540,278L540,277L540,276L540,274L540,273L540,272L541,272L541,273L542,273L544,273L545,274L547,275L548,274L549,275L550,276L551,277L552,279L554,279L554,276L553,276L552,275L551,274L551,271L552,268L551,267L552,265L553,265L556,264Z",
+    ZW: "M557,305L556,305L555,305L554,305L553,305L551,303L549,303L548,301L549,300L547,300L545,296L544,295L544,294L543,292L546,292L546,292L547,292L549,290L551,288L552,288L552,287L554,286L555,285L556,286L558,286L559,287L559,288L560,288L562,289L562,293L561,295L561,297L561,298L561,299L560,300L560,302Z"
+  }
+};